@@ -0,0 +1,156 @@
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import { authenticateStaff } from '../lib/admin-auth.js';
+import { findSeriesConflicts, loadBookingSeries } from '../lib/booking-series.js';
+import { notifyWaitlist } from '../lib/waitlist.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+
+// --- UTILITY FUNCTIONS ---
+
+/**
+ * Moves the remaining dates of a series to a new time. Every date is checked first, then all
+ * rows change in one update statement, so the series is never left half moved.
+ * Returns { httpStatus, body } for the handler to send.
+ */
+async function updateSeries(series, slots, { startTime, endTime, notes, partySize }) {
+    const changes = {};
+    if (notes !== undefined) changes.host_notes = notes;
+    if (partySize !== undefined) changes.party_size = partySize;
+    if (startTime || endTime) {
+        changes.start_time = startTime || series.start_time;
+        changes.end_time = endTime || series.end_time;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { httpStatus: 400, body: { error: 'Nothing to change: send start_time, end_time, notes or party_size.' } };
+    }
+
+    if (changes.start_time) {
+        const { conflicts, error } = await findSeriesConflicts(supabase, {
+            tenantId: series.tenant_id,
+            tableIds: series.table_ids,
+            dates: [...new Set(slots.map(s => s.date))],
+            startTime: changes.start_time,
+            endTime: changes.end_time,
+            excludeSeriesId: series.id,
+        });
+
+        if (error) {
+            return { httpStatus: 500, body: { error: 'Could not check availability.' } };
+        }
+        if (conflicts.length > 0) {
+            return {
+                httpStatus: 409,
+                body: { error: `${conflicts.length} of the series' bookings would clash at the new time. Nothing was changed.`, status: 'booking_conflict', conflicts },
+            };
+        }
+    }
+
+    const { error: updateError } = await supabase
+        .from('premium_slots')
+        .update(changes)
+        .in('id', slots.map(s => s.id));
+
+    if (updateError) {
+        console.error(`Series Error: Could not update series ${series.id}:`, updateError.message);
+        if (updateError.code === '23505') {
+            return { httpStatus: 409, body: { error: 'A table was booked at the new time in the meantime. Nothing was changed.', status: 'booking_conflict' } };
+        }
+        return { httpStatus: 500, body: { error: 'Could not update the booking series.' } };
+    }
+
+    await supabase
+        .from('booking_series')
+        .update(changes)
+        .eq('id', series.id);
+
+    return { httpStatus: 200, body: { status: 'updated', series_id: series.id, updated_bookings: slots.length } };
+}
+
+
+// --- MAIN HANDLER ---
+// GET    /api/admin-booking-series?tenant_id=...&series_id=...
+//        The series and every booking it holds.
+// PATCH  { tenant_id, series_id, from_date?, start_time?, end_time?, notes?, party_size? }
+//        Changes the bookings on or after from_date (default: all). To change tables,
+//        remove the series and book it again.
+// DELETE { tenant_id, series_id, from_date? }
+//        Removes the bookings on or after from_date (default: the whole series).
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) return res.status(405).send('Method Not Allowed');
+
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const { tenant_id, series_id, from_date } = params;
+
+    if (!tenant_id || !series_id) {
+        return res.status(400).json({ error: 'Missing required data: tenant_id and series_id.' });
+    }
+
+    try {
+        // --- AUTH: Only signed-in staff of this tenant may manage its series ---
+        const staff = await authenticateStaff(supabase, req, tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        const { series, slots, error: loadError } = await loadBookingSeries(supabase, series_id, { fromDate: from_date });
+        if (loadError || series.tenant_id !== tenant_id) {
+            return res.status(404).json({ error: loadError || 'Booking series not found.', status: 'not_found' });
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json({ series, bookings: slots });
+        }
+
+        if (slots.length === 0) {
+            return res.status(404).json({ error: 'The series has no bookings on or after that date.', status: 'not_found' });
+        }
+
+        if (req.method === 'PATCH') {
+            const result = await updateSeries(series, slots, {
+                startTime: params.start_time,
+                endTime: params.end_time,
+                notes: params.notes,
+                partySize: params.party_size,
+            });
+            if (result.httpStatus === 200) {
+                console.log(`[SERIES UPDATED] ${staff.user.email || staff.user.id} changed ${slots.length} booking(s) of series ${series_id}.`);
+            }
+            return res.status(result.httpStatus).json(result.body);
+        }
+
+        // DELETE
+        const { error: deleteError } = await supabase
+            .from('premium_slots')
+            .delete()
+            .in('id', slots.map(s => s.id));
+
+        if (deleteError) {
+            console.error(`Series Error: Could not remove series ${series_id}:`, deleteError.message);
+            return res.status(500).json({ error: 'Could not remove the booking series.' });
+        }
+
+        // The series record goes once no bookings point at it any more
+        if (!from_date) {
+            await supabase.from('booking_series').delete().eq('id', series_id);
+        }
+
+        console.log(`[SERIES REMOVED] ${staff.user.email || staff.user.id} removed ${slots.length} booking(s) of series ${series_id}${from_date ? ` from ${from_date}` : ''}.`);
+
+        await notifyWaitlist(supabase, resend, { tenantId: tenant_id, dates: slots.map(s => s.date) });
+        return res.status(200).json({ status: 'removed', series_id, removed_bookings: slots.length });
+
+    } catch (err) {
+        console.error('Booking Series Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error while managing the booking series.' });
+    }
+};
@@ -1,56 +1,21 @@
-import { createClient } from '@supabase/supabase-js';
-import { Resend } from 'resend';
-
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-const SUPABASE_URL = 'https://Rrjvdabtqzkaomjuiref.supabase.co';
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-const _supaAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-
-async function getTenantDisplayName(tenantId) {
-    const { data, error } = await _supaAdmin
-        .from('tenants')
-        .select('display_name')
-        .eq('tenant_id', tenantId)
-        .maybeSingle();
-
-    if (error || !data) {
-        console.error('Error fetching tenant display name:', error);
-        return tenantId; // Fallback to the ID if lookup fails
-    }
-    return data.display_name;
-}
-
-async function sendBookingNotification(booking, type, displayName) {
-    const staffEmail = 'geordie.kingsbeer@gmail.com';
-    const senderEmail = 'info@dineselect.co'; 
-
-    // Use the fetched display name in the subject and body
-    const subject = `[NEW BOOKING - ${type}] ${displayName}: Table ${booking.table_id}`;
-    
-    const body = `
-        <p>A new <b>${type}</b> booking has been confirmed for <b>${displayName}</b> (ID: ${booking.tenant_id})!</p>
-        <p><strong>Customer:</strong> ${booking.customer_name || 'Manual Admin Booking'}</p>
-        <ul>
-            <li><strong>Party Size:</strong> ${booking.party_size || 'N/A'}</li>
-            <li><strong>Table ID:</strong> ${booking.table_id}</li>
-            <li><strong>Date:</strong> ${booking.date}</li>
-            <li><strong>Time:</strong> ${booking.start_time} - ${booking.end_time}</li>
-            <li><strong>Source:</strong> ${type}</li>
-            <li><strong>Notes:</strong> ${booking.host_notes || 'None'}</li>
-            <li><strong>Customer Email:</strong> N/A (Staff Booked)</li>
-        </ul>
-    `;
+import { authenticateStaff } from '../lib/admin-auth.js';
+import { expandRecurrence, findSeriesConflicts } from '../lib/booking-series.js';
+import { getTenantProfile, getStaffRecipients, withTenantSender } from '../lib/tenants.js';
+import { renderEmail } from '../lib/email-templates.js';
+import { validateTableSelection } from '../lib/table-rules.js';
+import { bookingEventData, emitBookingEvent } from '../lib/outbound-webhooks.js';
+import { getServices } from '../lib/services.js';
+
+async function sendBookingNotification(booking, type, tenant, dates) {
+    const { mailer } = getServices();
+    const staffEmails = getStaffRecipients(tenant, 'manual_booking');
     
     try {
-        await resend.emails.send({
-            from: senderEmail,
-            to: staffEmail,
-            subject: subject,
-            html: body,
-        });
-        console.log(`Email Sent: Successfully notified ${staffEmail} via Resend.`);
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: staffEmails,
+            ...renderEmail('staff_new_booking', { booking, type, dates }, tenant),
+        }));
+        console.log(`Email Sent: Successfully notified ${staffEmails.join(', ')} via Resend.`);
         return { success: true };
     } catch (error) {
         console.error('Email Error: Failed to send notification via Resend:', error);
@@ -59,28 +24,117 @@ async function sendBookingNotification(booking, type, displayName) {
 }
 
 
+/**
+ * Records a series so its bookings can later be edited or removed together.
+ * Returns the new series id, or null if it could not be saved.
+ */
+async function createSeriesRecord({ tenantId, tableIds, startTime, endTime, recurrence, notes, partySize, staff }) {
+    const { id, error } = await getServices().bookings.createSeries({
+        tenant_id: tenantId,
+        table_ids: tableIds,
+        start_time: startTime,
+        end_time: endTime,
+        recurrence: recurrence || null,
+        host_notes: notes || 'Manual Admin Booking',
+        party_size: partySize || 0,
+        created_by: staff.user.email || staff.user.id,
+    });
+
+    if (error) {
+        console.error('Supabase series insert failed:', error);
+        return null;
+    }
+    return id;
+}
+
+
+// --- MAIN HANDLER ---
+// POST /admin-booking
+//   { tenantId, tableId | tableIds, date, startTime, endTime, notes?, partySize?, recurrence? }
+// Blocks one or more tables for staff. With several tables or a recurrence (see
+// lib/booking-series.js) every date is checked first and the whole set is booked in one
+// insert: either everything is booked, or nothing is and the full conflict list comes back.
+
 export default async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') return res.status(200).end();
     if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
 
+    const { supabase, bookings } = getServices();
+
     try {
-        const { tableId, date, startTime, endTime, notes, tenantId, partySize } = req.body;
+        const { tableId, tableIds, date, startTime, endTime, notes, tenantId, partySize, recurrence } = req.body;
+
+        // --- AUTH: Only signed-in staff of this tenant may create manual bookings ---
+        const staff = await authenticateStaff(supabase, req, tenantId);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
         
-        // --- NEW STEP: Get Display Name ---
-        const tenantDisplayName = await getTenantDisplayName(tenantId);
+        // --- NEW STEP: Get Tenant Name and Email Identity ---
+        const tenant = await getTenantProfile(supabase, tenantId);
         // ------------------------------------
 
-        if (!tableId || !date || !startTime || !endTime || !tenantId) {
+        const tableIdArray = (tableIds || (tableId ? [tableId] : [])).map(Number);
+
+        if (tableIdArray.length === 0 || !date || !startTime || !endTime || !tenantId) {
             return res.status(400).json({ error: 'Missing required booking data.' });
         }
 
-        const newBooking = {
-            table_id: tableId,
-            date: date,
+        const selection = await validateTableSelection(supabase, {
+            tenantId,
+            tableIds: tableIdArray,
+            partySize,
+            isStaffBooking: true,
+            isStaffBlock: true,
+        });
+
+        if (!selection.valid) {
+            return res.status(422).json({ error: selection.error, status: selection.rule });
+        }
+
+        const { dates, error: recurrenceError } = expandRecurrence(date, recurrence);
+        if (recurrenceError) {
+            return res.status(400).json({ error: recurrenceError, status: 'invalid_recurrence' });
+        }
+
+        // --- Check every table on every date before booking anything ---
+        const { conflicts, error: checkError } = await findSeriesConflicts(supabase, {
+            tenantId,
+            tableIds: tableIdArray,
+            dates,
+            startTime,
+            endTime,
+        });
+
+        if (checkError) {
+            return res.status(500).json({ error: 'Could not check availability. Check Vercel logs.' });
+        }
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: `${conflicts.length} of the requested bookings clash with existing bookings or holds. Nothing was booked.`,
+                status: 'booking_conflict',
+                conflicts,
+            });
+        }
+
+        // Several tables or dates are linked as a series so they can be edited or removed together
+        const isSeries = tableIdArray.length > 1 || dates.length > 1;
+        const seriesId = isSeries
+            ? await createSeriesRecord({ tenantId, tableIds: tableIdArray, startTime, endTime, recurrence, notes, partySize, staff })
+            : null;
+
+        if (isSeries && !seriesId) {
+            return res.status(500).json({ error: 'Could not save the booking series. Check Vercel logs.' });
+        }
+
+        const newBookings = dates.flatMap(bookingDate => tableIdArray.map(id => ({
+            table_id: id,
+            date: bookingDate,
             start_time: startTime,
             end_time: endTime,
             host_notes: notes || 'Manual Admin Booking',
@@ -88,18 +142,26 @@ export default async function handler(req, res) {
             customer_email: 'admin_booked@yourrestaurant.com',
             payment_status: 'PAID',
             is_manual_booking: true,
-            party_size: partySize || 0
-        };
+            party_size: partySize || 0,
+            series_id: seriesId,
+        })));
 
-        const { data: insertedData, error: insertError } = await _supaAdmin
-            .from('premium_slots')
-            .insert([newBooking])
-            .select('*');
+        // One insert statement: if any row is rejected, none are stored
+        const { slots: insertedData, error: insertError, isConflict } = await bookings.insertSlots(newBookings);
 
         if (insertError) {
             console.error('Supabase insert failed:', insertError);
-            if (insertError.code === '23505') {
-                return res.status(409).json({ error: 'Table is already booked during this time slot (Database Conflict).' });
+            if (seriesId) {
+                await bookings.deleteSeries(seriesId);
+            }
+            if (isConflict) {
+                // Someone booked in between the check and the insert: report what clashes now
+                const { conflicts: lateConflicts } = await findSeriesConflicts(supabase, { tenantId, tableIds: tableIdArray, dates, startTime, endTime });
+                return res.status(409).json({
+                    error: 'Table is already booked during this time slot (Database Conflict). Nothing was booked.',
+                    status: 'booking_conflict',
+                    conflicts: lateConflicts || [],
+                });
             }
             return res.status(500).json({ error: 'Database insert failed. Check Vercel logs.' });
         }
@@ -108,17 +170,31 @@ export default async function handler(req, res) {
         
         const adminBookingNotification = {
             ...booking,
+            table_ids: tableIdArray,
             customer_email: 'N/A (Staff Booked)',
             customer_name: 'Manual Admin Booking',
             party_size: booking.party_size
         };
         
-        // --- NEW STEP: Pass Display Name to Email Function ---
-        await sendBookingNotification(adminBookingNotification, 'ADMIN MANUAL', tenantDisplayName);
+        // --- NEW STEP: Pass Tenant Profile to Email Function ---
+        await sendBookingNotification(adminBookingNotification, isSeries ? 'ADMIN SERIES' : 'ADMIN MANUAL', tenant, isSeries ? dates : null);
+
+        await emitBookingEvent(supabase, {
+            tenantId,
+            type: 'booking.manual_created',
+            key: seriesId || booking.id,
+            data: { ...bookingEventData({ ...booking, table_ids: tableIdArray }), dates },
+        });
+
+        console.log(`[ADMIN BOOKING] ${staff.user.email || staff.user.id} booked tables ${tableIdArray.join(', ')} on ${dates.length} date(s)${seriesId ? ` as series ${seriesId}` : ''}.`);
 
         return res.status(200).json({
-            message: 'Admin booking created and confirmed successfully.',
-            data: booking,
+            message: isSeries
+                ? `Booked ${tableIdArray.length} table(s) on ${dates.length} date(s).`
+                : 'Admin booking created and confirmed successfully.',
+            series_id: seriesId,
+            dates,
+            data: isSeries ? insertedData : booking,
         });
 
     } catch (err) {
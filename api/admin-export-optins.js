@@ -0,0 +1,79 @@
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_ROLES, authenticateStaff } from '../lib/admin-auth.js';
+import { sendCsv, toCsv } from '../lib/csv.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Consent evidence kept for each guest, in export column order.
+const EXPORT_COLUMNS = [
+    { key: 'email', label: 'Email' },
+    { key: 'is_subscribed', label: 'Subscribed' },
+    { key: 'consent_text', label: 'Consent Text' },
+    { key: 'consented_at', label: 'Consented At (UTC)' },
+    { key: 'source', label: 'Source (Booking Ref)' },
+    { key: 'booking_date', label: 'Booking Date' },
+    { key: 'unsubscribed_at', label: 'Unsubscribed At (UTC)' },
+];
+
+
+// --- MAIN HANDLER ---
+// GET /api/admin-export-optins?tenant_id=...&format=csv|json&include_unsubscribed=true
+// Exports the tenant's marketing subscribers with the consent they gave and when. Withdrawn
+// consents are only included on request (for audits). Restricted to tenant admins.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') return res.status(405).send('Method Not Allowed');
+
+    const { tenant_id, format = 'csv', include_unsubscribed } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or json.' });
+    }
+
+    try {
+        const staff = await authenticateStaff(supabase, req, tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        // Personal data: admins only
+        if (!ADMIN_ROLES.includes(staff.role)) {
+            return res.status(403).json({ error: 'Forbidden: only restaurant admins can export subscriber data.' });
+        }
+
+        let query = supabase
+            .from('marketing_optins')
+            .select(EXPORT_COLUMNS.map(c => c.key).join(', '))
+            .eq('tenant_id', tenant_id)
+            .order('consented_at', { ascending: true });
+
+        if (include_unsubscribed !== 'true') {
+            query = query.eq('is_subscribed', true);
+        }
+
+        const { data: optins, error } = await query;
+
+        if (error) {
+            console.error('Opt-in Export Error: Could not load subscribers:', error.message);
+            return res.status(500).json({ error: 'Could not load subscribers.' });
+        }
+
+        console.log(`[OPTIN EXPORT] ${staff.user.email || staff.user.id} exported ${optins.length} opt-in(s) for tenant ${tenant_id}.`);
+
+        if (format === 'json') {
+            return res.status(200).json({ tenant_id, exported_at: new Date().toISOString(), subscribers: optins });
+        }
+
+        const today = new Date().toISOString().substring(0, 10);
+        return sendCsv(res, `marketing-optins-${tenant_id}-${today}.csv`, toCsv(optins, EXPORT_COLUMNS));
+
+    } catch (err) {
+        console.error('Opt-in Export Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error during export.' });
+    }
+};
@@ -0,0 +1,402 @@
+import { authenticateStaff } from '../lib/admin-auth.js';
+import { placeReservationHold } from '../lib/availability.js';
+import { resolveBookingEndTime } from '../lib/booking-times.js';
+import { loadActiveBooking, moveBookingSlots, sendBookingUpdatedEmails } from '../lib/booking-changes.js';
+import { renderEmail } from '../lib/email-templates.js';
+import { buildBookingQuote } from '../lib/quotes.js';
+import { validateTableSelection } from '../lib/table-rules.js';
+import { getTenantProfile, withTenantSender } from '../lib/tenants.js';
+import { VOUCHER_ORDER_PREFIX, creditVoucherForBooking, getRedeemedVoucherPence } from '../lib/vouchers.js';
+import { getServices } from '../lib/services.js';
+
+// The customer has this long to pay for a pricier move; the new tables are held meanwhile.
+// Stripe's minimum Checkout Session lifetime.
+const PAYMENT_WINDOW_MINUTES = 30;
+
+// Covers the moment between holding the new tables and moving a same-price or cheaper booking.
+const MOVE_HOLD_MINUTES = 2;
+
+
+// --- UTILITY FUNCTIONS ---
+
+/**
+ * Finds the card payments behind a booking that can still be refunded: the original checkout
+ * and every top-up paid for an earlier change, newest first, each with what is left on it.
+ */
+async function findRefundablePayments(booking) {
+    const { supabase, payments } = getServices();
+    const { data: changes, error } = await supabase
+        .from('booking_modifications')
+        .select('stripe_session_id')
+        .eq('booking_ref', booking.booking_ref)
+        .eq('status', 'completed')
+        .not('stripe_session_id', 'is', null)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Could not load paid changes: ${error.message}`);
+    }
+
+    // A booking paid in full by gift voucher has no original card payment, only top-ups
+    const sessionIds = changes.map(c => c.stripe_session_id);
+    if (booking.stripe_order_id && !booking.stripe_order_id.startsWith(VOUCHER_ORDER_PREFIX)) {
+        sessionIds.push(booking.stripe_order_id);
+    }
+
+    const refundable = [];
+    for (const sessionId of sessionIds) {
+        const session = await payments.retrieveCheckoutSession(sessionId, { expand: ['payment_intent.latest_charge'] });
+        const charge = session.payment_intent && session.payment_intent.latest_charge;
+        // Fully discounted sessions (100% promo codes) never took a payment
+        if (!charge) continue;
+
+        const refundablePence = charge.amount - charge.amount_refunded;
+        if (refundablePence > 0) {
+            refundable.push({ paymentIntentId: session.payment_intent.id, refundablePence });
+        }
+    }
+    return refundable;
+}
+
+/**
+ * Refunds part of what the customer paid, taken from their most recent payments first (a top-up
+ * for an earlier change, then the original checkout). Keyed on the booking's change count, so
+ * retrying the same change never refunds twice. Bookings paid partly by gift voucher get
+ * voucher credit back first, up to what they took from it, and only the rest on the card.
+ * The credit is only returned once the card refund has gone through.
+ */
+async function refundDifference(booking, amountPence) {
+    const { supabase, payments } = getServices();
+    const voucherPence = Number(booking.voucher_pence) > 0
+        ? Math.min(amountPence, await getRedeemedVoucherPence(supabase, booking.booking_ref))
+        : 0;
+    const cardPence = amountPence - voucherPence;
+
+    let refund = { success: true, id: 'Gift voucher credit', status: 'voucher_credited' };
+    if (cardPence > 0) {
+        const refunds = [];
+        let remainingPence = cardPence;
+        try {
+            const refundable = await findRefundablePayments(booking);
+
+            if (refundable.length === 0) {
+                console.log(`[REFUND SKIPPED] Nothing was charged for modified ref ${booking.booking_ref}.`);
+                refund = { success: true, id: 'N/A (nothing charged)', status: 'not_required' };
+            }
+
+            for (const payment of refundable) {
+                if (remainingPence <= 0) break;
+                const partPence = Math.min(remainingPence, payment.refundablePence);
+                const cardRefund = await payments.createRefund(
+                    {
+                        payment_intent: payment.paymentIntentId,
+                        amount: partPence,
+                        reason: 'requested_by_customer',
+                        metadata: { booking_ref: booking.booking_ref, cause: 'booking_modification' },
+                    },
+                    { idempotencyKey: `modify-refund-${booking.booking_ref}-${booking.calendar_sequence || 0}-${payment.paymentIntentId}` }
+                );
+                console.log(`[REFUND SUCCESS] Partial refund ${cardRefund.id} (${cardRefund.status}) of ${partPence} issued for modified ref ${booking.booking_ref}.`);
+                refunds.push(cardRefund);
+                remainingPence -= partPence;
+            }
+
+            if (refunds.length > 0) {
+                if (remainingPence > 0) {
+                    throw new Error(`only ${cardPence - remainingPence} of ${cardPence} pence could be refunded to the card`);
+                }
+                refund = { success: true, id: refunds.map(r => r.id).join(', '), status: refunds[refunds.length - 1].status };
+            }
+        } catch (error) {
+            console.error(`[REFUND FAILURE] Could not refund difference for ref ${booking.booking_ref}:`, error.message);
+            const refunded = refunds.length > 0 ? ` after refunding ${refunds.map(r => r.id).join(', ')}` : '';
+            return { success: false, error: `${error.message}${refunded}` };
+        }
+    }
+
+    if (voucherPence > 0) {
+        await creditVoucherForBooking(supabase, booking.booking_ref, voucherPence);
+    }
+    return refund;
+}
+
+/**
+ * Holds the new tables, records the pending change and sends the customer a Checkout link
+ * for the difference. The webhook applies the change once it is paid.
+ */
+async function requestTopUp({ booking, change, totals, tenant, staff }) {
+    const { supabase, payments, mailer } = getServices();
+    const expiresAt = new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+
+    const hold = await placeReservationHold(supabase, {
+        tenantId: booking.tenant_id,
+        tableIds: change.table_ids,
+        bookingRef: booking.booking_ref,
+        date: change.date,
+        startTime: change.start_time,
+        endTime: change.end_time,
+        expiresAt: expiresAt.toISOString(),
+        excludeBookingRef: booking.booking_ref,
+    });
+
+    if (hold.isConflict) {
+        return { httpStatus: 409, body: { error: `Table ${hold.conflictingTableId || ''} is no longer available at that time.`, status: 'hold_conflict' } };
+    }
+
+    const { data: modification, error: insertError } = await supabase
+        .from('booking_modifications')
+        .insert({
+            tenant_id: booking.tenant_id,
+            booking_ref: booking.booking_ref,
+            table_ids: change.table_ids,
+            date: change.date,
+            start_time: change.start_time,
+            end_time: change.end_time,
+            previous_total_pence: totals.paidPence,
+            new_total_pence: totals.newTotalPence,
+            amount_due_pence: totals.differencePence,
+            status: 'awaiting_payment',
+            requested_by: staff.user.email || staff.user.id,
+        })
+        .select()
+        .single();
+
+    if (insertError) {
+        console.error(`Modify Error: Could not record pending change for ref ${booking.booking_ref}:`, insertError.message);
+        await supabase.from('reserved_holds').delete().in('id', hold.holdIds);
+        return { httpStatus: 500, body: { error: 'Could not record the booking change.' } };
+    }
+
+    let session;
+    try {
+        session = await payments.createCheckoutSession({
+            payment_method_types: ['card'],
+            line_items: [{
+                price_data: {
+                    currency: 'gbp',
+                    product_data: {
+                        name: 'Premium Table Reservation Change',
+                        description: `Tables: ${change.table_ids.join(', ')} | Date: ${change.date} | Time: ${change.start_time}.`,
+                    },
+                    unit_amount: totals.differencePence,
+                },
+                quantity: 1,
+            }],
+            mode: 'payment',
+            customer_email: booking.customer_email,
+            expires_at: Math.floor(expiresAt.getTime() / 1000),
+            payment_intent_data: {
+                metadata: { tenant_id: booking.tenant_id, booking_ref: booking.booking_ref },
+            },
+            metadata: {
+                booking_modification_id: String(modification.id),
+                tenant_id: booking.tenant_id,
+                booking_ref: booking.booking_ref,
+            },
+            success_url: 'https://book.dineselect.co/success.html?session_id={CHECKOUT_SESSION_ID}',
+            cancel_url: 'https://book.dineselect.co/success.html',
+        });
+    } catch (error) {
+        // No payment link, no change: drop the pending row and free the tables straight away
+        console.error(`Modify Error: Could not create the payment link for ref ${booking.booking_ref}:`, error.message);
+        await supabase.from('booking_modifications').delete().eq('id', modification.id);
+        await supabase.from('reserved_holds').delete().in('id', hold.holdIds);
+        return { httpStatus: 502, body: { error: 'Could not create the payment link. Please try again.' } };
+    }
+
+    await supabase
+        .from('booking_modifications')
+        .update({ stripe_session_id: session.id })
+        .eq('id', modification.id);
+
+    try {
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: booking.customer_email,
+            ...renderEmail('customer_modification_payment', {
+                booking,
+                change,
+                amountDuePence: totals.differencePence,
+                paymentUrl: session.url,
+            }, tenant),
+        }));
+    } catch (error) {
+        console.error('Email Error: Failed to send change payment link:', error);
+    }
+
+    console.log(`[MODIFY PENDING] Ref ${booking.booking_ref} change ${modification.id} awaiting ${totals.differencePence} via ${session.id}.`);
+    return {
+        httpStatus: 202,
+        body: {
+            status: 'payment_required',
+            booking_ref: booking.booking_ref,
+            modification_id: modification.id,
+            amount_due_pence: totals.differencePence,
+            checkout_url: session.url,
+            expires_at: expiresAt.toISOString(),
+        },
+    };
+}
+
+
+// --- MAIN HANDLER ---
+// POST /modify-booking
+//   { tenant_id, booking_ref, table_ids?, date?, start_time?, party_size? }
+// Moves a paid customer booking to other tables and/or another time. Anything left out stays
+// as it is. Cheaper moves are applied at once with a partial refund; pricier ones return a
+// Checkout link for the difference (also emailed to the customer) and apply once paid.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
+
+    const { supabase, mailer } = getServices();
+
+    try {
+        const { tenant_id, booking_ref, table_ids, date, start_time, party_size } = req.body || {};
+
+        if (!tenant_id || !booking_ref) {
+            return res.status(400).json({ error: 'Missing required data: tenant_id and booking_ref.' });
+        }
+
+        if (table_ids !== undefined && (!Array.isArray(table_ids) || table_ids.length === 0)) {
+            return res.status(400).json({ error: 'table_ids must be a non-empty array.' });
+        }
+
+        // --- AUTH: Only signed-in staff of this tenant may move bookings ---
+        const staff = await authenticateStaff(supabase, req, tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        // 1. The booking as it stands
+        const { booking, slots, error: loadError } = await loadActiveBooking(supabase, booking_ref);
+        if (loadError || booking.tenant_id !== tenant_id) {
+            return res.status(404).json({ error: loadError || 'Booking not found.', status: 'not_found' });
+        }
+
+        if (booking.is_manual_booking) {
+            return res.status(409).json({ error: 'Manual bookings have no payment to adjust; remove and re-create them instead.', status: 'manual_booking' });
+        }
+
+        const { data: pending } = await supabase
+            .from('booking_modifications')
+            .select('id')
+            .eq('booking_ref', booking_ref)
+            .eq('status', 'awaiting_payment')
+            .gte('created_at', new Date(Date.now() - PAYMENT_WINDOW_MINUTES * 60 * 1000).toISOString());
+
+        if (pending && pending.length > 0) {
+            return res.status(409).json({ error: 'A change to this booking is already waiting for payment.', status: 'modification_pending' });
+        }
+
+        // 2. The requested change, defaulting to the current values
+        const partySize = party_size || booking.party_size;
+        const change = {
+            table_ids: (table_ids || booking.table_ids).map(Number),
+            date: date || booking.date,
+            start_time: (start_time || booking.start_time).substring(0, 5),
+        };
+
+        const selection = await validateTableSelection(supabase, {
+            tenantId: tenant_id,
+            tableIds: change.table_ids,
+            partySize,
+            isStaffBooking: true,
+        });
+
+        if (!selection.valid) {
+            return res.status(422).json({ error: selection.error, status: selection.rule });
+        }
+
+        const { endTime } = await resolveBookingEndTime(supabase, {
+            tenantId: tenant_id,
+            bookingDate: change.date,
+            startTime: change.start_time,
+            partySize,
+        });
+        change.end_time = endTime;
+
+        // 3. Price the new tables and time; the original promo discount still applies
+        const quote = await buildBookingQuote(supabase, {
+            tenantId: tenant_id,
+            tableIds: change.table_ids,
+            date: change.date,
+            startTime: change.start_time,
+            endTime,
+            excludeBookingRef: booking_ref,
+        });
+
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error, status: 'invalid_tables' });
+        }
+
+        const paidPence = Number(booking.total_pence) || 0;
+        const newTotalPence = Math.max(0, quote.totalPence - (Number(booking.discount_pence) || 0));
+        const totals = { paidPence, newTotalPence, differencePence: newTotalPence - paidPence };
+
+        const tenant = await getTenantProfile(supabase, tenant_id);
+
+        // 4a. Costs more: collect the difference first
+        if (totals.differencePence > 0) {
+            const result = await requestTopUp({ booking, change, totals, tenant, staff });
+            return res.status(result.httpStatus).json(result.body);
+        }
+
+        // 4b. Same price or cheaper: move now, then refund any gap. The new tables are held first,
+        //     so a guest who is paying for them right now keeps them; the move itself re-checks
+        //     confirmed bookings.
+        const hold = await placeReservationHold(supabase, {
+            tenantId: tenant_id,
+            tableIds: change.table_ids,
+            bookingRef: booking_ref,
+            date: change.date,
+            startTime: change.start_time,
+            endTime,
+            expiresAt: new Date(Date.now() + MOVE_HOLD_MINUTES * 60 * 1000).toISOString(),
+            excludeBookingRef: booking_ref,
+        });
+
+        if (hold.isConflict) {
+            return res.status(409).json({ error: `Table ${hold.conflictingTableId || ''} is no longer available at that time.`, status: 'hold_conflict' });
+        }
+
+        const moved = await moveBookingSlots(supabase, slots, {
+            tableIds: change.table_ids,
+            date: change.date,
+            startTime: change.start_time,
+            endTime,
+            totalPence: newTotalPence,
+        });
+
+        await supabase.from('reserved_holds').delete().in('id', hold.holdIds);
+
+        if (moved.error) {
+            return res.status(409).json({ error: 'The booking could not be moved: the new tables are taken at that time.', status: 'booking_conflict' });
+        }
+
+        let priceChange = null;
+        if (totals.differencePence < 0) {
+            const refundedPence = -totals.differencePence;
+            const refund = await refundDifference(booking, refundedPence);
+            priceChange = { refund, refundedPence };
+        }
+
+        await sendBookingUpdatedEmails(mailer, { booking: moved.booking, previous: booking, tenant, priceChange });
+
+        return res.status(200).json({
+            status: 'modified',
+            booking_ref,
+            total_pence: newTotalPence,
+            refunded_pence: priceChange ? priceChange.refundedPence : 0,
+            refund_id: priceChange && priceChange.refund.success ? priceChange.refund.id : null,
+        });
+
+    } catch (error) {
+        console.error('Modify Booking Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during booking change.' });
+    }
+};
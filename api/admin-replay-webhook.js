@@ -0,0 +1,77 @@
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_ROLES, authenticateStaff } from '../lib/admin-auth.js';
+import { replayStripeEvent } from './webhook.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+
+// --- MAIN HANDLER ---
+// POST /api/admin-replay-webhook  { "stripe_event_id": "evt_...", "force": false }
+// Re-runs webhook processing for a logged event that failed or got stuck in `processing`.
+// Completed and conflict events are only re-run with "force": true.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
+
+    const { stripe_event_id, force } = req.body || {};
+
+    if (!stripe_event_id) {
+        return res.status(400).json({ error: 'Missing required data: stripe_event_id.' });
+    }
+
+    try {
+        // The event's tenant decides who may replay it
+        const { data: loggedEvent, error } = await supabase
+            .from('webhook_events')
+            .select('tenant_id, status, attempts, error_message')
+            .eq('stripe_event_id', stripe_event_id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Replay Error: Could not load webhook event:', error.message);
+            return res.status(500).json({ error: 'Could not load the webhook event.' });
+        }
+
+        if (!loggedEvent) {
+            return res.status(404).json({ error: `Event ${stripe_event_id} has not been logged.`, status: 'not_found' });
+        }
+
+        const staff = await authenticateStaff(supabase, req, loggedEvent.tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        // Replaying can book tables and refund payments
+        if (!ADMIN_ROLES.includes(staff.role)) {
+            return res.status(403).json({ error: 'Forbidden: only restaurant admins can replay webhook events.' });
+        }
+
+        console.log(`[WEBHOOK REPLAY] ${staff.user.email || staff.user.id} replaying ${stripe_event_id} (was ${loggedEvent.status}, ${loggedEvent.attempts || 1} attempt(s)).`);
+        const outcome = await replayStripeEvent(stripe_event_id, { force: force === true });
+
+        if (outcome.status === 'skipped') {
+            return res.status(409).json({
+                error: outcome.reason === 'done'
+                    ? 'This event was already processed. Send "force": true to run it again.'
+                    : `Event not replayed: ${outcome.reason}.`,
+                status: outcome.reason,
+            });
+        }
+
+        return res.status(outcome.status === 'failed' ? 500 : 200).json({
+            stripe_event_id,
+            previous_status: loggedEvent.status,
+            status: outcome.status,
+            error: outcome.error || null,
+        });
+
+    } catch (err) {
+        console.error('Replay Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error during webhook replay.' });
+    }
+};
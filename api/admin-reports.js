@@ -0,0 +1,112 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticateStaff } from '../lib/admin-auth.js';
+import { sendCsv, toCsv } from '../lib/csv.js';
+import { buildTenantReport, resolveReportRange } from '../lib/reports.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const formatPounds = pence => (Number(pence) / 100).toFixed(2);
+const formatPercent = ratio => (ratio === null ? '' : (ratio * 100).toFixed(1));
+
+// CSV sections: each maps the report onto rows and the columns the accountants receive.
+const CSV_SECTIONS = {
+    bookings: {
+        rows: report => report.bookings.map(b => ({
+            ...b,
+            table_ids: b.table_ids.join(' '),
+            discount: formatPounds(b.discount_pence),
+            total: formatPounds(b.total_pence),
+        })),
+        columns: [
+            { key: 'date', label: 'Date' },
+            { key: 'start_time', label: 'Time' },
+            { key: 'booking_ref', label: 'Booking Ref' },
+            { key: 'table_ids', label: 'Tables' },
+            { key: 'promo_code', label: 'Promo Code' },
+            { key: 'discount', label: 'Discount (GBP)' },
+            { key: 'total', label: 'Paid (GBP)' },
+            { key: 'stripe_order_id', label: 'Stripe Checkout Session' },
+        ],
+    },
+    weekdays: {
+        rows: report => report.by_weekday.map(d => ({
+            ...d,
+            revenue: formatPounds(d.revenue_pence),
+            average: formatPounds(d.average_revenue_per_day_pence),
+        })),
+        columns: [
+            { key: 'day', label: 'Day' },
+            { key: 'bookings', label: 'Bookings' },
+            { key: 'trading_days', label: 'Trading Days' },
+            { key: 'revenue', label: 'Revenue (GBP)' },
+            { key: 'average', label: 'Average Revenue Per Day (GBP)' },
+        ],
+    },
+    tables: {
+        rows: report => report.by_table.map(t => ({
+            ...t,
+            booked_hours: (t.booked_minutes / 60).toFixed(1),
+            utilisation: formatPercent(t.utilisation),
+        })),
+        columns: [
+            { key: 'table_id', label: 'Table' },
+            { key: 'capacity', label: 'Seats' },
+            { key: 'staff_only', label: 'Staff Only' },
+            { key: 'bookings', label: 'Bookings' },
+            { key: 'booked_hours', label: 'Booked Hours' },
+            { key: 'days_booked', label: 'Days Booked' },
+            { key: 'utilisation', label: 'Utilisation (%)' },
+        ],
+    },
+};
+
+
+// --- MAIN HANDLER ---
+// GET /api/admin-reports?tenant_id=...&from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv&section=bookings|weekdays|tables
+// JSON returns the whole report (see lib/reports.js) with the previous period for trends.
+// CSV returns one section as a download; `bookings` is the per-booking ledger for accountants.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET') return res.status(405).send('Method Not Allowed');
+
+    const { tenant_id, from, to, format = 'json', section = 'bookings' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or json.' });
+    }
+
+    if (format === 'csv' && !CSV_SECTIONS[section]) {
+        return res.status(400).json({ error: `section must be one of: ${Object.keys(CSV_SECTIONS).join(', ')}.` });
+    }
+
+    const range = resolveReportRange(from, to);
+    if (range.error) {
+        return res.status(400).json({ error: range.error, status: 'invalid_range' });
+    }
+
+    try {
+        const staff = await authenticateStaff(supabase, req, tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        const report = await buildTenantReport(supabase, tenant_id, range);
+
+        if (format === 'json') {
+            return res.status(200).json({ tenant_id, generated_at: new Date().toISOString(), ...report });
+        }
+
+        const { rows, columns } = CSV_SECTIONS[section];
+        console.log(`[REPORT EXPORT] ${staff.user.email || staff.user.id} exported ${section} for tenant ${tenant_id} (${from} to ${to}).`);
+        return sendCsv(res, `report-${section}-${tenant_id}-${from}-to-${to}.csv`, toCsv(rows(report), columns));
+
+    } catch (err) {
+        console.error('Report Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error while building the report.' });
+    }
+};
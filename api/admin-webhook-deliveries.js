@@ -0,0 +1,126 @@
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_ROLES, authenticateStaff } from '../lib/admin-auth.js';
+import { attemptDelivery, claimDelivery } from '../lib/outbound-webhooks.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+const MAX_LIST_SIZE = 200;
+
+
+// --- MAIN HANDLER ---
+// GET  /api/admin-webhook-deliveries?tenant_id=...&status=failed&subscription_id=...&limit=50
+//      The delivery log, newest first.
+// POST { tenant_id, delivery_id }
+//      Sends a delivery that has given up (status 'failed') again, straight away. If it fails
+//      again it goes back on the normal retry schedule.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (!['GET', 'POST'].includes(req.method)) return res.status(405).send('Method Not Allowed');
+
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const { tenant_id } = params;
+
+    if (!tenant_id) {
+        return res.status(400).json({ error: 'Missing required data: tenant_id.' });
+    }
+
+    try {
+        const staff = await authenticateStaff(supabase, req, tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        if (!ADMIN_ROLES.includes(staff.role)) {
+            return res.status(403).json({ error: 'Forbidden: only restaurant admins can view or re-send webhooks.' });
+        }
+
+        if (req.method === 'GET') {
+            const { status, subscription_id } = params;
+            const limit = Math.min(parseInt(params.limit, 10) || 50, MAX_LIST_SIZE);
+
+            if (status && !DELIVERY_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}.` });
+            }
+
+            let query = supabase
+                .from('webhook_deliveries')
+                .select('id, subscription_id, event_id, event_type, status, attempts, next_attempt_at, last_attempt_at, response_status, last_error, delivered_at, created_at')
+                .eq('tenant_id', tenant_id)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (status) query = query.eq('status', status);
+            if (subscription_id) query = query.eq('subscription_id', subscription_id);
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error('Webhook Deliveries Error: Could not list deliveries:', error.message);
+                return res.status(500).json({ error: 'Could not load webhook deliveries.' });
+            }
+
+            return res.status(200).json({ deliveries: data });
+        }
+
+        // POST: re-send
+        const { delivery_id } = params;
+        if (!delivery_id) {
+            return res.status(400).json({ error: 'Missing required data: delivery_id.' });
+        }
+
+        const { data: delivery, error } = await supabase
+            .from('webhook_deliveries')
+            .select('*')
+            .eq('id', delivery_id)
+            .eq('tenant_id', tenant_id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Webhook Deliveries Error: Could not load delivery:', error.message);
+            return res.status(500).json({ error: 'Could not load the webhook delivery.' });
+        }
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook delivery not found.', status: 'not_found' });
+        }
+
+        if (delivery.status !== 'failed') {
+            return res.status(409).json({
+                error: `Only failed deliveries can be re-sent; this one is ${delivery.status}.`,
+                status: delivery.status,
+            });
+        }
+
+        const { data: subscription } = await supabase
+            .from('webhook_subscriptions')
+            .select('*')
+            .eq('id', delivery.subscription_id)
+            .maybeSingle();
+
+        if (!subscription || !subscription.is_active) {
+            return res.status(409).json({ error: 'The subscription for this delivery has been removed.', status: 'subscription_disabled' });
+        }
+
+        const claimed = await claimDelivery(supabase, delivery);
+        if (!claimed) {
+            return res.status(409).json({ error: 'This delivery is already being re-sent.', status: 'sending' });
+        }
+
+        // A fresh run of attempts, so a re-sent delivery that fails again is retried as usual
+        claimed.attempts = 0;
+        console.log(`[WEBHOOK RESEND] ${staff.user.email || staff.user.id} re-sending delivery ${delivery_id} (${delivery.event_type}).`);
+        const status = await attemptDelivery(supabase, claimed, subscription);
+
+        return res.status(200).json({ delivery_id, previous_status: delivery.status, status });
+
+    } catch (err) {
+        console.error('Webhook Deliveries Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error while managing webhook deliveries.' });
+    }
+};
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_ROLES, authenticateStaff } from '../lib/admin-auth.js';
+import { OUTBOUND_EVENT_TYPES } from '../lib/outbound-webhooks.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// The secret is only shown when the subscription is created
+const PUBLIC_COLUMNS = 'id, tenant_id, url, events, is_active, created_at';
+
+
+// --- UTILITY FUNCTIONS ---
+
+/**
+ * Helper function to check a subscriber URL. Only public https endpoints are accepted.
+ */
+function validateEndpointUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'url must be a valid URL.';
+    }
+
+    if (url.protocol !== 'https:') {
+        return 'url must use https.';
+    }
+    if (['localhost', '127.0.0.1', '[::1]', '0.0.0.0'].includes(url.hostname) || url.hostname.endsWith('.local')) {
+        return 'url must be a public address.';
+    }
+    return null;
+}
+
+
+// --- MAIN HANDLER ---
+// GET    /api/admin-webhook-subscriptions?tenant_id=...
+//        The tenant's subscriptions (without secrets).
+// POST   { tenant_id, url, events: ["booking.confirmed", ...] }
+//        Creates a subscription and returns its signing secret, once.
+// DELETE { tenant_id, subscription_id }
+//        Turns a subscription off. Its delivery log is kept.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) return res.status(405).send('Method Not Allowed');
+
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const { tenant_id } = params;
+
+    if (!tenant_id) {
+        return res.status(400).json({ error: 'Missing required data: tenant_id.' });
+    }
+
+    try {
+        const staff = await authenticateStaff(supabase, req, tenant_id);
+        if (staff.error) {
+            return res.status(staff.status).json({ error: staff.error });
+        }
+
+        // Subscriptions send booking and customer details off-platform
+        if (!ADMIN_ROLES.includes(staff.role)) {
+            return res.status(403).json({ error: 'Forbidden: only restaurant admins can manage webhooks.' });
+        }
+
+        if (req.method === 'GET') {
+            const { data, error } = await supabase
+                .from('webhook_subscriptions')
+                .select(PUBLIC_COLUMNS)
+                .eq('tenant_id', tenant_id)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error('Webhook Subscriptions Error: Could not list subscriptions:', error.message);
+                return res.status(500).json({ error: 'Could not load webhook subscriptions.' });
+            }
+
+            return res.status(200).json({ subscriptions: data, event_types: OUTBOUND_EVENT_TYPES });
+        }
+
+        if (req.method === 'POST') {
+            const { url, events } = params;
+
+            const urlError = validateEndpointUrl(url);
+            if (urlError) {
+                return res.status(400).json({ error: urlError });
+            }
+
+            if (!Array.isArray(events) || events.length === 0 || events.some(e => !OUTBOUND_EVENT_TYPES.includes(e))) {
+                return res.status(400).json({ error: `events must list one or more of: ${OUTBOUND_EVENT_TYPES.join(', ')}.` });
+            }
+
+            const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+            const { data, error } = await supabase
+                .from('webhook_subscriptions')
+                .insert({ tenant_id, url, secret, events: [...new Set(events)], is_active: true })
+                .select(PUBLIC_COLUMNS)
+                .single();
+
+            if (error) {
+                console.error('Webhook Subscriptions Error: Could not create subscription:', error.message);
+                return res.status(500).json({ error: 'Could not create the webhook subscription.' });
+            }
+
+            console.log(`[WEBHOOK SUBSCRIBED] ${staff.user.email || staff.user.id} subscribed ${url} to ${data.events.join(', ')} for ${tenant_id}.`);
+            return res.status(201).json({ subscription: data, secret });
+        }
+
+        // DELETE
+        const { subscription_id } = params;
+        if (!subscription_id) {
+            return res.status(400).json({ error: 'Missing required data: subscription_id.' });
+        }
+
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .update({ is_active: false })
+            .eq('id', subscription_id)
+            .eq('tenant_id', tenant_id)
+            .select('id');
+
+        if (error) {
+            console.error('Webhook Subscriptions Error: Could not disable subscription:', error.message);
+            return res.status(500).json({ error: 'Could not remove the webhook subscription.' });
+        }
+
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Webhook subscription not found.', status: 'not_found' });
+        }
+
+        console.log(`[WEBHOOK UNSUBSCRIBED] ${staff.user.email || staff.user.id} disabled subscription ${subscription_id}.`);
+        return res.status(200).json({ status: 'disabled', subscription_id });
+
+    } catch (err) {
+        console.error('Webhook Subscriptions Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error while managing webhooks.' });
+    }
+};
@@ -0,0 +1,123 @@
+import { createClient } from '@supabase/supabase-js';
+import { findConflicts } from '../lib/availability.js';
+import { resolveBookingEndTime } from '../lib/booking-times.js';
+import { getTenantPricing, priceTableForSlot } from '../lib/pricing.js';
+import { calculateOccupancy } from '../lib/quotes.js';
+import { getConfiguredCapacity, getTenantTableRules } from '../lib/table-rules.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+
+// --- MAIN HANDLER ---
+// GET /api/availability?tenant_id=...&date=YYYY-MM-DD&time=HH:MM&party_size=4&booking_ref=...
+// Returns every table's status for the full sitting window, using the same overlap
+// check create-checkout applies when it places a hold. Holds placed for `booking_ref`
+// (e.g. a waitlist offer) are the caller's own, so those tables show as free to them.
+// Table status is one of: free, booked, held, staff_only, blocked.
+// Prices include the tenant's day, time slot and demand rules for this sitting.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).send('Method Not Allowed');
+    }
+
+    const { tenant_id, date, time, party_size, booking_ref } = req.query;
+
+    if (!tenant_id || !DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '')) {
+        return res.status(400).json({ error: 'Missing or invalid data: tenant_id, date (YYYY-MM-DD) and time (HH:MM) are required.' });
+    }
+
+    try {
+        // 1. The sitting window this party would occupy
+        const { endTime } = await resolveBookingEndTime(supabase, {
+            tenantId: tenant_id,
+            bookingDate: date,
+            startTime: time,
+            partySize: party_size,
+        });
+
+        // 2. The tenant's tables, pricing and staff-only list
+        const { data: tableRows, error: tablesError } = await supabase
+            .from('tables')
+            .select('id, w, h')
+            .eq('tenant_id', tenant_id)
+            .order('id');
+
+        if (tablesError) {
+            console.error('Availability Error: Could not fetch tables:', tablesError.message);
+            return res.status(500).json({ error: 'Could not load tables.' });
+        }
+
+        const [pricing, tableRules] = await Promise.all([
+            getTenantPricing(supabase, tenant_id),
+            getTenantTableRules(supabase, tenant_id),
+        ]);
+
+        // 3. Bookings and holds overlapping the window
+        const { conflicts, error: conflictError } = await findConflicts(supabase, {
+            tenantId: tenant_id,
+            tableIds: tableRows.map(t => t.id),
+            date,
+            startTime: time,
+            endTime,
+            excludeBookingRef: booking_ref || undefined,
+        });
+
+        if (conflictError) {
+            return res.status(500).json({ error: 'Could not check availability.' });
+        }
+
+        const bookedIds = new Set(conflicts.filter(c => c.source === 'booking').map(c => c.table_id));
+        const heldIds = new Set(conflicts.filter(c => c.source === 'hold').map(c => c.table_id));
+
+        const bookableTableIds = tableRows
+            .map(t => Number(t.id))
+            .filter(id => !tableRules.blockedTableIds.includes(id) && !tableRules.staffOnlyTableIds.includes(id));
+        const occupancy = calculateOccupancy(bookableTableIds, conflicts);
+        const slot = { date, startTime: time, occupancy: pricing.demandTiers.length > 0 ? occupancy : null };
+
+        const tables = tableRows.map(t => {
+            const id = Number(t.id);
+            let status = 'free';
+            if (tableRules.blockedTableIds.includes(id)) status = 'blocked';
+            else if (tableRules.staffOnlyTableIds.includes(id)) status = 'staff_only';
+            else if (bookedIds.has(id)) status = 'booked';
+            else if (heldIds.has(id)) status = 'held';
+
+            const capacity = getConfiguredCapacity(t, tableRules);
+            const quote = priceTableForSlot(capacity, pricing, slot);
+            return {
+                id,
+                capacity,
+                base_pence: quote.base_pence,
+                price_pence: quote.price_pence,
+                adjustments: quote.adjustments,
+                status,
+            };
+        });
+
+        return res.status(200).json({
+            tenant_id,
+            date,
+            start_time: time,
+            end_time: endTime,
+            occupancy,
+            tables,
+        });
+
+    } catch (error) {
+        console.error('Availability Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during availability check.' });
+    }
+};
@@ -0,0 +1,63 @@
+import { createClient } from '@supabase/supabase-js';
+import { requireBookingTokenSecret, verifyBookingToken } from '../lib/booking-tokens.js';
+import { getTenantProfile } from '../lib/tenants.js';
+import { buildBookingIcs } from '../lib/calendar.js';
+import { INACTIVE_PAYMENT_STATUSES } from '../lib/availability.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+
+// --- MAIN HANDLER ---
+// GET /booking.ics?booking_ref=...&token=... (link from the confirmation email)
+
+export default async (req, res) => {
+    if (req.method !== 'GET') {
+        return res.status(405).send('Method Not Allowed');
+    }
+
+    if (!requireBookingTokenSecret(res)) return;
+
+    const { booking_ref, token } = req.query;
+
+    if (!verifyBookingToken(booking_ref, 'calendar', token)) {
+        return res.status(403).send('This calendar link is invalid.');
+    }
+
+    try {
+        const { data: slots, error } = await supabase
+            .from('premium_slots')
+            .select('*')
+            .eq('booking_ref', booking_ref);
+
+        if (error) {
+            console.error('Calendar Error: Could not load booking:', error.message);
+            return res.status(500).send('Could not load booking.');
+        }
+
+        if (!slots || slots.length === 0) {
+            return res.status(404).send('Booking not found.');
+        }
+
+        const first = slots[0];
+        const booking = { ...first, table_ids: slots.map(s => s.table_id) };
+        const isCancelled = slots.every(s => INACTIVE_PAYMENT_STATUSES.includes(s.payment_status));
+
+        // Every change to the booking bumped calendar_sequence; cancelling counts as one more
+        const sequence = (first.calendar_sequence || 0) + (isCancelled ? 1 : 0);
+
+        const tenant = await getTenantProfile(supabase, first.tenant_id);
+        const ics = buildBookingIcs(booking, tenant, {
+            method: 'PUBLISH',
+            sequence: sequence,
+            status: isCancelled ? 'CANCELLED' : 'CONFIRMED',
+        });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="reservation-${encodeURIComponent(booking_ref)}.ics"`);
+        return res.status(200).send(ics);
+
+    } catch (err) {
+        console.error('Calendar Error:', err);
+        return res.status(500).send('Internal Server Error.');
+    }
+};
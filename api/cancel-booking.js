@@ -0,0 +1,291 @@
+import { requireBookingTokenSecret, verifyBookingToken } from '../lib/booking-tokens.js';
+import { getTenantBookingSettings, zonedTimeToUtc } from '../lib/booking-times.js';
+import { getTenantProfile, getStaffRecipients, withTenantSender } from '../lib/tenants.js';
+import { renderEmail } from '../lib/email-templates.js';
+import { buildIcsAttachment } from '../lib/calendar.js';
+import { notifyWaitlist } from '../lib/waitlist.js';
+import { VOUCHER_ORDER_PREFIX, releaseVoucherRedemption } from '../lib/vouchers.js';
+import { bookingEventData, emitBookingEvent } from '../lib/outbound-webhooks.js';
+import { getServices } from '../lib/services.js';
+
+// Used when a tenant has not set tenants.cancellation_policy ({ "full_refund_cutoff_hours": 24 }).
+const DEFAULT_REFUND_CUTOFF_HOURS = 24;
+
+
+// --- UTILITY FUNCTIONS ---
+
+async function getRefundCutoffHours(tenantId) {
+    const { supabase } = getServices();
+    const { data, error } = await supabase
+        .from('tenants')
+        .select('cancellation_policy')
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+    if (error || !data) {
+        console.error('Error fetching tenant cancellation policy:', error);
+        return DEFAULT_REFUND_CUTOFF_HOURS;
+    }
+
+    const policy = data.cancellation_policy || {};
+    return policy.full_refund_cutoff_hours ?? DEFAULT_REFUND_CUTOFF_HOURS;
+}
+
+/**
+ * Refunds the whole Checkout Session payment. Keyed on the booking ref so a double-click
+ * or retry can never refund twice. Gift voucher credit goes back onto the voucher once the
+ * card refund has gone through.
+ */
+async function refundBooking(stripeOrderId, bookingRef) {
+    const { supabase, payments } = getServices();
+
+    // Paid for in full by a gift voucher: there is no card payment to refund
+    if (stripeOrderId && stripeOrderId.startsWith(VOUCHER_ORDER_PREFIX)) {
+        await releaseVoucherRedemption(supabase, bookingRef, { statuses: ['redeemed'] });
+        console.log(`[REFUND SUCCESS] Voucher credit returned for cancelled ref ${bookingRef}.`);
+        return { success: true, id: 'Gift voucher credit', status: 'voucher_credited' };
+    }
+
+    let refund;
+    try {
+        const session = await payments.retrieveCheckoutSession(stripeOrderId);
+
+        // Fully discounted by a promo code: Stripe never took a payment, so there is nothing to refund
+        if (!session.payment_intent) {
+            console.log(`[REFUND SKIPPED] Nothing was charged for cancelled ref ${bookingRef}.`);
+            await releaseVoucherRedemption(supabase, bookingRef, { statuses: ['redeemed'] });
+            return { success: true, id: 'N/A (nothing charged)', status: 'not_required' };
+        }
+
+        refund = await payments.createRefund(
+            {
+                payment_intent: session.payment_intent,
+                reason: 'requested_by_customer',
+                metadata: { booking_ref: bookingRef, cause: 'customer_cancellation' },
+            },
+            { idempotencyKey: `cancel-refund-${bookingRef}` }
+        );
+        console.log(`[REFUND SUCCESS] Refund ${refund.id} (${refund.status}) issued for cancelled ref ${bookingRef}.`);
+    } catch (error) {
+        console.error(`[REFUND FAILURE] Could not refund cancelled ref ${bookingRef}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    await releaseVoucherRedemption(supabase, bookingRef, { statuses: ['redeemed'] });
+    return { success: true, id: refund.id, status: refund.status };
+}
+
+/**
+ * Refunds any extra the customer paid to move the booking (see /modify-booking).
+ * booking.total_pence already includes it; failures are logged for a manual refund.
+ */
+async function refundBookingChanges(bookingRef) {
+    const { supabase, payments } = getServices();
+    const { data: changes, error } = await supabase
+        .from('booking_modifications')
+        .select('id, stripe_session_id')
+        .eq('booking_ref', bookingRef)
+        .eq('status', 'completed')
+        .not('stripe_session_id', 'is', null);
+
+    if (error) {
+        console.error(`[REFUND FAILURE] Could not load paid changes for ref ${bookingRef}:`, error.message);
+        return;
+    }
+
+    for (const change of changes) {
+        try {
+            const session = await payments.retrieveCheckoutSession(change.stripe_session_id);
+            if (!session.payment_intent) continue;
+            await payments.createRefund(
+                {
+                    payment_intent: session.payment_intent,
+                    reason: 'requested_by_customer',
+                    metadata: { booking_ref: bookingRef, cause: 'customer_cancellation' },
+                },
+                { idempotencyKey: `cancel-refund-${bookingRef}-change-${change.id}` }
+            );
+        } catch (err) {
+            console.error(`[REFUND FAILURE] Could not refund change ${change.id} for ref ${bookingRef}:`, err.message);
+        }
+    }
+}
+
+async function sendCancellationEmails(booking, tenant, refund) {
+    const { mailer } = getServices();
+    try {
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: booking.customer_email,
+            ...renderEmail('customer_cancellation', { booking, refund }, tenant),
+            // Removes the event the confirmation email added to the guest's calendar
+            attachments: [buildIcsAttachment(booking, tenant, { method: 'CANCEL', sequence: (booking.calendar_sequence || 0) + 1 })],
+        }));
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: getStaffRecipients(tenant, 'booking_cancelled'),
+            ...renderEmail('staff_cancellation', { booking, refund }, tenant),
+        }));
+        console.log(`Email Sent: Cancellation notices sent for ref ${booking.booking_ref}.`);
+    } catch (error) {
+        console.error('Email Error: Failed to send cancellation emails:', error);
+    }
+}
+
+/**
+ * Small confirmation page for the link in the email. Cancelling only happens on the POST,
+ * so mail scanners that pre-fetch links cannot cancel a booking by accident.
+ */
+function renderConfirmPage(bookingRef, token) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Cancel Reservation</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto; text-align: center;">
+    <h1>Cancel your reservation?</h1>
+    <p>Booking reference: <b id="ref"></b></p>
+    <button id="confirm" style="padding: 12px 24px; font-size: 16px;">Yes, cancel my booking</button>
+    <p id="result"></p>
+    <script>
+        const bookingRef = ${JSON.stringify(bookingRef).replace(/</g, '\\u003c')};
+        const token = ${JSON.stringify(token).replace(/</g, '\\u003c')};
+        document.getElementById('ref').textContent = bookingRef;
+        document.getElementById('confirm').onclick = async (e) => {
+            e.target.disabled = true;
+            const res = await fetch(window.location.pathname, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ booking_ref: bookingRef, token: token })
+            });
+            const data = await res.json();
+            document.getElementById('result').textContent = data.message || data.error;
+        };
+    </script>
+</body>
+</html>`;
+}
+
+
+// --- MAIN HANDLER ---
+
+export default async (req, res) => {
+    if (!requireBookingTokenSecret(res)) return;
+
+    if (req.method === 'GET') {
+        const { booking_ref, token } = req.query;
+        if (!verifyBookingToken(booking_ref, 'cancel', token)) {
+            return res.status(403).send('This cancellation link is invalid.');
+        }
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderConfirmPage(booking_ref, token));
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).send('Method Not Allowed');
+    }
+
+    const { supabase, mailer } = getServices();
+
+    try {
+        const { booking_ref, token } = req.body;
+
+        if (!verifyBookingToken(booking_ref, 'cancel', token)) {
+            return res.status(403).json({ error: 'Invalid cancellation link.' });
+        }
+
+        // 1. Load every table row of the booking
+        const { data: slots, error: selectError } = await supabase
+            .from('premium_slots')
+            .select('*')
+            .eq('booking_ref', booking_ref)
+            .eq('is_manual_booking', false);
+
+        if (selectError) {
+            console.error('Cancellation Error: Could not load booking:', selectError.message);
+            return res.status(500).json({ error: 'Could not load your booking.' });
+        }
+
+        if (!slots || slots.length === 0) {
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+
+        const activeSlots = slots.filter(s => s.payment_status === 'PAID');
+        if (activeSlots.length === 0) {
+            return res.status(409).json({ error: 'This booking has already been cancelled or refunded.' });
+        }
+
+        const first = activeSlots[0];
+        const booking = { ...first, table_ids: activeSlots.map(s => s.table_id) };
+
+        // 2. Apply the tenant's cancellation policy against the sitting start in the tenant's time zone
+        const { timeZone } = await getTenantBookingSettings(supabase, first.tenant_id);
+        const refundCutoffHours = await getRefundCutoffHours(first.tenant_id);
+        const tenant = await getTenantProfile(supabase, first.tenant_id);
+
+        const startsAt = zonedTimeToUtc(first.date, first.start_time, timeZone);
+        const hoursUntilStart = (startsAt.getTime() - Date.now()) / (60 * 60 * 1000);
+
+        if (hoursUntilStart <= 0) {
+            return res.status(409).json({ error: 'This booking has already started and can no longer be cancelled.' });
+        }
+
+        const refundDue = hoursUntilStart >= refundCutoffHours;
+
+        // 3. Refund first, so we never cancel a booking we then fail to refund silently
+        const refund = refundDue ? await refundBooking(first.stripe_order_id, booking_ref) : null;
+        if (refund && !refund.success) {
+            // The booking stays PAID; staff can cancel and refund it by hand
+            return res.status(502).json({
+                error: 'We could not refund your booking automatically, so it has not been cancelled. Please contact the restaurant.',
+                status: 'refund_failed',
+            });
+        }
+        if (refund) {
+            await refundBookingChanges(booking_ref);
+        }
+
+        // 4. Soft-cancel the slots (rows are kept for reporting and the audit trail)
+        const { error: updateError } = await supabase
+            .from('premium_slots')
+            .update({
+                payment_status: 'CANCELLED',
+                cancelled_at: new Date().toISOString(),
+                refund_id: refund && refund.success ? refund.id : null,
+            })
+            .eq('booking_ref', booking_ref)
+            .eq('payment_status', 'PAID');
+
+        if (updateError) {
+            console.error('Cancellation Error: Could not cancel slots:', updateError.message);
+            return res.status(500).json({ error: 'Could not cancel your booking. Please contact the restaurant.' });
+        }
+
+        // 5. Notify customer and staff
+        await sendCancellationEmails(booking, tenant, refund);
+
+        // 6. Push the cancellation to the tenant's own systems. Keyed on the booking_ref like the
+        //    refund webhook's event, so the charge.refunded that follows is not sent twice.
+        await emitBookingEvent(supabase, {
+            tenantId: first.tenant_id,
+            type: 'booking.cancelled',
+            key: booking_ref,
+            data: {
+                ...bookingEventData({ ...booking, payment_status: 'CANCELLED' }),
+                reason: 'customer_cancelled',
+                refunded: Boolean(refund && refund.success),
+            },
+        });
+
+        // 7. Offer the freed tables to the waitlist
+        await notifyWaitlist(supabase, mailer, { tenantId: first.tenant_id, dates: [first.date] });
+
+        return res.status(200).json({
+            message: refund && refund.success
+                ? 'Your booking has been cancelled and a full refund is on its way.'
+                : 'Your booking has been cancelled. It was inside the cancellation cutoff, so no refund is due.',
+            refunded: Boolean(refund && refund.success),
+            refund_id: refund && refund.success ? refund.id : null,
+        });
+
+    } catch (error) {
+        console.error('Cancellation Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during cancellation.' });
+    }
+};
@@ -1,107 +1,14 @@
-import Stripe from 'stripe';
-import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { buildBookingQuote } from '../lib/quotes.js';
+import { resolveBookingEndTime } from '../lib/booking-times.js';
+import { validateTableSelection } from '../lib/table-rules.js';
+import { createStripeCoupon, releasePromoRedemption, reservePromoRedemption, validatePromoCode } from '../lib/promotions.js';
+import { VOUCHER_ORDER_PREFIX, planVoucherRedemption, releaseVoucherRedemption, reserveVoucherBalance, validateVoucherCode } from '../lib/vouchers.js';
+import { bookVoucherCoveredCheckout } from '../lib/paid-bookings.js';
+import { getServices } from '../lib/services.js';
 
-const SUPABASE_URL = process.env.SUPABASE_URL; 
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY; 
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY); 
-
-
-/**
- * Helper function to convert time string (HH:MM) to minutes past midnight.
- */
-function timeToMinutes(timeStr) {
-    const parts = timeStr.split(':').map(Number);
-    return (parts[0] * 60) + parts[1];
-}
-
-
-/**
- * Helper function to calculate the booking end time (2 hours later).
- */
-function calculateBookingEndTime(bookingDate, startTime) {
-    const [hour, minute] = startTime.split(':').map(Number);
-    
-    // Create a Date object for the booking start time
-    const bookingDateTimeLocal = new Date(`${bookingDate}T${startTime}:00`);
-
-    // Add 2 hours (120 minutes)
-    bookingDateTimeLocal.setMinutes(bookingDateTimeLocal.getMinutes() + 120); 
-
-    const endH = String(bookingDateTimeLocal.getHours()).padStart(2, '0');
-    const endM = String(bookingDateTimeLocal.getMinutes()).padStart(2, '0');
-    
-    return `${endH}:${endM}`;
-}
-
-
-/**
- * Helper function to create a new reservation hold for 5 minutes.
- * Now checks for actual time-slot conflicts.
- */
-async function createReservationHold(tableIds, tenantId, bookingRef, bookingDate, startTime, endTime) {
-    const tableIdArray = tableIds.map(id => Number(id));
-    const fiveMinutesFromNow = new Date(Date.now() + 5 * 60 * 1000).toISOString();
-    
-    // Convert new booking times to minutes
-    const newBookingStartMinutes = timeToMinutes(startTime);
-    const newBookingEndMinutes = timeToMinutes(endTime);
-
-    // 1. Fetch all currently active holds for the selected date and tables
-    const { data: activeHolds, error: checkError } = await supabase
-        .from('reserved_holds')
-        .select('table_id, start_time, end_time') // Select time columns for comparison
-        .in('table_id', tableIdArray)
-        .eq('date', bookingDate) // CRITICAL: Check against the specific date
-        .gte('expires_at', new Date().toISOString()); // Only active holds
-
-    if (checkError) {
-        console.error("Hold Check Error:", checkError.message);
-        return { isConflict: true };
-    }
-    
-    // 2. Client-side filter: Check for actual time overlap
-    const conflictingHold = activeHolds.find(hold => {
-        const holdStartMinutes = timeToMinutes(hold.start_time);
-        const holdEndMinutes = timeToMinutes(hold.end_time);
-
-        // Standard time overlap check: (StartA < EndB) AND (EndA > StartB)
-        const overlaps = (newBookingStartMinutes < holdEndMinutes) && 
-                         (newBookingEndMinutes > holdStartMinutes);
-        
-        return overlaps;
-    });
-
-
-    if (conflictingHold) {
-        // Conflict found: A table is actively held for the specific time slot.
-        return { isConflict: true, conflictingTableId: conflictingHold.table_id };
-    }
-
-    // 3. No conflict, proceed to create hold records
-    const holdRecords = tableIdArray.map(id => ({
-        table_id: id,
-        tenant_id: tenantId,
-        expires_at: fiveMinutesFromNow,
-        booking_ref: bookingRef,
-        date: bookingDate, 
-        start_time: startTime, 
-        end_time: endTime, 
-    }));
-
-    const { error: insertError } = await supabase
-        .from('reserved_holds')
-        .insert(holdRecords);
-
-    if (insertError) {
-        console.error("Hold Insert Error:", insertError.message);
-        return { isConflict: true };
-    }
-
-    console.log(`Successfully placed 5-minute time-specific hold on tables: ${tableIds.join(',')} for ${bookingDate}`);
-    return { isConflict: false, expiresAt: fiveMinutesFromNow };
-}
+// How long the tables stay held while the customer is on the Stripe page
+const HOLD_MINUTES = 5;
 
 
 export default async (req, res) => {
@@ -118,6 +25,24 @@ export default async (req, res) => {
         return res.status(405).send('Method Not Allowed');
     }
 
+    const services = getServices();
+    const { supabase, bookings, payments } = services;
+
+    // What this request has taken but no Checkout Session (or booking) owns yet. Released if
+    // checkout fails, so a failed attempt never leaves tables held or credit used up.
+    const unclaimed = { holdIds: [], voucherRef: null, promoRedemptionId: null };
+
+    // Identifies this attempt: the booking_ref comes from the browser and may be tried again
+    const checkoutId = crypto.randomUUID();
+
+    const releaseUnclaimed = async () => {
+        if (unclaimed.voucherRef) {
+            await releaseVoucherRedemption(supabase, unclaimed.voucherRef, { checkoutId });
+        }
+        await releasePromoRedemption(supabase, unclaimed.promoRedemptionId);
+        await bookings.deleteHolds(unclaimed.holdIds);
+    };
+
     try {
         const {    
             table_ids,    
@@ -129,78 +54,260 @@ export default async (req, res) => {
             party_size,    
             tenant_id,    
             booking_ref,
-            receive_offers
+            receive_offers,
+            promo_code,
+            voucher_code
         } = req.body;
         
         // --- Input Validation ---
-        if (!table_ids || total_pence <= 0 || !email) {
-            return res.status(400).json({ error: 'Missing required data: tables, price, or email.' });
+        if (!Array.isArray(table_ids) || table_ids.length === 0 || !email || !tenant_id || !booking_ref) {
+            return res.status(400).json({ error: 'Missing required data: tables, tenant, booking reference, or email.' });
         }
-        
-        // Calculate the 2-hour end time for the hold record
-        const calculatedEndTime = calculateBookingEndTime(booking_date, booking_time);
+
+        // --- BOOKING REF: The browser picks it, so make sure it is not already a booking ---
+        const existingBooking = await bookings.findActiveSlotsByRef(booking_ref);
+        if (existingBooking.error) {
+            throw new Error(`Could not check booking ref ${booking_ref}: ${existingBooking.error}`);
+        }
+        if (existingBooking.slots.length > 0) {
+            console.warn(`Checkout blocked: booking ref ${booking_ref} is already booked.`);
+            return res.status(409).json({
+                error: 'This booking has already been paid for. Please refresh the page to make a new booking.',
+                status: 'booking_ref_in_use'
+            });
+        }
+
+        // --- TABLE & PARTY RULES: Same rules as the seat picker, enforced here ---
+        const selection = await validateTableSelection(supabase, {
+            tenantId: tenant_id,
+            tableIds: table_ids,
+            partySize: party_size,
+        });
+
+        if (!selection.valid) {
+            return res.status(422).json({ error: selection.error, status: selection.rule });
+        }
+
+        // Calculate the end time for the hold record from the tenant's sitting length and time zone
+        const { endTime: calculatedEndTime } = await resolveBookingEndTime(supabase, {
+            tenantId: tenant_id,
+            bookingDate: booking_date,
+            startTime: booking_time,
+            partySize: party_size,
+        });
+
+        // --- SERVER-SIDE PRICE: Never trust the total sent by the browser ---
+        // Day, time slot and demand rules all apply, exactly as in the quote the seat picker showed
+        const price = await buildBookingQuote(supabase, {
+            tenantId: tenant_id,
+            tableIds: table_ids,
+            date: booking_date,
+            startTime: booking_time,
+            endTime: calculatedEndTime,
+            excludeBookingRef: booking_ref,
+        });
+
+        if (price.error) {
+            return res.status(400).json({ error: price.error, status: 'invalid_tables' });
+        }
+
+        if (total_pence !== undefined && Number(total_pence) !== price.totalPence) {
+            console.warn(`Checkout blocked by Price Mismatch: client sent ${total_pence}, server calculated ${price.totalPence}.`);
+            return res.status(409).json({
+                error: 'Price Mismatch: The table prices have changed. Please refresh the map.',
+                status: 'price_mismatch',
+                total_pence: price.totalPence,
+                lines: price.lines
+            });
+        }
+
+
+        // --- PROMO CODE: Validated here; the client only ever sends the code ---
+        let promotion = null;
+        if (promo_code) {
+            promotion = await validatePromoCode(supabase, {
+                tenantId: tenant_id,
+                code: promo_code,
+                bookingDate: booking_date,
+                subtotalPence: price.totalPence,
+            });
+
+            if (promotion.error) {
+                return res.status(422).json({ error: promotion.error, status: 'invalid_promo_code' });
+            }
+        }
+
+
+        // --- GIFT VOUCHER: Pays part or all of what is left after any promo discount ---
+        const duePence = price.totalPence - (promotion ? promotion.discountPence : 0);
+        let voucher = null;
+        let voucherPence = 0;
+        if (voucher_code && duePence > 0) {
+            const voucherCheck = await validateVoucherCode(supabase, { tenantId: tenant_id, code: voucher_code });
+
+            if (voucherCheck.error) {
+                return res.status(422).json({ error: voucherCheck.error, status: 'invalid_voucher_code' });
+            }
+
+            voucher = voucherCheck.voucher;
+            voucherPence = planVoucherRedemption(Number(voucher.balance_pence), duePence);
+
+            if (voucherPence <= 0) {
+                return res.status(422).json({ error: `Gift voucher ${voucher.code} cannot be used for this booking.`, status: 'invalid_voucher_code' });
+            }
+        }
+
 
         // --- CRITICAL STEP: PLACE 5-MINUTE TIME-SPECIFIC HOLD ---
-        const holdResult = await createReservationHold(
-            table_ids, 
-            tenant_id, 
-            booking_ref, 
-            booking_date, 
-            booking_time, 
-            calculatedEndTime
-        );
+        const holdResult = await bookings.placeHold({
+            tenantId: tenant_id,
+            tableIds: table_ids,
+            bookingRef: booking_ref,
+            date: booking_date,
+            startTime: booking_time,
+            endTime: calculatedEndTime,
+            expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000).toISOString(),
+            // The guest's own holds (a waitlist offer) must not block them; the ref has no bookings (checked above)
+            excludeBookingRef: booking_ref,
+        });
 
         if (holdResult.isConflict) {
-            console.warn(`Checkout blocked by Hold: Table ${holdResult.conflictingTableId || 'N/A'} is currently held.`);
+            console.warn(`Checkout blocked by ${holdResult.conflictSource || 'Hold'}: Table ${holdResult.conflictingTableId || 'N/A'} is unavailable.`);
             // Return 409 Conflict status and redirect the customer back to the map
             return res.status(409).json({ 
                 error: `Hold Conflict: The selected table is now reserved. Please refresh the map.`,
                 status: 'hold_conflict'
             });
         }
+        unclaimed.holdIds = holdResult.holdIds;
         // --- END HOLD ---
 
+        // The promo code use is taken now, so open checkouts can never go past its cap together
+        if (promotion) {
+            const promoReservation = await reservePromoRedemption(supabase, {
+                promo: promotion.promo,
+                bookingRef: booking_ref,
+                discountPence: promotion.discountPence,
+            });
+            if (promoReservation.error) {
+                await releaseUnclaimed();
+                return res.status(422).json({ error: promoReservation.error, status: 'invalid_promo_code' });
+            }
+            unclaimed.promoRedemptionId = promoReservation.redemption.id;
+        }
+
+        // The voucher credit is taken now, so it cannot be spent twice while the customer pays
+        if (voucher) {
+            const reservation = await reserveVoucherBalance(supabase, { voucher, bookingRef: booking_ref, checkoutId, amountPence: voucherPence });
+            if (reservation.error) {
+                await releaseUnclaimed();
+                return res.status(422).json({ error: reservation.error, status: 'invalid_voucher_code' });
+            }
+            unclaimed.voucherRef = booking_ref;
+        }
+
+        const metadata = {
+            table_ids: table_ids.join(','),
+            booking_date: booking_date,
+            booking_time: booking_time,
+            booking_end_time: calculatedEndTime, 
+            customer_name: customer_name,
+            party_size: party_size.toString(),
+            tenant_id: tenant_id,
+            booking_ref: booking_ref || 'N/A',
+            checkout_id: checkoutId,
+            receive_offers: receive_offers ? 'TRUE' : 'FALSE',
+            email: email,
+            promo_code: promotion ? promotion.promo.code : '',
+            promo_code_id: promotion ? String(promotion.promo.id) : '',
+            discount_pence: promotion ? String(promotion.discountPence) : '0',
+            promo_redemption_id: unclaimed.promoRedemptionId ? String(unclaimed.promoRedemptionId) : '',
+            voucher_code: voucher ? voucher.code : '',
+            voucher_pence: String(voucherPence)
+        };
+
+        const successUrl = `https://book.dineselect.co/success.html?session_id={CHECKOUT_SESSION_ID}&tenant_id=${tenant_id}&booking_ref=${booking_ref}`;
+
+        // --- VOUCHER COVERS EVERYTHING: Nothing to pay, so book now without Stripe ---
+        if (voucher && voucherPence === duePence) {
+            let outcome;
+            try {
+                outcome = await bookVoucherCoveredCheckout(services, metadata);
+            } catch (bookingError) {
+                console.error(`Voucher Booking Error: Ref ${booking_ref} could not be booked:`, bookingError);
+                await releaseUnclaimed();
+                return res.status(500).json({ error: 'Could not complete the booking. Your gift voucher has not been charged.' });
+            }
+
+            if (outcome.status === 'conflict') {
+                return res.status(409).json({
+                    error: 'Booking Conflict: The selected table was booked by someone else. Your gift voucher has not been charged.',
+                    status: 'booking_conflict'
+                });
+            }
+
+            return res.status(200).json({
+                url: successUrl.replace('{CHECKOUT_SESSION_ID}', `${VOUCHER_ORDER_PREFIX}${checkoutId}`),
+                status: 'confirmed'
+            });
+        }
+
         // --- Define Stripe Line Item ---
         const lineItem = {
             price_data: {
                 currency: 'gbp',    
                 product_data: {
                     name: `Premium Table Reservation (${table_ids.length} Table${table_ids.length > 1 ? 's' : ''})`,
-                    description: `Tables: ${table_ids.join(', ')} | Date: ${booking_date} | Time: ${booking_time}.`,
+                    description: `Tables: ${table_ids.join(', ')} | Date: ${booking_date} | Time: ${booking_time}.`
+                        + (voucher ? ` Gift voucher ${voucher.code}: -£${(voucherPence / 100).toFixed(2)}.` : ''),
                 },
-                unit_amount: total_pence, 
+                // The voucher credit comes off the price; a promo code is still shown as a coupon
+                unit_amount: price.totalPence - voucherPence, 
             },
             quantity: 1,
         };
         // --- End Line Item Definition ---
 
-        const session = await stripe.checkout.sessions.create({
+        // Discounts are applied through a one-off Stripe coupon so Checkout shows the reduced total
+        const discounts = [];
+        if (promotion && promotion.discountPence > 0) {
+            const coupon = await createStripeCoupon(payments, promotion.promo, promotion.discountPence);
+            discounts.push({ coupon: coupon.id });
+        }
+
+        const session = await payments.createCheckoutSession({
             payment_method_types: ['card'],
             line_items: [lineItem],
+            discounts: discounts,
             mode: 'payment',
             customer_email: email,    
-            
-            metadata: {
-                table_ids: table_ids.join(','),
-                booking_date: booking_date,
-                booking_time: booking_time,
-                booking_end_time: calculatedEndTime, 
-                customer_name: customer_name,
-                party_size: party_size.toString(),
-                tenant_id: tenant_id,
-                booking_ref: booking_ref || 'N/A',
-                receive_offers: receive_offers ? 'TRUE' : 'FALSE',
-                email: email
+            // Stripe's minimum session lifetime; expiry fires checkout.session.expired so the hold is released
+            expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
+
+            // Copied onto the charge so refund events can be traced back to the booking
+            payment_intent_data: {
+                metadata: {
+                    tenant_id: tenant_id,
+                    booking_ref: booking_ref || 'N/A'
+                }
             },
+            
+            metadata: metadata,
 
-            success_url: `https://book.dineselect.co/success.html?session_id={CHECKOUT_SESSION_ID}&tenant_id=${tenant_id}&booking_ref=${booking_ref}`,
+            success_url: successUrl,
             cancel_url: `https://book.dineselect.co/pick-seat.html?tenant_id=${tenant_id}&conflict=true`,    
         });
 
+        // From here the session's expiry (or payment) settles the hold, voucher credit and promo use
+        unclaimed.holdIds = [];
+        unclaimed.voucherRef = null;
+        unclaimed.promoRedemptionId = null;
+
         return res.status(200).json({ url: session.url });
 
     } catch (error) {
         console.error('Stripe Checkout Creation Error:', error);
+        await releaseUnclaimed();
         return res.status(500).json({ error: 'Internal Server Error during checkout creation.' });
     }
 };
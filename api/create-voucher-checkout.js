@@ -0,0 +1,111 @@
+import Stripe from 'stripe';
+import { createClient } from '@supabase/supabase-js';
+import { getTenantProfile } from '../lib/tenants.js';
+import { MAX_VOUCHER_PENCE, MIN_VOUCHER_PENCE, VOUCHER_VALID_MONTHS } from '../lib/vouchers.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_MESSAGE_LENGTH = 300;
+
+
+// --- MAIN HANDLER ---
+// POST /api/create-voucher-checkout
+//   { tenant_id, amount_pence, email, purchaser_name?, recipient_name?, recipient_email?, message? }
+// Starts a Stripe Checkout for a gift voucher (checkout_mode 'gift_voucher'). Once it is paid
+// the webhook issues the voucher code and emails it (to the recipient, copying the buyer).
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
+
+    try {
+        const { tenant_id, amount_pence, email, purchaser_name, recipient_name, recipient_email, message } = req.body || {};
+        const amountPence = Number(amount_pence);
+
+        if (!tenant_id || !EMAIL_PATTERN.test(email || '')) {
+            return res.status(400).json({ error: 'Missing or invalid data: tenant_id and a valid email are required.' });
+        }
+
+        if (recipient_email && !EMAIL_PATTERN.test(recipient_email)) {
+            return res.status(400).json({ error: 'recipient_email is not a valid email address.' });
+        }
+
+        // Whole pounds only, within the limits
+        if (!Number.isInteger(amountPence) || amountPence % 100 !== 0 || amountPence < MIN_VOUCHER_PENCE || amountPence > MAX_VOUCHER_PENCE) {
+            return res.status(422).json({
+                error: `Vouchers can be bought in whole pounds from £${MIN_VOUCHER_PENCE / 100} to £${MAX_VOUCHER_PENCE / 100}.`,
+                status: 'invalid_amount',
+            });
+        }
+
+        if (message && String(message).length > MAX_MESSAGE_LENGTH) {
+            return res.status(422).json({ error: `The gift message can be at most ${MAX_MESSAGE_LENGTH} characters.`, status: 'message_too_long' });
+        }
+
+        const { data: tenantRow, error: tenantError } = await supabase
+            .from('tenants')
+            .select('tenant_id')
+            .eq('tenant_id', tenant_id)
+            .maybeSingle();
+
+        if (tenantError) {
+            console.error('Voucher Checkout Error: Could not load tenant:', tenantError.message);
+            return res.status(500).json({ error: 'Could not start the voucher purchase.' });
+        }
+
+        if (!tenantRow) {
+            return res.status(404).json({ error: 'Restaurant not found.', status: 'not_found' });
+        }
+
+        const tenant = await getTenantProfile(supabase, tenant_id);
+
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: [{
+                price_data: {
+                    currency: 'gbp',
+                    product_data: {
+                        name: `Premium Table Gift Voucher - ${tenant.displayName}`,
+                        description: `£${(amountPence / 100).toFixed(2)} to spend on premium tables. Valid for ${VOUCHER_VALID_MONTHS} months.`,
+                    },
+                    unit_amount: amountPence,
+                },
+                quantity: 1,
+            }],
+            mode: 'payment',
+            customer_email: email,
+            expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
+
+            payment_intent_data: {
+                metadata: { tenant_id, checkout_mode: 'gift_voucher' },
+            },
+
+            // Stripe metadata values are capped at 500 characters
+            metadata: {
+                checkout_mode: 'gift_voucher',
+                tenant_id,
+                voucher_amount_pence: String(amountPence),
+                email,
+                purchaser_name: purchaser_name || '',
+                recipient_name: recipient_name || '',
+                recipient_email: recipient_email || '',
+                message: message ? String(message) : '',
+            },
+
+            success_url: `https://book.dineselect.co/success.html?session_id={CHECKOUT_SESSION_ID}&tenant_id=${encodeURIComponent(tenant_id)}&voucher=true`,
+            cancel_url: `https://book.dineselect.co/gift-voucher.html?tenant_id=${encodeURIComponent(tenant_id)}`,
+        });
+
+        return res.status(200).json({ url: session.url });
+
+    } catch (error) {
+        console.error('Voucher Checkout Creation Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during voucher checkout creation.' });
+    }
+};
@@ -0,0 +1,60 @@
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import { processWaitlist } from '../lib/waitlist.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// --- WAITLIST SWEEP (Vercel cron, see vercel.json) ---
+// Cancellations, refunds and expired Checkout sessions offer freed tables straight away.
+// Checkout holds and waitlist offers simply lapse, and staff can remove bookings from the
+// admin map directly, so this run picks up whatever those freed and moves lapsed offers on
+// to the next guest in line.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+// --- MAIN HANDLER ---
+
+export default async (req, res) => {
+    // Vercel sends the project's CRON_SECRET as a bearer token on cron invocations
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Yesterday as well, so late sittings in time zones behind UTC are still handled
+    const since = new Date(Date.now() - DAY_MS).toISOString().substring(0, 10);
+
+    try {
+        // Entries for days that are over can no longer be offered anything
+        await supabase
+            .from('waitlist_entries')
+            .update({ status: 'expired' })
+            .lt('date', since)
+            .in('status', ['waiting', 'offered']);
+
+        const { data: entries, error } = await supabase
+            .from('waitlist_entries')
+            .select('tenant_id, date')
+            .gte('date', since)
+            .in('status', ['waiting', 'offered']);
+
+        if (error) {
+            throw new Error(`Could not load waitlist: ${error.message}`);
+        }
+
+        const sittingDays = new Map(entries.map(e => [`${e.tenant_id}|${e.date}`, { tenantId: e.tenant_id, date: e.date }]));
+
+        let offers = 0;
+        for (const day of sittingDays.values()) {
+            offers += await processWaitlist(supabase, resend, day);
+        }
+
+        console.log(`[WAITLIST SWEEP] Checked ${sittingDays.size} day(s), sent ${offers} offer(s).`);
+        return res.status(200).json({ status: 'completed', days_checked: sittingDays.size, offers_sent: offers });
+
+    } catch (error) {
+        console.error('Waitlist Sweep Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during waitlist sweep.' });
+    }
+};
@@ -0,0 +1,71 @@
+import { createClient } from '@supabase/supabase-js';
+import { resolveBookingEndTime } from '../lib/booking-times.js';
+import { buildBookingQuote } from '../lib/quotes.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+
+// --- MAIN HANDLER ---
+// GET /api/quote?tenant_id=...&date=YYYY-MM-DD&time=HH:MM&party_size=4&table_ids=3,4
+// Returns the price breakdown create-checkout will charge for this selection, so the
+// seat picker can show it before the customer pays.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).send('Method Not Allowed');
+    }
+
+    const { tenant_id, date, time, party_size, table_ids, booking_ref } = req.query;
+    const tableIds = String(table_ids || '').split(',').filter(Boolean).map(Number);
+
+    if (!tenant_id || !DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '') || tableIds.length === 0 || tableIds.some(isNaN)) {
+        return res.status(400).json({ error: 'Missing or invalid data: tenant_id, date (YYYY-MM-DD), time (HH:MM) and table_ids are required.' });
+    }
+
+    try {
+        const { endTime } = await resolveBookingEndTime(supabase, {
+            tenantId: tenant_id,
+            bookingDate: date,
+            startTime: time,
+            partySize: party_size,
+        });
+
+        const quote = await buildBookingQuote(supabase, {
+            tenantId: tenant_id,
+            tableIds,
+            date,
+            startTime: time,
+            endTime,
+            excludeBookingRef: booking_ref,
+        });
+
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error, status: 'invalid_tables' });
+        }
+
+        return res.status(200).json({
+            tenant_id,
+            date,
+            start_time: time,
+            end_time: endTime,
+            total_pence: quote.totalPence,
+            occupancy: quote.occupancy,
+            lines: quote.lines,
+        });
+
+    } catch (error) {
+        console.error('Quote Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during price quote.' });
+    }
+};
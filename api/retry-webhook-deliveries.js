@@ -0,0 +1,75 @@
+import { createClient } from '@supabase/supabase-js';
+import { attemptDelivery, claimDelivery } from '../lib/outbound-webhooks.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// --- OUTBOUND WEBHOOK RETRIES (Vercel cron, see vercel.json) ---
+// Sends every delivery whose backoff has elapsed, plus any left 'sending' by a run that died
+// mid-send. Deliveries give up after MAX_DELIVERY_ATTEMPTS and can then be re-sent by staff.
+
+const STALE_SENDING_MINUTES = 5;
+const BATCH_SIZE = 50;
+
+
+// --- MAIN HANDLER ---
+
+export default async (req, res) => {
+    // Vercel sends the project's CRON_SECRET as a bearer token on cron invocations
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000).toISOString();
+    const summary = { delivered: 0, pending: 0, failed: 0 };
+
+    try {
+        const { data: due, error } = await supabase
+            .from('webhook_deliveries')
+            .select('*')
+            .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.sending,last_attempt_at.lt.${staleBefore})`)
+            .order('next_attempt_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Could not load due deliveries: ${error.message}`);
+        }
+
+        const subscriptionIds = [...new Set(due.map(d => d.subscription_id))];
+        const { data: subscriptions, error: subscriptionError } = subscriptionIds.length > 0
+            ? await supabase.from('webhook_subscriptions').select('*').in('id', subscriptionIds)
+            : { data: [] };
+
+        if (subscriptionError) {
+            throw new Error(`Could not load subscriptions: ${subscriptionError.message}`);
+        }
+
+        const subscriptionMap = new Map(subscriptions.map(s => [s.id, s]));
+
+        for (const delivery of due) {
+            const subscription = subscriptionMap.get(delivery.subscription_id);
+
+            if (!subscription || !subscription.is_active) {
+                await supabase
+                    .from('webhook_deliveries')
+                    .update({ status: 'failed', next_attempt_at: null, last_error: 'Subscription removed or disabled.' })
+                    .eq('id', delivery.id);
+                summary.failed += 1;
+                continue;
+            }
+
+            const claimed = await claimDelivery(supabase, delivery);
+            if (!claimed) continue; // Another run got there first
+
+            const status = await attemptDelivery(supabase, claimed, subscription);
+            summary[status] += 1;
+        }
+
+        console.log(`[OUTBOUND WEBHOOK RETRIES] ${summary.delivered} delivered, ${summary.pending} rescheduled, ${summary.failed} gave up.`);
+        return res.status(200).json({ status: 'completed', ...summary });
+
+    } catch (error) {
+        console.error('Outbound Webhook Retry Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during webhook retries.' });
+    }
+};
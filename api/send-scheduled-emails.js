@@ -0,0 +1,223 @@
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import { INACTIVE_PAYMENT_STATUSES } from '../lib/availability.js';
+import { buildCancelBookingUrl, buildUnsubscribeUrl, requireBookingTokenSecret } from '../lib/booking-tokens.js';
+import { getTenantProfile, withTenantSender } from '../lib/tenants.js';
+import { listUnsubscribeHeaders, renderEmail } from '../lib/email-templates.js';
+import { buildCalendarLinks, getBookingInstants } from '../lib/calendar.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// --- SCHEDULED GUEST EMAILS (Vercel cron, see vercel.json) ---
+// Every run scans upcoming and recent bookings and sends:
+//   'reminder'       - reminder_hours_before the sitting starts
+//   'review_request' - review_request_hours_after it ends, to marketing opt-ins only
+// Timings come from tenants.notification_settings (see lib/tenants.js).
+// Each send is claimed first in `scheduled_emails`
+//   (booking_ref, tenant_id, email_type, recipient, status 'sending' | 'sent', resend_id, sent_at;
+//    unique on booking_ref + email_type)
+// so overlapping runs and retries can never send the same email twice.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest reminder lead time the scan supports, and how long after it fell due a review
+// request may still go out (so switching the feature on does not email months of past guests).
+const MAX_REMINDER_HOURS = 7 * 24;
+const REVIEW_REQUEST_SEND_WINDOW_HOURS = 48;
+
+// Postgres unique_violation: another run already claimed this email
+const UNIQUE_VIOLATION = '23505';
+
+const toDateString = instant => instant.toISOString().substring(0, 10);
+
+
+// --- UTILITY FUNCTIONS ---
+
+/**
+ * Loads every active booking with a guest email in the scan window, grouped by booking_ref.
+ */
+async function loadCandidateBookings(now) {
+    const { data: slots, error } = await supabase
+        .from('premium_slots')
+        .select('*')
+        .gte('date', toDateString(new Date(now.getTime() - (REVIEW_REQUEST_SEND_WINDOW_HOURS + 48) * HOUR_MS)))
+        .lte('date', toDateString(new Date(now.getTime() + (MAX_REMINDER_HOURS + 24) * HOUR_MS)))
+        .not('customer_email', 'is', null)
+        .not('payment_status', 'in', `(${INACTIVE_PAYMENT_STATUSES.join(',')})`);
+
+    if (error) {
+        throw new Error(`Could not load bookings: ${error.message}`);
+    }
+
+    const bookings = new Map();
+    slots.forEach(slot => {
+        if (!slot.booking_ref) return;
+        if (!bookings.has(slot.booking_ref)) {
+            bookings.set(slot.booking_ref, { ...slot, table_ids: [] });
+        }
+        bookings.get(slot.booking_ref).table_ids.push(slot.table_id);
+    });
+
+    return Array.from(bookings.values());
+}
+
+/**
+ * Returns a Set of "booking_ref:email_type" keys already claimed or sent.
+ */
+async function loadSentKeys(bookingRefs) {
+    if (bookingRefs.length === 0) return new Set();
+
+    const { data, error } = await supabase
+        .from('scheduled_emails')
+        .select('booking_ref, email_type')
+        .in('booking_ref', bookingRefs);
+
+    if (error) {
+        throw new Error(`Could not load sent emails: ${error.message}`);
+    }
+
+    return new Set(data.map(row => `${row.booking_ref}:${row.email_type}`));
+}
+
+/**
+ * Returns the guests (lower-cased emails) subscribed to this tenant's marketing emails.
+ */
+async function loadSubscribedEmails(tenantId, emails) {
+    const { data, error } = await supabase
+        .from('marketing_optins')
+        .select('email')
+        .eq('tenant_id', tenantId)
+        .eq('is_subscribed', true)
+        .in('email', emails);
+
+    if (error) {
+        console.error(`Scheduled Email Error: Could not load opt-ins for ${tenantId}:`, error.message);
+        return new Set();
+    }
+
+    return new Set(data.map(row => row.email.toLowerCase()));
+}
+
+/**
+ * Claims, sends and records one email. The claim row is removed if sending fails,
+ * so the next run tries again. Returns 'sent', 'duplicate' or 'failed'.
+ */
+async function sendScheduledEmail(booking, tenant, emailType, message) {
+    const { error: claimError } = await supabase
+        .from('scheduled_emails')
+        .insert({
+            booking_ref: booking.booking_ref,
+            tenant_id: booking.tenant_id,
+            email_type: emailType,
+            recipient: booking.customer_email,
+            status: 'sending',
+        });
+
+    if (claimError) {
+        if (claimError.code !== UNIQUE_VIOLATION) {
+            console.error(`Scheduled Email Error: Could not claim ${emailType} for ref ${booking.booking_ref}:`, claimError.message);
+            return 'failed';
+        }
+        return 'duplicate';
+    }
+
+    try {
+        const { data, error } = await resend.emails.send(withTenantSender(tenant, {
+            to: booking.customer_email,
+            ...message,
+        }));
+        if (error) throw new Error(error.message);
+
+        await supabase
+            .from('scheduled_emails')
+            .update({ status: 'sent', resend_id: data ? data.id : null, sent_at: new Date().toISOString() })
+            .eq('booking_ref', booking.booking_ref)
+            .eq('email_type', emailType);
+
+        console.log(`[SCHEDULED EMAIL] Sent ${emailType} for ref ${booking.booking_ref} to ${booking.customer_email}.`);
+        return 'sent';
+    } catch (error) {
+        console.error(`Scheduled Email Error: Failed to send ${emailType} for ref ${booking.booking_ref}:`, error.message);
+        await supabase
+            .from('scheduled_emails')
+            .delete()
+            .eq('booking_ref', booking.booking_ref)
+            .eq('email_type', emailType);
+        return 'failed';
+    }
+}
+
+
+// --- MAIN HANDLER ---
+
+export default async (req, res) => {
+    // Vercel sends the project's CRON_SECRET as a bearer token on cron invocations
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Every reminder and review email carries signed links
+    if (!requireBookingTokenSecret(res)) return;
+
+    const now = new Date();
+    const summary = { reminder: 0, review_request: 0, failed: 0 };
+
+    try {
+        const bookings = await loadCandidateBookings(now);
+        const sentKeys = await loadSentKeys(bookings.map(b => b.booking_ref));
+        const tenants = new Map();
+        const subscribers = new Map();
+
+        for (const booking of bookings) {
+            if (!tenants.has(booking.tenant_id)) {
+                tenants.set(booking.tenant_id, await getTenantProfile(supabase, booking.tenant_id));
+            }
+            const tenant = tenants.get(booking.tenant_id);
+            const { start, end } = getBookingInstants(booking, tenant.timeZone);
+
+            // 1. Reminder before the sitting
+            const reminderHours = Number(tenant.reminderHoursBefore);
+            if (reminderHours > 0 && !sentKeys.has(`${booking.booking_ref}:reminder`)
+                && now >= new Date(start.getTime() - reminderHours * HOUR_MS) && now < start) {
+                const message = renderEmail('customer_reminder', {
+                    booking,
+                    cancelUrl: booking.is_manual_booking ? null : buildCancelBookingUrl(booking.booking_ref),
+                    calendarLinks: buildCalendarLinks(booking, tenant),
+                }, tenant);
+                const result = await sendScheduledEmail(booking, tenant, 'reminder', message);
+                if (result === 'sent') summary.reminder += 1;
+                if (result === 'failed') summary.failed += 1;
+            }
+
+            // 2. Thank-you / review request after the visit, opted-in guests only
+            const reviewHours = Number(tenant.reviewRequestHoursAfter);
+            const reviewDueAt = new Date(end.getTime() + reviewHours * HOUR_MS);
+            if (reviewHours > 0 && !sentKeys.has(`${booking.booking_ref}:review_request`)
+                && now >= reviewDueAt && now < new Date(reviewDueAt.getTime() + REVIEW_REQUEST_SEND_WINDOW_HOURS * HOUR_MS)) {
+                if (!subscribers.has(booking.tenant_id)) {
+                    const tenantEmails = [...new Set(bookings.filter(b => b.tenant_id === booking.tenant_id).map(b => b.customer_email))];
+                    subscribers.set(booking.tenant_id, await loadSubscribedEmails(booking.tenant_id, tenantEmails));
+                }
+
+                if (subscribers.get(booking.tenant_id).has(booking.customer_email.toLowerCase())) {
+                    const unsubscribeUrl = buildUnsubscribeUrl(booking.tenant_id, booking.customer_email);
+                    const message = {
+                        ...renderEmail('customer_review_request', { booking, reviewUrl: tenant.reviewUrl, unsubscribeUrl }, tenant),
+                        headers: listUnsubscribeHeaders(unsubscribeUrl),
+                    };
+                    const result = await sendScheduledEmail(booking, tenant, 'review_request', message);
+                    if (result === 'sent') summary.review_request += 1;
+                    if (result === 'failed') summary.failed += 1;
+                }
+            }
+        }
+
+        console.log(`[SCHEDULED EMAILS] Run complete: ${summary.reminder} reminders, ${summary.review_request} review requests, ${summary.failed} failed.`);
+        return res.status(200).json({ status: 'completed', sent: summary });
+
+    } catch (error) {
+        console.error('Scheduled Email Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error during scheduled emails.' });
+    }
+};
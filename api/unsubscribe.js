@@ -0,0 +1,83 @@
+import { createClient } from '@supabase/supabase-js';
+import { requireBookingTokenSecret, verifyBookingToken } from '../lib/booking-tokens.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+
+// --- UTILITY FUNCTIONS ---
+
+/**
+ * Small confirmation page for the link in the email body. Unsubscribing only happens on the POST,
+ * so mail scanners that pre-fetch links cannot withdraw consent by accident.
+ */
+function renderConfirmPage() {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto; text-align: center;">
+    <h1>Unsubscribe from offers?</h1>
+    <p>You will no longer receive offers or review requests from this restaurant. Booking confirmations are not affected.</p>
+    <button id="confirm" style="padding: 12px 24px; font-size: 16px;">Unsubscribe</button>
+    <p id="result"></p>
+    <script>
+        document.getElementById('confirm').onclick = async (e) => {
+            e.target.disabled = true;
+            const res = await fetch(window.location.pathname + window.location.search, { method: 'POST' });
+            const data = await res.json();
+            document.getElementById('result').textContent = data.message || data.error;
+        };
+    </script>
+</body>
+</html>`;
+}
+
+
+// --- MAIN HANDLER ---
+// GET  /unsubscribe?tenant_id=...&email=...&token=...  confirmation page (link in the email body)
+// POST /unsubscribe?tenant_id=...&email=...&token=...  withdraws consent. Mail clients call this
+//      directly for the List-Unsubscribe / List-Unsubscribe-Post one-click header (RFC 8058).
+
+export default async (req, res) => {
+    if (!requireBookingTokenSecret(res)) return;
+
+    const { tenant_id, email, token } = req.query;
+    const subject = `${tenant_id}:${String(email || '').toLowerCase()}`;
+    const isValid = Boolean(tenant_id && email) && verifyBookingToken(subject, 'unsubscribe', token);
+
+    if (req.method === 'GET') {
+        if (!isValid) {
+            return res.status(403).send('This unsubscribe link is invalid.');
+        }
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderConfirmPage());
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).send('Method Not Allowed');
+    }
+
+    if (!isValid) {
+        return res.status(403).json({ error: 'Invalid unsubscribe link.' });
+    }
+
+    try {
+        const { error } = await supabase
+            .from('marketing_optins')
+            .update({ is_subscribed: false, unsubscribed_at: new Date().toISOString() })
+            .eq('tenant_id', tenant_id)
+            .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+            .eq('is_subscribed', true);
+
+        if (error) {
+            console.error('Unsubscribe Error: Could not update opt-in:', error.message);
+            return res.status(500).json({ error: 'Could not unsubscribe you. Please try again later.' });
+        }
+
+        console.log(`[UNSUBSCRIBE] ${email} withdrew marketing consent for tenant ${tenant_id}.`);
+        return res.status(200).json({ message: 'You have been unsubscribed and will not receive further offers.' });
+
+    } catch (err) {
+        console.error('Unsubscribe Error:', err);
+        return res.status(500).json({ error: 'Internal Server Error during unsubscribe.' });
+    }
+};
@@ -0,0 +1,121 @@
+import { createClient } from '@supabase/supabase-js';
+import { zonedTimeToUtc } from '../lib/booking-times.js';
+import { getTenantTableRules } from '../lib/table-rules.js';
+import { getTenantProfile } from '../lib/tenants.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+
+// --- MAIN HANDLER ---
+// POST /api/waitlist
+//   { tenant_id, date, time, party_size, email, customer_name? }
+// Puts a guest on the waitlist for a fully booked sitting. When tables come free they are
+// offered to waiting guests one at a time, in the order they joined (see lib/waitlist.js).
+// Joining twice for the same sitting keeps the original place in the queue.
+
+export default async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', 'https://book.dineselect.co');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
+
+    try {
+        const { tenant_id, date, time, party_size, email, customer_name } = req.body || {};
+        const partySize = Number(party_size);
+
+        if (!tenant_id || !DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '') || !EMAIL_PATTERN.test(email || '')) {
+            return res.status(400).json({ error: 'Missing or invalid data: tenant_id, date (YYYY-MM-DD), time (HH:MM) and a valid email are required.' });
+        }
+
+        const rules = await getTenantTableRules(supabase, tenant_id);
+        if (!Number.isInteger(partySize) || partySize < rules.minPartySize || partySize > rules.maxPartySize) {
+            return res.status(422).json({ error: `Party size must be between ${rules.minPartySize} and ${rules.maxPartySize}.`, status: 'party_size_out_of_range' });
+        }
+
+        const tenant = await getTenantProfile(supabase, tenant_id);
+        if (zonedTimeToUtc(date, time, tenant.timeZone) <= new Date()) {
+            return res.status(422).json({ error: 'This sitting has already started.', status: 'sitting_started' });
+        }
+
+        // Already queued for this sitting? Keep the original place.
+        const { data: existing, error: existingError } = await supabase
+            .from('waitlist_entries')
+            .select('id, created_at, status, offer_expires_at')
+            .eq('tenant_id', tenant_id)
+            .eq('date', date)
+            .eq('start_time', time)
+            .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+            .in('status', ['waiting', 'offered'])
+            .maybeSingle();
+
+        if (existingError) {
+            console.error('Waitlist Error: Could not check existing entries:', existingError.message);
+            return res.status(500).json({ error: 'Could not join the waitlist. Please try again.' });
+        }
+
+        let entry = existing;
+        if (!entry) {
+            const { data: inserted, error: insertError } = await supabase
+                .from('waitlist_entries')
+                .insert({
+                    tenant_id,
+                    date,
+                    start_time: time,
+                    party_size: partySize,
+                    email: email.trim(),
+                    customer_name: customer_name || null,
+                    status: 'waiting',
+                })
+                .select('id, created_at, status')
+                .single();
+
+            if (insertError) {
+                console.error('Waitlist Error: Could not add entry:', insertError.message);
+                return res.status(500).json({ error: 'Could not join the waitlist. Please try again.' });
+            }
+            entry = inserted;
+            console.log(`[WAITLIST JOINED] Entry ${entry.id} for ${tenant_id} on ${date} at ${time} (party of ${partySize}).`);
+        }
+
+        // A table is already on offer to this guest: they are no longer in the queue
+        if (entry.status === 'offered') {
+            return res.status(200).json({
+                status: 'offered',
+                waitlist_id: entry.id,
+                offer_expires_at: entry.offer_expires_at,
+                message: "A table has already been offered to you. Check your email to book it before the offer runs out.",
+            });
+        }
+
+        const { count, error: countError } = await supabase
+            .from('waitlist_entries')
+            .select('id', { count: 'exact', head: true })
+            .eq('tenant_id', tenant_id)
+            .eq('date', date)
+            .eq('start_time', time)
+            .eq('status', 'waiting')
+            .lte('created_at', entry.created_at);
+
+        if (countError) {
+            console.error('Waitlist Error: Could not work out queue position:', countError.message);
+            return res.status(500).json({ error: 'Could not check your place on the waitlist. Please try again.' });
+        }
+
+        return res.status(existing ? 200 : 201).json({
+            status: 'waiting',
+            waitlist_id: entry.id,
+            position: count || 1,
+            message: "You're on the waitlist. We'll email you as soon as a table comes free.",
+        });
+
+    } catch (error) {
+        console.error('Waitlist Error:', error);
+        return res.status(500).json({ error: 'Internal Server Error while joining the waitlist.' });
+    }
+};
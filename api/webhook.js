@@ -1,148 +1,433 @@
-import Stripe from 'stripe';
-import { createClient } from '@supabase/supabase-js';
-import { Resend } from 'resend';
+import { requireBookingTokenSecret } from '../lib/booking-tokens.js';
+import { getTenantProfile, withTenantSender } from '../lib/tenants.js';
+import { renderEmail } from '../lib/email-templates.js';
+import { loadActiveBooking, moveBookingSlots, sendBookingUpdatedEmails } from '../lib/booking-changes.js';
+import { notifyWaitlist } from '../lib/waitlist.js';
+import { bookingEventData, emitBookingEvent } from '../lib/outbound-webhooks.js';
+import { issueGiftVoucher, releaseVoucherRedemption } from '../lib/vouchers.js';
+import { releasePromoRedemption } from '../lib/promotions.js';
+import { bookPaidSession, issueConflictRefund, releaseHolds, sendBookingNotification } from '../lib/paid-bookings.js';
+import { getServices } from '../lib/services.js';
 
-const resend = new Resend(process.env.RESEND_API_KEY);
 
-const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
-const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// --- EVENT HANDLERS ---
 
-const stripe = new Stripe(stripeSecretKey);
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
+// Every Stripe event type this webhook acts on. Anything else is acknowledged and ignored.
+const HANDLED_EVENT_TYPES = [
+    'checkout.session.completed',
+    'checkout.session.async_payment_succeeded',
+    'checkout.session.async_payment_failed',
+    'checkout.session.expired',
+    'charge.refunded',
+];
 
+// Delayed payment methods can take several business days to clear, so their hold
+// is stretched to cover that window instead of the usual 5 minutes.
+const ASYNC_PAYMENT_HOLD_DAYS = 14;
 
-// --- UTILITY FUNCTIONS ---
+// webhook_events.status lifecycle:
+//   processing -> completed | conflict (tables lost, customer refunded) | failed (error_message set)
+// `failed` events are processed again when Stripe re-delivers them, or on demand through
+// /api/admin-replay-webhook. A row still `processing` after STALE_PROCESSING_MINUTES belongs to
+// a crashed attempt and is retried the same way. Each row also keeps `attempts`,
+// `last_attempt_at` and `payload` (the verified Stripe event, so it can be replayed).
+const FINAL_EVENT_STATUSES = ['completed', 'conflict'];
+const STALE_PROCESSING_MINUTES = 5;
 
-async function getTenantDisplayName(tenantId) {
-    const { data, error } = await supabase
-        .from('tenants')
-        .select('display_name')
-        .eq('tenant_id', tenantId)
+// Postgres unique_violation: another delivery of the same event logged it first
+const UNIQUE_VIOLATION = '23505';
+
+async function recordEventOutcome(eventId, status, errorMessage = null) {
+    const { supabase } = getServices();
+    const { error: updateError } = await supabase
+        .from('webhook_events')
+        .update({ status: status, error_message: errorMessage })
+        .eq('stripe_event_id', eventId);
+
+    if (updateError) {
+        console.error(`Failed to mark webhook_event ${eventId} as ${status}:`, updateError.message);
+    }
+}
+
+/**
+ * Takes ownership of an event before processing it, so two deliveries never run it at once.
+ * New events are logged as `processing`; failed and stale ones are moved back to `processing`.
+ * `force` also re-runs completed and conflict events (admin replay only).
+ * Returns { claimed: true } or { claimed: false, reason: 'done' | 'in_progress' }.
+ */
+async function claimEvent(event, { force = false } = {}) {
+    const { supabase } = getServices();
+    const metadata = event.data.object.metadata || {};
+    const now = new Date();
+
+    const { data: existingEvent, error: selectError } = await supabase
+        .from('webhook_events')
+        .select('id, status, attempts, last_attempt_at')
+        .eq('stripe_event_id', event.id)
         .maybeSingle();
 
-    if (error || !data) {
-        console.error('Error fetching tenant display name:', error);
-        return tenantId;
+    if (selectError) {
+        throw new Error(`Could not check event ${event.id}: ${selectError.message}`);
     }
-    return data.display_name;
+
+    // First delivery: log the event immediately
+    if (!existingEvent) {
+        const { error: insertEventError } = await supabase
+            .from('webhook_events')
+            .insert({
+                stripe_event_id: event.id,
+                event_type: event.type,
+                tenant_id: metadata.tenant_id, 
+                status: 'processing',
+                host_notes: `Ref: ${metadata.booking_ref}`,
+                attempts: 1,
+                last_attempt_at: now.toISOString(),
+                payload: event,
+            });
+
+        if (insertEventError) {
+            if (insertEventError.code === UNIQUE_VIOLATION) {
+                return { claimed: false, reason: 'in_progress' };
+            }
+            throw new Error(`Could not log event ${event.id}: ${insertEventError.message}`);
+        }
+        return { claimed: true };
+    }
+
+    if (FINAL_EVENT_STATUSES.includes(existingEvent.status) && !force) {
+        return { claimed: false, reason: 'done' };
+    }
+
+    const lastAttempt = existingEvent.last_attempt_at ? new Date(existingEvent.last_attempt_at) : new Date(0);
+    const isStale = now - lastAttempt > STALE_PROCESSING_MINUTES * 60 * 1000;
+    if (existingEvent.status === 'processing' && !isStale) {
+        return { claimed: false, reason: 'in_progress' };
+    }
+
+    // Retry: only one caller can move the row on from the state it just read
+    let claimQuery = supabase
+        .from('webhook_events')
+        .update({
+            status: 'processing',
+            error_message: null,
+            attempts: (existingEvent.attempts || 1) + 1,
+            last_attempt_at: now.toISOString(),
+        })
+        .eq('id', existingEvent.id)
+        .eq('status', existingEvent.status);
+
+    claimQuery = existingEvent.last_attempt_at
+        ? claimQuery.eq('last_attempt_at', existingEvent.last_attempt_at)
+        : claimQuery.is('last_attempt_at', null);
+
+    const { data: claimedRows, error: claimError } = await claimQuery.select('id');
+
+    if (claimError) {
+        throw new Error(`Could not claim event ${event.id}: ${claimError.message}`);
+    }
+
+    if (claimedRows.length === 0) {
+        return { claimed: false, reason: 'in_progress' };
+    }
+
+    console.log(`[WEBHOOK RETRY] Re-processing ${existingEvent.status} event ${event.id} (attempt ${(existingEvent.attempts || 1) + 1}).`);
+    return { claimed: true };
 }
 
-// ----------------------------------------------------------------------------------
-// NEW FUNCTION: Sends the urgent refund alert to the customer.
-// ----------------------------------------------------------------------------------
-async function sendCustomerConflictAlert(booking, displayName) {
-    const customerEmail = booking.customer_email;
-    const senderEmail = 'info@dineselect.co';
-    const subject = `ACTION REQUIRED: Refund for your reservation at ${displayName} - Table Conflict`;
-    
-    const body = `
-        <p>Dear ${booking.customer_name || 'Customer'},</p>
-        <p style="color: red; font-weight: bold;">We sincerely apologize! There has been a rare double-booking conflict for your table at <b>${displayName}</b>.</p>
-        
-        <p>While your payment was successfully processed, the table was booked by another customer in the few moments you were at the checkout page. Your booking for Table ${booking.table_id} on ${booking.date} at ${booking.start_time.substring(0, 5)} is unfortunately not secured.</p>
-        
-        <p>We are processing a full refund immediately. It may take 5-10 business days to appear on your statement.</p>
-        
-        <p>Please visit the map again right now to select a new available table:</p>
-        <p><a href="https://book.dineselect.co/pick-seat.html">Choose a New Table</a></p>
-        
-        <p>Thank you for your understanding. We hope to see you soon!</p>
-    `;
-    
-    try {
-        await resend.emails.send({
-            from: senderEmail, to: customerEmail, subject: subject, html: body,
+/**
+ * Keeps the tables held while a delayed payment method (e.g. Bacs, SEPA) clears.
+ * The booking itself is only written once checkout.session.async_payment_succeeded arrives.
+ */
+async function extendHoldForAsyncPayment(session) {
+    const metadata = session.metadata || {};
+    const extendedExpiry = new Date(Date.now() + ASYNC_PAYMENT_HOLD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { error } = await getServices().bookings.extendHolds(metadata.booking_ref, extendedExpiry);
+
+    if (error) {
+        // Without the longer hold the tables could be sold while the payment clears
+        throw new Error(`Could not extend hold for ref ${metadata.booking_ref}: ${error}`);
+    }
+
+    console.log(`[ASYNC PAYMENT] Payment pending for ref ${metadata.booking_ref}; hold extended until ${extendedExpiry}.`);
+    return { status: 'completed' };
+}
+
+/**
+ * Marks the premium_slots rows of a refunded payment as REFUNDED.
+ * Charges do not carry the booking metadata, so the Checkout Session is looked up by payment intent.
+ */
+async function markSlotsRefunded(charge) {
+    const { supabase, bookings, payments, mailer } = getServices();
+
+    if (!charge.refunded) {
+        console.log(`[REFUND] Charge ${charge.id} only partially refunded; booking left as PAID.`);
+        return { status: 'completed' };
+    }
+
+    const session = await payments.findCheckoutSessionByPaymentIntent(charge.payment_intent);
+
+    if (!session) {
+        console.warn(`[REFUND] No Checkout Session found for payment intent ${charge.payment_intent}.`);
+        return { status: 'completed' };
+    }
+
+    // Customer cancellations keep their own status
+    const { slots: refundedSlots, error } = await bookings.markOrderRefunded(session.id);
+
+    if (error) {
+        throw new Error(`Could not mark slots for session ${session.id} as refunded: ${error}`);
+    }
+
+    console.log(`[REFUND SUCCESS] ${refundedSlots.length} slot(s) for session ${session.id} marked REFUNDED.`);
+
+    // The refunded tables are free again, and any gift voucher credit goes back onto the voucher
+    if (refundedSlots.length > 0) {
+        await releaseVoucherRedemption(supabase, refundedSlots[0].booking_ref, { statuses: ['reserved', 'redeemed'] });
+        await emitBookingEvent(supabase, {
+            tenantId: refundedSlots[0].tenant_id,
+            type: 'booking.cancelled',
+            key: refundedSlots[0].booking_ref || session.id,
+            data: {
+                ...bookingEventData({ ...refundedSlots[0], table_ids: refundedSlots.map(s => s.table_id) }),
+                reason: 'refunded',
+            },
         });
-        console.log(`Email Sent: Conflict alert sent to customer at ${customerEmail}.`);
-        return { success: true };
-    } catch (error) {
-        console.error('Email Error: Failed to send customer conflict alert:', error);
-        return { success: false, error: error.message };
+        await notifyWaitlist(supabase, mailer, { tenantId: refundedSlots[0].tenant_id, dates: refundedSlots.map(s => s.date) });
     }
+    return { status: 'completed' };
 }
-// ----------------------------------------------------------------------------------
 
+/**
+ * Issues the gift voucher bought in a Checkout Session (checkout_mode 'gift_voucher') and emails
+ * the code. A re-delivered event finds the voucher already issued and sends nothing again.
+ */
+async function issueVoucherForSession(session) {
+    const { supabase, mailer } = getServices();
+    const metadata = session.metadata;
 
-// NOTE: This function's subject line is now unique for each booking time.
-async function sendBookingNotification(booking, type, displayName) {
-    const staffEmail = 'geordie.kingsbeer@gmail.com';
-    const senderEmail = 'info@dineselect.co';
-    
-    // Extract date and time for the subject line
-    const bookingDate = booking.date;
-    const bookingTime = booking.start_time.substring(0, 5);
-    
-    const isConflict = type === 'BOOKING CONFLICT FAIL';
-    
-    // NEW SUBJECT LINE: Includes Date and Time to prevent email client grouping
-    const subject = isConflict 
-        ? `[ACTION REQUIRED - ${type}] ${displayName} - ${bookingDate} ${bookingTime}`
-        : `[NEW BOOKING - ${type}] ${displayName} - ${bookingDate} ${bookingTime}`;
-
-    const refundWarningHtml = isConflict
-        ? '<h3 style="color:red; font-size: 16px;">ACTION REQUIRED: MANUAL REFUND VIA STRIPE IS NEEDED.</h3><p>The table was double-booked in the database, but the customer paid. The payment must be refunded immediately.</p>'
-        : '';
-        
-    const body = `
-        <p>A booking has been processed for <b>${displayName}</b>.</p>
-        <p><strong>Customer:</strong> ${booking.customer_name || 'N/A'}</p>
-        <ul>
-            <li><strong>Party Size:</strong> ${booking.party_size || 'N/A'}</li>
-            <li><strong>Table Number(s):</strong> ${booking.table_id}</li>
-            <li><strong>Date:</strong> ${booking.date}</li>
-            <li><strong>Time:</strong> ${booking.start_time} - ${booking.end_time}</li>
-            <li><strong>Status:</strong> ${type}</li>
-            <li><strong>Stripe Order ID:</strong> ${booking.host_notes.replace('Stripe Order: ', '')}</li>
-            <li><strong>Customer Email:</strong> ${booking.customer_email || 'N/A'}</li>
-        </ul>
-        ${refundWarningHtml}
-    `;
-    
+    const { voucher, created } = await issueGiftVoucher(supabase, {
+        tenantId: metadata.tenant_id,
+        amountPence: Number(metadata.voucher_amount_pence) || session.amount_total,
+        stripeSessionId: session.id,
+        purchaserName: metadata.purchaser_name,
+        purchaserEmail: metadata.email || (session.customer_details ? session.customer_details.email : null),
+        recipientName: metadata.recipient_name,
+        recipientEmail: metadata.recipient_email,
+        message: metadata.message,
+    });
+
+    if (!created) {
+        console.log(`[VOUCHER] Voucher for session ${session.id} was already issued.`);
+        return { status: 'completed' };
+    }
+
+    console.log(`[VOUCHER ISSUED] ${voucher.code} worth ${voucher.initial_pence} for tenant ${voucher.tenant_id}.`);
+
+    const tenant = await getTenantProfile(supabase, voucher.tenant_id);
     try {
-        await resend.emails.send({
-            from: senderEmail, to: staffEmail, subject: subject, html: body,
-        });
-        console.log(`Email Sent: Successfully notified staff.`);
-        return { success: true };
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: voucher.recipient_email || voucher.purchaser_email,
+            ...(voucher.recipient_email ? { cc: voucher.purchaser_email } : {}),
+            ...renderEmail('customer_gift_voucher', { voucher }, tenant),
+        }));
+        console.log(`Email Sent: Gift voucher ${voucher.code} sent.`);
     } catch (error) {
-        console.error('Email Error: Failed to send staff notification via Resend:', error);
-        return { success: false, error: error.message };
+        console.error(`Email Error: Failed to send gift voucher ${voucher.code}:`, error);
     }
+
+    return { status: 'completed' };
 }
 
-// NOTE: sendCustomerConfirmation is now only used for the successful path
-async function sendCustomerConfirmation(booking, displayName) {
-    const senderEmail = 'info@dineselect.co';
-    const customerEmail = booking.customer_email;
-    const subject = `Your Premium Table Reservation Confirmed at ${displayName}`;
-    const body = `
-        <p>Dear ${booking.customer_name || 'Customer'},</p>
-        <p>Your premium table reservation at <b>${displayName}</b> has been successfully confirmed and paid for.</p>
-        <p><strong>Reservation Details:</strong></p>
-        <ul>
-            <li><strong>Restaurant:</strong> ${displayName}</li>
-            <li><strong>Date:</strong> ${booking.date}</li>
-            <li><strong>Time:</strong> ${booking.start_time.substring(0, 5)} - ${booking.end_time.substring(0, 5)}</li>
-            <li><strong>Table Number(s):</strong> ${booking.table_id}</li>
-            <li><strong>Party Size:</strong> ${booking.party_size || 'N/A'}</li>
-            <li><strong>Amount Paid:</strong> £${(booking.total_pence / 100).toFixed(2)}</li>
-        </ul>
-        <p>Your payment receipt has been sent separately by Stripe. Please contact us at <b>${senderEmail}</b> if you have any questions.</p>
-        <p>Thank you!</p>
-    `;
-    
+
+/**
+ * Runs the handler for an event that has already been claimed and records the outcome
+ * (completed, conflict or failed) on its webhook_events row.
+ */
+async function processStripeEvent(event) {
+    const services = getServices();
+    const { supabase, mailer } = services;
+    const eventId = event.id;
+    const metadata = event.data.object.metadata || {};
+    let outcome;
+
     try {
-        await resend.emails.send({
-            from: senderEmail, to: customerEmail, subject: subject, html: body,
+        switch (event.type) {
+            case 'checkout.session.completed':
+                // Delayed payment methods complete the session before the money arrives
+                if (metadata.checkout_mode === 'gift_voucher') {
+                    outcome = event.data.object.payment_status === 'unpaid'
+                        ? { status: 'completed' } // Issued once async_payment_succeeded arrives
+                        : await issueVoucherForSession(event.data.object);
+                } else if (event.data.object.payment_status === 'unpaid') {
+                    outcome = await extendHoldForAsyncPayment(event.data.object);
+                } else if (metadata.booking_modification_id) {
+                    outcome = await completeBookingModification(event.data.object, eventId);
+                } else {
+                    outcome = await bookPaidSession(services, event.data.object, eventId);
+                }
+                break;
+
+            case 'checkout.session.async_payment_succeeded':
+                if (metadata.checkout_mode === 'gift_voucher') {
+                    outcome = await issueVoucherForSession(event.data.object);
+                } else {
+                    outcome = metadata.booking_modification_id
+                        ? await completeBookingModification(event.data.object, eventId)
+                        : await bookPaidSession(services, event.data.object, eventId);
+                }
+                break;
+
+            case 'checkout.session.async_payment_failed':
+            case 'checkout.session.expired': {
+                console.log(`[WEBHOOK] ${event.type} for ref ${metadata.booking_ref}. Releasing hold.`);
+                const released = await releaseHolds(services, metadata.booking_ref);
+                await releaseVoucherRedemption(supabase, metadata.booking_ref, { checkoutId: metadata.checkout_id });
+                await releasePromoRedemption(supabase, metadata.promo_redemption_id);
+                if (metadata.booking_modification_id) {
+                    // The original booking stands; only the unpaid change lapses
+                    await supabase
+                        .from('booking_modifications')
+                        .update({ status: 'expired' })
+                        .eq('id', metadata.booking_modification_id)
+                        .eq('status', 'awaiting_payment');
+                }
+                // Offer the released tables to anyone waiting for them
+                if (released.length > 0) {
+                    await notifyWaitlist(supabase, mailer, { tenantId: released[0].tenant_id, dates: released.map(h => h.date) });
+                }
+                outcome = { status: 'completed' };
+                break;
+            }
+
+            case 'charge.refunded':
+                outcome = await markSlotsRefunded(event.data.object);
+                break;
+
+            default:
+                throw new Error(`No handler for event type ${event.type}.`);
+        }
+    } catch (err) {
+        console.error(`[WEBHOOK FAILURE] Event ${eventId} (${event.type}) failed:`, err);
+        outcome = { status: 'failed', error: err.message };
+    }
+
+    await recordEventOutcome(eventId, outcome.status, outcome.error || null);
+    console.log(`[WEBHOOK_EVENTS] Event ${eventId} marked ${outcome.status}.`);
+    return outcome;
+}
+
+
+/**
+ * Re-runs processing for a logged event (used by /api/admin-replay-webhook).
+ * Uses the stored payload, falling back to Stripe for events logged before payloads were kept.
+ * Completed and conflict events are only re-run with `force`.
+ * Returns { status, error } for the outcome, or { status: 'skipped', reason } if not re-run.
+ */
+export async function replayStripeEvent(stripeEventId, { force = false } = {}) {
+    const { supabase, payments } = getServices();
+
+    const { data: row, error } = await supabase
+        .from('webhook_events')
+        .select('payload')
+        .eq('stripe_event_id', stripeEventId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load event ${stripeEventId}: ${error.message}`);
+    }
+
+    const event = (row && row.payload) || await payments.retrieveEvent(stripeEventId);
+
+    if (!HANDLED_EVENT_TYPES.includes(event.type)) {
+        return { status: 'skipped', reason: `Event type ${event.type} is not handled.` };
+    }
+
+    const claim = await claimEvent(event, { force });
+    if (!claim.claimed) {
+        return { status: 'skipped', reason: claim.reason };
+    }
+
+    return processStripeEvent(event);
+}
+
+
+/**
+ * Applies a booking change once the customer has paid the difference (see /modify-booking).
+ * If the booking can no longer be moved, the top-up is refunded and the original booking stands.
+ */
+async function completeBookingModification(session, eventId) {
+    const services = getServices();
+    const { supabase, mailer } = services;
+    const modificationId = session.metadata.booking_modification_id;
+
+    const { data: modification, error } = await supabase
+        .from('booking_modifications')
+        .select('*')
+        .eq('id', modificationId)
+        .maybeSingle();
+
+    if (error || !modification) {
+        throw new Error(`Could not load booking modification ${modificationId}: ${error ? error.message : 'not found'}`);
+    }
+
+    if (modification.status === 'completed') {
+        console.log(`[MODIFY] Change ${modificationId} already applied.`);
+        return { status: 'completed' };
+    }
+
+    const tenant = await getTenantProfile(supabase, modification.tenant_id);
+    const { booking, slots, error: loadError } = await loadActiveBooking(supabase, modification.booking_ref);
+
+    const moved = loadError
+        ? { error: loadError }
+        : await moveBookingSlots(supabase, slots, {
+            tableIds: modification.table_ids,
+            date: modification.date,
+            startTime: modification.start_time,
+            endTime: modification.end_time,
+            totalPence: modification.new_total_pence,
         });
-        console.log(`Email Sent: Successfully notified customer at ${customerEmail}.`);
-        return { success: true };
-    } catch (error) {
-        console.error('Email Error: Failed to send customer confirmation via Resend:', error);
-        return { success: false, error: error.message };
+
+    await releaseHolds(services, modification.booking_ref);
+
+    if (moved.error) {
+        console.warn(`[MODIFY FAILURE] Change ${modificationId} for ref ${modification.booking_ref} could not be applied. Refunding top-up.`);
+        const refund = await issueConflictRefund(services, session, eventId);
+
+        await supabase
+            .from('booking_modifications')
+            .update({ status: 'conflict', error_message: moved.error })
+            .eq('id', modificationId);
+
+        const attempted = {
+            ...(booking || {}),
+            booking_ref: modification.booking_ref,
+            table_ids: modification.table_ids,
+            date: modification.date,
+            start_time: modification.start_time,
+            end_time: modification.end_time,
+            stripe_order_id: session.id,
+            customer_email: session.customer_email || (booking && booking.customer_email),
+        };
+        await sendBookingNotification(mailer, attempted, 'BOOKING CONFLICT FAIL', tenant, refund);
+
+        return { status: 'conflict', error: `Change ${modificationId}: ${moved.error}` };
     }
+
+    await supabase
+        .from('booking_modifications')
+        .update({ status: 'completed' })
+        .eq('id', modificationId);
+
+    await sendBookingUpdatedEmails(mailer, {
+        booking: moved.booking,
+        previous: booking,
+        tenant,
+        priceChange: { chargedPence: session.amount_total },
+    });
+
+    return { status: 'completed' };
 }
 
 
@@ -163,180 +448,54 @@ export default async (req, res) => {
         return res.status(405).send('Method Not Allowed');
     }
 
+    // Confirmation emails carry signed cancel links. Without the secret, refuse before claiming
+    // the event so Stripe keeps re-delivering it until the configuration is fixed.
+    if (!requireBookingTokenSecret(res)) return;
+
     let event;
     try {
         const buf = await getRawBody(req);
         const signature = req.headers['stripe-signature'];
         
-        event = stripe.webhooks.constructEvent(
-            buf.toString(), 
-            signature, 
-            webhookSecret
-        );
+        event = getServices().payments.constructWebhookEvent(buf.toString(), signature);
     } catch (err) {
         console.error(`[WEBHOOK FAILURE] Signature verification failed: ${err.message}`);
         return res.status(400).send(`Webhook Error: ${err.message}`); 
     }
     
-    const eventId = event.id;
-    const metadata = event.data.object.metadata || {};
-
-    // 1. IDEMPOTENCY CHECK
-    const { data: existingEvent, error: selectError } = await supabase
-        .from('webhook_events')
-        .select('id')
-        .eq('stripe_event_id', eventId)
-        .maybeSingle();
-
-    if (selectError) {
-        console.error('[IDEMPOTENCY FAILURE] Supabase Select Error:', selectError.message);
-        return res.status(500).send(`Database Error: Could not check event ${eventId}`);
-    } else if (existingEvent) {
-        console.log(`[IDEMPOTENCY] Event ${eventId} already processed.`);
+    // Anything we do not act on is acknowledged and never logged
+    if (!HANDLED_EVENT_TYPES.includes(event.type)) {
+        console.log(`[WEBHOOK] Ignoring unhandled event type ${event.type}.`);
         return res.status(200).json({ received: true });
     }
-    
-    // --- START PROCESSING EVENT ---
-
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        
-        // 2. LOG THE EVENT IMMEDIATELY
-        const { error: insertEventError } = await supabase
-            .from('webhook_events')
-            .insert({
-                stripe_event_id: eventId,
-                event_type: event.type,
-                tenant_id: metadata.tenant_id, 
-                status: 'processing',
-                host_notes: `Ref: ${metadata.booking_ref}`,
-            });
 
-        if (insertEventError) {
-            console.error('[WEBHOOK_EVENTS FAILURE] CRITICAL: Failed to log new event:', insertEventError.message);
-            return res.status(500).send(`Database Error: Could not log event ${eventId}`); 
-        } else {
-            console.log('[WEBHOOK_EVENTS SUCCESS] Event logged as processing.');
-        }
+    // 1. IDEMPOTENCY CHECK & CLAIM
+    let claim;
+    try {
+        claim = await claimEvent(event);
+    } catch (err) {
+        console.error('[IDEMPOTENCY FAILURE]', err.message);
+        return res.status(500).send(`Database Error: ${err.message}`);
+    }
 
-        const totalAmountPence = session.amount_total;
-        const tableIds = metadata.table_ids.split(','); 
-        
-        // Timezone safe calculation for 2 hours later
-        const [hour, minute] = metadata.booking_time.split(':').map(Number);
-        const bookingDateTime = new Date();
-        bookingDateTime.setHours(hour);
-        bookingDateTime.setMinutes(minute);
-        bookingDateTime.setMinutes(bookingDateTime.getMinutes() + 120); 
+    if (!claim.claimed && claim.reason === 'done') {
+        console.log(`[IDEMPOTENCY] Event ${event.id} already processed.`);
+        return res.status(200).json({ received: true });
+    }
 
-        const endTimeStr = `${String(bookingDateTime.getHours()).padStart(2, '0')}:${String(bookingDateTime.getMinutes()).padStart(2, '0')}:00`;
+    if (!claim.claimed) {
+        // Another delivery is working on it; a non-2xx makes Stripe check back later
+        console.log(`[IDEMPOTENCY] Event ${event.id} is being processed by another request.`);
+        return res.status(409).send(`Event ${event.id} is already being processed.`);
+    }
 
-        const customerEmail = metadata.email || (session.customer_details ? session.customer_details.email : null);
-        const receiveOffers = metadata.receive_offers;
-        
-        // Fetch Display Name once
-        const tenantDisplayName = await getTenantDisplayName(metadata.tenant_id);
-
-        const primaryBooking = {
-            table_id: tableIds.join(', '),
-            date: metadata.booking_date,
-            start_time: metadata.booking_time,
-            end_time: endTimeStr,
-            tenant_id: metadata.tenant_id,
-            host_notes: `Stripe Order: ${session.id}`, 
-            customer_email: customerEmail,
-            customer_name: metadata.customer_name || 'Customer',
-            party_size: metadata.party_size || 'N/A',
-            total_pence: totalAmountPence, 
-            booking_ref: metadata.booking_ref,
-        };
-        
-        // CRITICAL FLAG: Check if any booking attempt fails due to the database trigger
-        let allBookingsSuccessful = true;
-        
-        // 3. Insert into premium_slots (CRITICAL BOOKING DATA)
-        for (const tableId of tableIds) {
-            console.log(`[PREMIUM_SLOTS DEBUG] Attempting insert for table ${tableId}...`);
-            const { error } = await supabase
-                .from('premium_slots')
-                .insert({
-                    tenant_id: metadata.tenant_id,
-                    table_id: Number(tableId),
-                    date: metadata.booking_date,
-                    start_time: metadata.booking_time,
-                    end_time: endTimeStr, 
-                    host_notes: primaryBooking.host_notes, 
-                    stripe_order_id: session.id, 
-                    booking_ref: metadata.booking_ref, 
-                    customer_email: customerEmail,
-                    payment_status: 'PAID',
-                    is_manual_booking: false,
-                    receive_offers: (receiveOffers === 'TRUE'),
-                    total_pence: totalAmountPence,
-                    customer_name: primaryBooking.customer_name, 
-                });
-            
-            if (error) {
-                console.error(`[PREMIUM_SLOTS FAILURE] Insert error for table ${tableId}:`, error.message);
-                // CRITICAL CHANGE: Mark the entire transaction as failed
-                allBookingsSuccessful = false; 
-            } else {
-                console.log(`[PREMIUM_SLOTS SUCCESS] Table ${tableId} booked.`);
-            }
-        }
-        
-        // 4. Update Engagement Tracking (REMOVED)
-        console.log('[TRACKING SKIPPED] Engagement tracking update skipped as requested.');
-        
-        // 5. Send Notifications (Staff and Customer) - CONDITIONAL EXECUTION
-        if (allBookingsSuccessful) {
-             await sendBookingNotification(primaryBooking, 'CUSTOMER PAID', tenantDisplayName);
-             await sendCustomerConfirmation(primaryBooking, tenantDisplayName); 
-             console.log('User notified of successful booking.');
-             
-             // 6. Insert into marketing_optins (Consent Data) - Only on success
-             if (receiveOffers === 'TRUE' && customerEmail) {
-                const optInRow = {
-                    email: customerEmail,
-                    tenant_id: metadata.tenant_id,
-                    booking_date: metadata.booking_date,
-                    location: metadata.tenant_id,
-                    source: metadata.booking_ref || 'table_booking',
-                    consent_text: 'Send me restaurant discounts and offers',
-                    is_subscribed: true
-                };
-                
-                const { error: optinError } = await supabase
-                    .from('marketing_optins')
-                    .upsert([optInRow], { onConflict: 'email, tenant_id' });
-
-                if (optinError) {
-                    console.error('Error inserting marketing opt-in:', optinError);
-                }
-            }
+    // 2. PROCESS THE EVENT
+    const outcome = await processStripeEvent(event);
 
-             // 7. Update webhook_events status to 'completed'
-             const { error: updateError } = await supabase
-                .from('webhook_events')
-                .update({ status: 'completed' })
-                .eq('stripe_event_id', eventId);
-             
-             if (updateError) {
-                 console.error('Failed to mark webhook_event as completed:', updateError.message);
-             }
-
-        } else {
-            console.warn(`[T2 FAILURE LOG] Booking for ref ${metadata.booking_ref} failed due to conflict. Refund required.`);
-            
-            // CRITICAL: Send conflict alert to customer
-            await sendCustomerConflictAlert(primaryBooking, tenantDisplayName); 
-            
-            // Send urgent alert to staff indicating a refund is needed
-            await sendBookingNotification(primaryBooking, 'BOOKING CONFLICT FAIL', tenantDisplayName);
-            
-            // NOTE: We do NOT send the generic success confirmation to the customer.
-        }
-    } // End of checkout.session.completed block
+    if (outcome.status === 'failed') {
+        // Stripe retries non-2xx responses, which picks the failed event up again
+        return res.status(500).send(`Processing Error: ${outcome.error}`);
+    }
 
     // 8. Return success to Stripe (Final Step)
     return res.status(200).json({ received: true });
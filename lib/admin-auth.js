@@ -0,0 +1,61 @@
+// --- STAFF AUTHENTICATION ---
+// Admin endpoints accept a Supabase Auth access token (Authorization: Bearer <jwt>)
+// and only act on tenants the signed-in user is listed against in `tenant_staff`.
+
+// tenant_staff roles allowed to run sensitive actions (webhook replays, personal data exports).
+export const ADMIN_ROLES = ['owner', 'admin'];
+
+
+/**
+ * Helper function to pull the bearer token out of the Authorization header.
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || req.headers.Authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+    return token;
+}
+
+
+/**
+ * Verifies the caller's Supabase Auth JWT and checks they are staff for `tenantId`.
+ * Returns { user, role } on success, or { status, error } with 401 (no/invalid identity)
+ * or 403 (valid identity, wrong tenant) for the handler to send back.
+ */
+export async function authenticateStaff(supabase, req, tenantId) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return { status: 401, error: 'Authentication required: missing bearer token.' };
+    }
+
+    const { data: authData, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !authData || !authData.user) {
+        console.warn('Admin Auth: Rejected invalid or expired token.');
+        return { status: 401, error: 'Authentication required: invalid or expired session.' };
+    }
+
+    const user = authData.user;
+
+    if (!tenantId) {
+        return { status: 403, error: 'Forbidden: no tenant specified.' };
+    }
+
+    const { data: membership, error: membershipError } = await supabase
+        .from('tenant_staff')
+        .select('role')
+        .eq('user_id', user.id)
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+    if (membershipError) {
+        console.error('Admin Auth: Could not check tenant membership:', membershipError.message);
+        return { status: 500, error: 'Could not verify staff permissions.' };
+    }
+
+    if (!membership) {
+        console.warn(`Admin Auth: User ${user.id} attempted to act on tenant ${tenantId} without access.`);
+        return { status: 403, error: 'Forbidden: you are not staff for this restaurant.' };
+    }
+
+    return { user, role: membership.role };
+}
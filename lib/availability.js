@@ -0,0 +1,151 @@
+// --- SHARED AVAILABILITY / OVERLAP LOGIC ---
+// One definition of "is this table free?" used by every endpoint that places holds or bookings.
+
+// premium_slots rows in these states no longer occupy their table.
+export const INACTIVE_PAYMENT_STATUSES = ['REFUNDED', 'CANCELLED'];
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+
+
+/**
+ * Helper function to convert time string (HH:MM) to minutes past midnight.
+ */
+export function timeToMinutes(timeStr) {
+    const parts = timeStr.split(':').map(Number);
+    return (parts[0] * 60) + parts[1];
+}
+
+
+/**
+ * Helper function to get a slot's [start, end) in minutes. A sitting that runs past
+ * midnight has an end time "before" its start, so it is pushed into the next day.
+ */
+function slotMinutes(startTime, endTime) {
+    const start = timeToMinutes(startTime);
+    let end = timeToMinutes(endTime);
+    if (end <= start) end += DAY_MINUTES;
+    return [start, end];
+}
+
+
+/**
+ * Standard time overlap check: (StartA < EndB) AND (EndA > StartB)
+ */
+export function timesOverlap(startA, endA, startB, endB) {
+    const [aStart, aEnd] = slotMinutes(startA, endA);
+    const [bStart, bEnd] = slotMinutes(startB, endB);
+    return (aStart < bEnd) && (aEnd > bStart);
+}
+
+
+/**
+ * Helper function to shift a YYYY-MM-DD date by a number of days.
+ */
+function addDays(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().substring(0, 10);
+}
+
+
+/**
+ * Overlap check for slots on (possibly different) dates. A sitting that runs past midnight
+ * reaches into the next date, so it can clash with a booking early the next day.
+ */
+export function slotsOverlap(dateA, startA, endA, dateB, startB, endB) {
+    const dayOffset = (Date.parse(`${dateB}T00:00:00Z`) - Date.parse(`${dateA}T00:00:00Z`)) / DAY_MS;
+    const [aStart, aEnd] = slotMinutes(startA, endA);
+    const [bStart, bEnd] = slotMinutes(startB, endB).map(minutes => minutes + dayOffset * DAY_MINUTES);
+    return (aStart < bEnd) && (aEnd > bStart);
+}
+
+
+/**
+ * Finds every confirmed booking (paid or manual) and active hold that overlaps the
+ * requested window on any of the given tables. Pass `dates` instead of `date` to check the
+ * same window on several days at once (recurring staff bookings). Bookings and holds on the
+ * neighbouring dates are checked too, for sittings that run past midnight. Rows belonging to
+ * `excludeBookingRef` (the caller's own booking) or `excludeSeriesId` (the caller's own
+ * booking series) are ignored.
+ * Returns { conflicts: [{ table_id, date, source: 'booking' | 'hold', ... }] } or { error }.
+ */
+export async function findConflicts(supabase, { tenantId, tableIds, date, dates, startTime, endTime, excludeBookingRef, excludeSeriesId }) {
+    const tableIdArray = tableIds.map(id => Number(id));
+    const dateArray = dates || [date];
+    const searchDates = [...new Set(dateArray.flatMap(day => [addDays(day, -1), day, addDays(day, 1)]))];
+
+    const slotsPromise = supabase
+        .from('premium_slots')
+        .select('table_id, date, start_time, end_time, booking_ref, series_id, payment_status, is_manual_booking')
+        .eq('tenant_id', tenantId)
+        .in('table_id', tableIdArray)
+        .in('date', searchDates)
+        .not('payment_status', 'in', `(${INACTIVE_PAYMENT_STATUSES.join(',')})`);
+
+    const holdsPromise = supabase
+        .from('reserved_holds')
+        .select('table_id, date, start_time, end_time, booking_ref, expires_at')
+        .eq('tenant_id', tenantId)
+        .in('table_id', tableIdArray)
+        .in('date', searchDates)
+        .gte('expires_at', new Date().toISOString()); // Only active holds
+
+    const [slotsResult, holdsResult] = await Promise.all([slotsPromise, holdsPromise]);
+
+    if (slotsResult.error || holdsResult.error) {
+        const error = slotsResult.error || holdsResult.error;
+        console.error('Availability Check Error:', error.message);
+        return { error: error.message };
+    }
+
+    const overlapsRequest = row =>
+        (!excludeBookingRef || row.booking_ref !== excludeBookingRef) &&
+        (!excludeSeriesId || row.series_id !== excludeSeriesId) &&
+        dateArray.some(day => slotsOverlap(day, startTime, endTime, row.date, row.start_time, row.end_time));
+
+    const conflicts = [
+        ...slotsResult.data.filter(overlapsRequest).map(row => ({ ...row, table_id: Number(row.table_id), source: 'booking' })),
+        ...holdsResult.data.filter(overlapsRequest).map(row => ({ ...row, table_id: Number(row.table_id), source: 'hold' })),
+    ];
+
+    return { conflicts };
+}
+
+
+/**
+ * Places a time-specific hold on tables until `expiresAt`, after checking confirmed bookings
+ * (paid and manual) and other active holds for conflicts. Bookings and holds under
+ * `excludeBookingRef` are ignored: pass it only for a ref the caller has already proved is
+ * theirs (a staff move of that booking, a guest checking out on their waitlist offer).
+ * The check and the insert happen together in the database (place_reservation_hold, see
+ * supabase/migrations), so of two customers racing for a table exactly one gets it.
+ * Returns { isConflict: false, expiresAt, holdIds } or { isConflict: true, conflictingTableId, conflictSource }.
+ */
+export async function placeReservationHold(supabase, { tenantId, tableIds, bookingRef, date, startTime, endTime, expiresAt, excludeBookingRef = null }) {
+    const tableIdArray = tableIds.map(id => Number(id));
+
+    const { data: hold, error } = await supabase.rpc('place_reservation_hold', {
+        p_tenant_id: tenantId,
+        p_table_ids: tableIdArray,
+        p_booking_ref: bookingRef,
+        p_date: date,
+        p_start_time: startTime,
+        p_end_time: endTime,
+        p_expires_at: expiresAt,
+        p_exclude_booking_ref: excludeBookingRef,
+    });
+
+    if (error) {
+        console.error("Hold Error:", error.message);
+        return { isConflict: true };
+    }
+
+    if (hold.conflict) {
+        // Conflict found: A table is already booked or actively held for the specific time slot.
+        return { isConflict: true, conflictingTableId: Number(hold.table_id), conflictSource: hold.source };
+    }
+
+    console.log(`Successfully placed time-specific hold on tables: ${tableIdArray.join(',')} for ${date} until ${expiresAt}`);
+    return { isConflict: false, expiresAt, holdIds: hold.hold_ids };
+}
@@ -0,0 +1,104 @@
+import { buildCancelBookingUrl } from './booking-tokens.js';
+import { buildCalendarLinks, buildIcsAttachment } from './calendar.js';
+import { renderEmail } from './email-templates.js';
+import { getStaffRecipients, withTenantSender } from './tenants.js';
+
+// --- BOOKING MODIFICATIONS ---
+// Moving a paid booking to other tables or another time keeps its booking_ref, Stripe link and
+// customer details. Moves that cost more wait for the customer to pay the difference; the
+// pending move lives in `booking_modifications`:
+//   id, tenant_id, booking_ref, table_ids (int[]), date, start_time, end_time,
+//   previous_total_pence, new_total_pence, amount_due_pence, stripe_session_id,
+//   status ('awaiting_payment' | 'completed' | 'conflict' | 'expired'), requested_by, error_message, created_at
+// premium_slots.total_pence always holds what the customer has paid overall, and
+// premium_slots.calendar_sequence counts changes so calendars replace the old event.
+//
+// The move itself runs in the database (move_booking_slots, see supabase/migrations), so a
+// booking is never half-moved. Rows already on a requested table keep it; the others take the
+// new tables, and rows left over are dropped (or copied from the first row when the booking
+// gains tables). The double-booking trigger fires on UPDATE as well as INSERT.
+
+
+/**
+ * Loads the active (PAID) rows of a customer booking.
+ * Returns { booking, slots } where booking is the first row plus table_ids, or { error }.
+ */
+export async function loadActiveBooking(supabase, bookingRef) {
+    const { data: slots, error } = await supabase
+        .from('premium_slots')
+        .select('*')
+        .eq('booking_ref', bookingRef)
+        .eq('payment_status', 'PAID');
+
+    if (error) {
+        console.error(`Modify Error: Could not load booking ${bookingRef}:`, error.message);
+        return { error: 'Could not load the booking.' };
+    }
+
+    if (!slots || slots.length === 0) {
+        return { error: 'Booking not found.' };
+    }
+
+    return { booking: { ...slots[0], table_ids: slots.map(s => Number(s.table_id)) }, slots };
+}
+
+
+/**
+ * Moves a booking's rows to its new tables and time with the move_booking_slots Postgres function
+ * (see the header), which updates the rows in place in one transaction: if the double-booking
+ * trigger rejects any row, nothing changes and the booking stays exactly as it was.
+ * Returns { booking } with the updated booking, or { error }.
+ */
+export async function moveBookingSlots(supabase, slots, { tableIds, date, startTime, endTime, totalPence }) {
+    const template = slots[0];
+
+    const { data: moved, error } = await supabase.rpc('move_booking_slots', {
+        p_slot_ids: slots.map(s => s.id),
+        p_table_ids: tableIds.map(Number),
+        p_date: date,
+        p_start_time: startTime,
+        p_end_time: endTime,
+        p_total_pence: totalPence,
+        p_calendar_sequence: (template.calendar_sequence || 0) + 1,
+    });
+
+    if (error) {
+        console.error(`[MODIFY FAILURE] Could not move ref ${template.booking_ref}:`, error.message);
+        return { error: error.message };
+    }
+
+    console.log(`[MODIFY SUCCESS] Ref ${template.booking_ref} moved to tables ${tableIds.join(', ')} on ${date} at ${startTime}.`);
+    return { booking: { ...moved[0], table_ids: moved.map(s => Number(s.table_id)) } };
+}
+
+
+/**
+ * Sends the customer an updated confirmation (with a replacement calendar event) and tells staff.
+ * `priceChange` is { chargedPence } or { refund, refundedPence }, or null when the price is unchanged.
+ */
+export async function sendBookingUpdatedEmails(resend, { booking, previous, tenant, priceChange }) {
+    try {
+        if (booking.customer_email) {
+            await resend.emails.send(withTenantSender(tenant, {
+                to: booking.customer_email,
+                ...renderEmail('customer_booking_updated', {
+                    booking,
+                    previous,
+                    priceChange,
+                    cancelUrl: buildCancelBookingUrl(booking.booking_ref),
+                    calendarLinks: buildCalendarLinks(booking, tenant),
+                }, tenant),
+                // Same UID with a higher SEQUENCE, so calendars move the existing event
+                attachments: [buildIcsAttachment(booking, tenant, { method: 'REQUEST', sequence: booking.calendar_sequence || 0 })],
+            }));
+        }
+
+        await resend.emails.send(withTenantSender(tenant, {
+            to: getStaffRecipients(tenant, 'booking_confirmed'),
+            ...renderEmail('staff_booking_updated', { booking, previous, priceChange }, tenant),
+        }));
+        console.log(`Email Sent: Updated booking notices sent for ref ${booking.booking_ref}.`);
+    } catch (error) {
+        console.error('Email Error: Failed to send updated booking emails:', error);
+    }
+}
@@ -0,0 +1,153 @@
+import { INACTIVE_PAYMENT_STATUSES, placeReservationHold } from './availability.js';
+import { createMemoryDatabase } from './memory-database.js';
+
+// --- BOOKINGS & HOLDS REPOSITORY ---
+// The reads and writes that decide who gets a table: checkout holds (reserved_holds) and
+// booked rows (premium_slots, booking_series). Everything else a handler needs still goes
+// through the database client directly. The repository runs the same code against the real
+// Supabase client and against the in-memory database, so the double-booking rules (the hold
+// re-check and the premium_slots overlap trigger) behave the same offline.
+
+// The errors the database raises for a double booking: a unique key (or the overlap trigger,
+// which raises unique_violation) and an exclusion constraint
+const DOUBLE_BOOKING_CODES = ['23505', '23P01'];
+
+
+/**
+ * Creates the repository over a Supabase (or in-memory) client.
+ */
+export function createBookingRepository(supabase) {
+    return {
+        /**
+         * Holds tables for a checkout. See placeReservationHold for the result shape.
+         */
+        placeHold: hold => placeReservationHold(supabase, hold),
+
+        /**
+         * Deletes a booking's holds. Returns { released: [{ tenant_id, date }] } or { released: [], error }.
+         */
+        async releaseHolds(bookingRef) {
+            const { data, error } = await supabase
+                .from('reserved_holds')
+                .delete()
+                .eq('booking_ref', bookingRef)
+                .select('tenant_id, date');
+
+            return error ? { released: [], error: error.message } : { released: data || [] };
+        },
+
+        /**
+         * Deletes specific holds by id, leaving any other hold on the same booking ref alone.
+         * Returns { error } on failure.
+         */
+        async deleteHolds(holdIds) {
+            if (!holdIds || holdIds.length === 0) return {};
+
+            const { error } = await supabase
+                .from('reserved_holds')
+                .delete()
+                .in('id', holdIds);
+
+            return error ? { error: error.message } : {};
+        },
+
+        /**
+         * Moves a booking's hold expiry to `expiresAt`. Returns { error } on failure.
+         */
+        async extendHolds(bookingRef, expiresAt) {
+            const { error } = await supabase
+                .from('reserved_holds')
+                .update({ expires_at: expiresAt })
+                .eq('booking_ref', bookingRef);
+
+            return error ? { error: error.message } : {};
+        },
+
+        /**
+         * Finds the premium_slots rows written for a Stripe order (Checkout Session id).
+         * Returns { slots } or { error }.
+         */
+        async findSlotsByOrder(orderId) {
+            const { data, error } = await supabase
+                .from('premium_slots')
+                .select('*')
+                .eq('stripe_order_id', orderId);
+
+            return error ? { error: error.message } : { slots: data };
+        },
+
+        /**
+         * Finds the confirmed (not refunded or cancelled) premium_slots rows under a booking ref.
+         * Returns { slots } or { error }.
+         */
+        async findActiveSlotsByRef(bookingRef) {
+            const { data, error } = await supabase
+                .from('premium_slots')
+                .select('id, table_id, payment_status')
+                .eq('booking_ref', bookingRef)
+                .not('payment_status', 'in', `(${INACTIVE_PAYMENT_STATUSES.join(',')})`);
+
+            return error ? { error: error.message } : { slots: data };
+        },
+
+        /**
+         * Books premium_slots rows in one all-or-nothing insert.
+         * Returns { slots }, or { error, isConflict } where isConflict means the
+         * double-booking trigger rejected a row.
+         */
+        async insertSlots(rows) {
+            const { data, error } = await supabase
+                .from('premium_slots')
+                .insert(rows)
+                .select('*');
+
+            return error
+                ? { error: error.message, isConflict: DOUBLE_BOOKING_CODES.includes(error.code) }
+                : { slots: data };
+        },
+
+        /**
+         * Marks an order's slots REFUNDED, leaving customer cancellations as they are.
+         * Returns { slots } (the rows changed) or { error }.
+         */
+        async markOrderRefunded(orderId) {
+            const { data, error } = await supabase
+                .from('premium_slots')
+                .update({ payment_status: 'REFUNDED' })
+                .eq('stripe_order_id', orderId)
+                .neq('payment_status', 'CANCELLED')
+                .select('*');
+
+            return error ? { error: error.message } : { slots: data };
+        },
+
+        /**
+         * Saves a booking_series row. Returns { id } or { error }.
+         */
+        async createSeries(series) {
+            const { data, error } = await supabase
+                .from('booking_series')
+                .insert(series)
+                .select('id')
+                .single();
+
+            return error ? { error: error.message } : { id: data.id };
+        },
+
+        /**
+         * Removes a booking_series row whose bookings could not be written.
+         */
+        async deleteSeries(seriesId) {
+            const { error } = await supabase.from('booking_series').delete().eq('id', seriesId);
+            return error ? { error: error.message } : {};
+        },
+    };
+}
+
+
+/**
+ * In-memory repository over its own database, seeded with `tables` (see createMemoryDatabase).
+ */
+export function createMemoryBookingRepository({ tables = {} } = {}) {
+    return createBookingRepository(createMemoryDatabase({ tables }));
+}
@@ -0,0 +1,157 @@
+import { findConflicts } from './availability.js';
+
+// --- STAFF BOOKING SERIES ---
+// Staff can block several tables on many dates in one go ("tables 5-8 every Sunday lunch").
+// The series is stored in `booking_series`:
+//   id (uuid), tenant_id, table_ids (int[]), start_time, end_time, recurrence (jsonb),
+//   host_notes, party_size, created_by, created_at
+// and every premium_slots row it created carries its id in premium_slots.series_id, so the
+// series can be edited or removed as one.
+//
+// A recurrence is JSON shaped like:
+//   { "weekdays": [0], "until": "2026-12-20", "dates": ["2026-12-24"] }
+// weekdays use 0 = Sunday ... 6 = Saturday and repeat from the booking date up to `until`
+// (every day when weekdays is left out); `dates` adds one-off dates.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limits, so one request cannot lock a table for years or build an enormous insert.
+export const MAX_SERIES_OCCURRENCES = 180;
+const MAX_SERIES_SPAN_DAYS = 366;
+
+
+/**
+ * Helper function to parse a YYYY-MM-DD date as UTC midnight, or null if it is not one.
+ */
+function parseDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().substring(0, 10) !== value ? null : date;
+}
+
+
+/**
+ * Works out every date a booking falls on. Without a recurrence that is just `startDate`.
+ * Returns { dates } (sorted, unique) or { error }.
+ */
+export function expandRecurrence(startDate, recurrence) {
+    const start = parseDate(startDate);
+    if (!start) {
+        return { error: 'date must be in YYYY-MM-DD format.' };
+    }
+
+    if (!recurrence) {
+        return { dates: [startDate] };
+    }
+
+    const { weekdays, until, dates: extraDates = [] } = recurrence;
+    const dates = new Set();
+
+    if (weekdays !== undefined && (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        return { error: 'recurrence.weekdays must list days from 0 (Sunday) to 6 (Saturday).' };
+    }
+
+    if (weekdays && !until) {
+        return { error: 'recurrence.until is required when repeating on weekdays.' };
+    }
+
+    if (until) {
+        const end = parseDate(until);
+        if (!end || end < start) {
+            return { error: 'recurrence.until must be a YYYY-MM-DD date on or after the booking date.' };
+        }
+        if ((end - start) / DAY_MS >= MAX_SERIES_SPAN_DAYS) {
+            return { error: `A series can span at most ${MAX_SERIES_SPAN_DAYS} days.` };
+        }
+        for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+            if (!weekdays || weekdays.includes(day.getUTCDay())) {
+                dates.add(day.toISOString().substring(0, 10));
+            }
+        }
+    } else {
+        dates.add(startDate);
+    }
+
+    if (!Array.isArray(extraDates) || extraDates.some(d => !parseDate(d))) {
+        return { error: 'recurrence.dates must be a list of YYYY-MM-DD dates.' };
+    }
+    extraDates.forEach(d => dates.add(d));
+
+    if (dates.size === 0) {
+        return { error: 'The recurrence does not fall on any date.' };
+    }
+    if (dates.size > MAX_SERIES_OCCURRENCES) {
+        return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} dates.` };
+    }
+
+    return { dates: Array.from(dates).sort() };
+}
+
+
+/**
+ * Checks every date of a series at once. Rows of `excludeSeriesId` (the series being edited)
+ * never conflict with themselves.
+ * Returns { conflicts: [{ date, table_id, start_time, end_time, source }] } or { error }.
+ */
+export async function findSeriesConflicts(supabase, { tenantId, tableIds, dates, startTime, endTime, excludeSeriesId }) {
+    const { conflicts, error } = await findConflicts(supabase, {
+        tenantId,
+        tableIds,
+        dates,
+        startTime,
+        endTime,
+        excludeSeriesId,
+    });
+
+    if (error) {
+        return { error };
+    }
+
+    return {
+        conflicts: conflicts
+            .map(c => ({ date: c.date, table_id: c.table_id, start_time: c.start_time, end_time: c.end_time, source: c.source }))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.table_id - b.table_id),
+    };
+}
+
+
+/**
+ * Loads a series and its booked rows (optionally only those on or after `fromDate`).
+ * Returns { series, slots } or { error }.
+ */
+export async function loadBookingSeries(supabase, seriesId, { fromDate } = {}) {
+    const { data: series, error } = await supabase
+        .from('booking_series')
+        .select('*')
+        .eq('id', seriesId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Series Error: Could not load series ${seriesId}:`, error.message);
+        return { error: 'Could not load the booking series.' };
+    }
+
+    if (!series) {
+        return { error: 'Booking series not found.' };
+    }
+
+    let query = supabase
+        .from('premium_slots')
+        .select('*')
+        .eq('series_id', seriesId)
+        .order('date')
+        .order('table_id');
+
+    if (fromDate) {
+        query = query.gte('date', fromDate);
+    }
+
+    const { data: slots, error: slotsError } = await query;
+
+    if (slotsError) {
+        console.error(`Series Error: Could not load rows of series ${seriesId}:`, slotsError.message);
+        return { error: 'Could not load the booking series.' };
+    }
+
+    return { series, slots };
+}
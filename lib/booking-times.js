@@ -0,0 +1,143 @@
+// --- SHARED BOOKING TIME CALCULATIONS ---
+// Checkout (reserved_holds) and the webhook (premium_slots) both take their end times from here,
+// always worked out in the tenant's own IANA time zone rather than the server's.
+
+export const DEFAULT_TIME_ZONE = 'Europe/London';
+export const DEFAULT_SITTING_MINUTES = 120;
+
+
+/**
+ * Loads the tenant's time zone and sitting-length rules.
+ * tenants.sitting_rules is JSON shaped like:
+ *   {
+ *     "default_minutes": 120,
+ *     "service_periods": [{ "name": "lunch", "start": "11:30", "end": "15:00", "minutes": 90 }],
+ *     "party_sizes": [{ "max_party_size": 2, "minutes": 90 }, { "max_party_size": 6, "minutes": 120 }]
+ *   }
+ */
+export async function getTenantBookingSettings(supabase, tenantId) {
+    const { data, error } = await supabase
+        .from('tenants')
+        .select('time_zone, sitting_rules')
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Booking Settings Error: Could not fetch tenant settings:', error.message);
+    }
+
+    return {
+        timeZone: (data && data.time_zone) || DEFAULT_TIME_ZONE,
+        sittingRules: (data && data.sitting_rules) || {},
+    };
+}
+
+
+/**
+ * Works out how long a sitting lasts. A matching service period wins, then the smallest
+ * matching party-size band, then the tenant default, then the 2-hour fallback.
+ */
+export function resolveSittingMinutes(sittingRules, { startTime, partySize }) {
+    const rules = sittingRules || {};
+    const start = startTime.substring(0, 5);
+
+    const period = (rules.service_periods || []).find(p => start >= p.start && start < p.end);
+    if (period && period.minutes) return Number(period.minutes);
+
+    const size = Number(partySize);
+    if (size) {
+        const band = (rules.party_sizes || [])
+            .filter(b => size <= Number(b.max_party_size))
+            .sort((a, b) => a.max_party_size - b.max_party_size)[0];
+        if (band && band.minutes) return Number(band.minutes);
+    }
+
+    return Number(rules.default_minutes) || DEFAULT_SITTING_MINUTES;
+}
+
+
+/**
+ * Helper function to read the wall-clock date and time of an instant in a time zone.
+ */
+export function formatInTimeZone(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(instant);
+
+    const v = Object.fromEntries(parts.map(p => [p.type, p.value]));
+    return {
+        date: `${v.year}-${v.month}-${v.day}`,
+        time: `${v.hour}:${v.minute}`,
+        seconds: Number(v.second),
+    };
+}
+
+
+/**
+ * Helper function to get a time zone's UTC offset (in minutes) at a given instant.
+ */
+function getTimeZoneOffsetMinutes(instant, timeZone) {
+    const local = formatInTimeZone(instant, timeZone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    const [h, mi] = local.time.split(':').map(Number);
+    const asUtc = Date.UTC(y, m - 1, d, h, mi, local.seconds);
+    return Math.round((asUtc - instant.getTime()) / 60000);
+}
+
+
+/**
+ * Converts a wall-clock date (YYYY-MM-DD) and time (HH:MM) in the tenant's time zone to a real instant.
+ */
+export function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const [h, mi] = timeStr.split(':').map(Number);
+    const naiveUtc = Date.UTC(y, m - 1, d, h, mi);
+
+    // Guess with the offset at the naive instant, then correct once in case we crossed a DST change
+    const firstOffset = getTimeZoneOffsetMinutes(new Date(naiveUtc), timeZone);
+    let utc = naiveUtc - firstOffset * 60000;
+    const secondOffset = getTimeZoneOffsetMinutes(new Date(utc), timeZone);
+    if (secondOffset !== firstOffset) {
+        utc = naiveUtc - secondOffset * 60000;
+    }
+
+    return new Date(utc);
+}
+
+
+/**
+ * Calculates when a sitting ends, in the tenant's local time.
+ * Adds real elapsed minutes, so a sitting spanning a DST change still lasts its full length,
+ * and reports whether it finishes after midnight.
+ * Returns { endTime: 'HH:MM', endDate: 'YYYY-MM-DD', endsNextDay }.
+ */
+export function calculateBookingEndTime(bookingDate, startTime, sittingMinutes, timeZone) {
+    const start = zonedTimeToUtc(bookingDate, startTime, timeZone || DEFAULT_TIME_ZONE);
+    const end = new Date(start.getTime() + (sittingMinutes || DEFAULT_SITTING_MINUTES) * 60000);
+    const local = formatInTimeZone(end, timeZone || DEFAULT_TIME_ZONE);
+
+    return {
+        endTime: local.time,
+        endDate: local.date,
+        endsNextDay: local.date !== bookingDate,
+    };
+}
+
+
+/**
+ * Resolves the sitting length from the tenant's settings and returns the end time.
+ * The single entry point both checkout and webhook use.
+ */
+export async function resolveBookingEndTime(supabase, { tenantId, bookingDate, startTime, partySize }) {
+    const settings = await getTenantBookingSettings(supabase, tenantId);
+    const sittingMinutes = resolveSittingMinutes(settings.sittingRules, { startTime, partySize });
+
+    return {
+        ...calculateBookingEndTime(bookingDate, startTime, sittingMinutes, settings.timeZone),
+        sittingMinutes,
+        timeZone: settings.timeZone,
+    };
+}
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+// --- SIGNED BOOKING LINKS ---
+// Customers have no accounts, so links in our emails carry an HMAC of the booking reference.
+// Only someone holding the email can act on the booking.
+
+export const API_BASE_URL = process.env.PUBLIC_API_URL || 'https://stripe-serverless-fresh.vercel.app';
+
+
+/**
+ * Helper function to check BOOKING_TOKEN_SECRET is set (read per call, not at import time).
+ */
+function hasBookingTokenSecret() {
+    return Boolean(process.env.BOOKING_TOKEN_SECRET);
+}
+
+
+/**
+ * Routes that sign or check booking links call this before doing any work, so a missing
+ * secret is reported up front instead of failing halfway. Returns true when the secret is
+ * set; otherwise logs it, sends a 500 and returns false, and the handler just returns.
+ */
+export function requireBookingTokenSecret(res) {
+    if (hasBookingTokenSecret()) return true;
+
+    console.error('[CONFIG] BOOKING_TOKEN_SECRET is not set; booking links cannot be signed or checked.');
+    res.status(500).json({ error: 'This service is temporarily unavailable. Please contact the restaurant.' });
+    return false;
+}
+
+
+/**
+ * Signs a booking reference for a given purpose (e.g. 'cancel'), so a token for one
+ * action cannot be replayed against another.
+ */
+export function signBookingToken(bookingRef, purpose) {
+    if (!hasBookingTokenSecret()) {
+        throw new Error('BOOKING_TOKEN_SECRET is not set, so booking links cannot be signed.');
+    }
+
+    return crypto
+        .createHmac('sha256', process.env.BOOKING_TOKEN_SECRET)
+        .update(`${purpose}:${bookingRef}`)
+        .digest('hex');
+}
+
+
+/**
+ * Checks a token from a link against the booking reference in constant time.
+ */
+export function verifyBookingToken(bookingRef, purpose, token) {
+    if (!bookingRef || !token || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(signBookingToken(bookingRef, purpose), 'hex');
+    const given = Buffer.from(token, 'hex');
+    if (given.length !== expected.length) return false;
+
+    return crypto.timingSafeEqual(expected, given);
+}
+
+
+/**
+ * Builds the self-service cancellation link included in confirmation emails.
+ */
+export function buildCancelBookingUrl(bookingRef) {
+    const token = signBookingToken(bookingRef, 'cancel');
+    return `${API_BASE_URL}/cancel-booking?booking_ref=${encodeURIComponent(bookingRef)}&token=${token}`;
+}
+
+
+/**
+ * Builds the one-click marketing unsubscribe link for a guest of one tenant.
+ * The token signs "tenant:email" in place of a booking reference.
+ */
+export function buildUnsubscribeUrl(tenantId, email) {
+    const subject = `${tenantId}:${String(email).toLowerCase()}`;
+    const token = signBookingToken(subject, 'unsubscribe');
+    return `${API_BASE_URL}/unsubscribe?tenant_id=${encodeURIComponent(tenantId)}&email=${encodeURIComponent(email)}&token=${token}`;
+}
@@ -0,0 +1,144 @@
+import { DEFAULT_TIME_ZONE, zonedTimeToUtc } from './booking-times.js';
+import { SENDER_ADDRESS } from './tenants.js';
+import { API_BASE_URL, signBookingToken } from './booking-tokens.js';
+
+// --- CALENDAR EVENTS (RFC 5545) ---
+// Times are written in UTC, converted from the tenant's local time, so every calendar app
+// shows the sitting at the right moment without needing a VTIMEZONE block.
+
+
+/**
+ * Helper function to work out the real start and end instants of a booking.
+ * A sitting whose end time is "before" its start finishes after midnight.
+ */
+export function getBookingInstants(booking, timeZone) {
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    const start = zonedTimeToUtc(booking.date, booking.start_time.substring(0, 5), zone);
+    let end = zonedTimeToUtc(booking.date, booking.end_time.substring(0, 5), zone);
+    if (end <= start) {
+        end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+    }
+    return { start, end };
+}
+
+// 20260701T180000Z
+const formatUtc = instant => instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escapes TEXT values (RFC 5545 section 3.3.11).
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Quotes parameter values such as CN (RFC 5545 section 3.2), which cannot contain DQUOTE.
+const quoteParam = value => `"${String(value).replace(/"/g, "'")}"`;
+
+// Folds content lines longer than 75 octets (RFC 5545 section 3.1).
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function describeBooking(booking) {
+    const tables = booking.table_ids ? booking.table_ids.join(', ') : booking.table_id;
+    return `Table(s): ${tables}\nParty Size: ${booking.party_size || 'N/A'}\nBooking Ref: ${booking.booking_ref}`;
+}
+
+
+/**
+ * Builds an iCalendar file for a booking.
+ *   method 'REQUEST' - new or updated booking (emails)
+ *   method 'CANCEL'  - cancelled booking (emails)
+ *   method 'PUBLISH' - plain download; pass status 'CANCELLED' for a cancelled booking
+ * `sequence` must go up with every change to the same booking so calendars replace the old event.
+ */
+export function buildBookingIcs(booking, tenant, { method = 'REQUEST', sequence = 0, status } = {}) {
+    const { start, end } = getBookingInstants(booking, tenant.timeZone);
+    const eventStatus = status || (method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//DineSelect//Premium Table Booking//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${escapeText(booking.booking_ref)}@dineselect.co`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(`Premium table at ${tenant.displayName}`)}`,
+        `DESCRIPTION:${escapeText(describeBooking(booking))}`,
+        `LOCATION:${escapeText(tenant.displayName)}`,
+        `ORGANIZER;CN=${quoteParam(tenant.displayName)}:mailto:${SENDER_ADDRESS}`,
+        ...(booking.customer_email ? [`ATTENDEE;CN=${quoteParam(booking.customer_name || 'Guest')};RSVP=FALSE:mailto:${booking.customer_email}`] : []),
+        `STATUS:${eventStatus}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+
+/**
+ * Builds a Resend attachment for a booking's calendar event.
+ */
+export function buildIcsAttachment(booking, tenant, options) {
+    return {
+        filename: options && options.method === 'CANCEL' ? 'reservation-cancelled.ics' : 'reservation.ics',
+        content: Buffer.from(buildBookingIcs(booking, tenant, options), 'utf8'),
+    };
+}
+
+
+/**
+ * Builds the add-to-calendar links shown in confirmation emails.
+ */
+export function buildCalendarLinks(booking, tenant) {
+    const { start, end } = getBookingInstants(booking, tenant.timeZone);
+    const title = `Premium table at ${tenant.displayName}`;
+    const details = describeBooking(booking);
+    const token = signBookingToken(booking.booking_ref, 'calendar');
+
+    const google = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: title,
+        dates: `${formatUtc(start)}/${formatUtc(end)}`,
+        details: details,
+        location: tenant.displayName,
+    });
+
+    const outlook = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: title,
+        startdt: start.toISOString(),
+        enddt: end.toISOString(),
+        body: details,
+        location: tenant.displayName,
+    });
+
+    return {
+        ics: `${API_BASE_URL}/booking.ics?booking_ref=${encodeURIComponent(booking.booking_ref)}&token=${token}`,
+        google: `https://calendar.google.com/calendar/render?${google.toString()}`,
+        outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${outlook.toString()}`,
+    };
+}
@@ -0,0 +1,36 @@
+// --- CSV EXPORTS ---
+// Shared by the admin export endpoints, so every download quotes and guards values the same way.
+
+
+/**
+ * Helper function to format one CSV cell. Text that a spreadsheet would run as a formula
+ * (=, +, -, @) is prefixed with a quote, since exports contain customer-entered text.
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+/**
+ * Builds a CSV document from rows. `columns` is [{ key, label }] and sets the column order.
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.map(c => formatCell(c.label)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(c => formatCell(row[c.key])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+
+/**
+ * Sends a CSV document as a file download.
+ */
+export function sendCsv(res, filename, csv) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+    return res.status(200).send(csv);
+}
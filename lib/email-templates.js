@@ -0,0 +1,397 @@
+// --- SHARED EMAIL TEMPLATES ---
+// Every email we send is built here: named templates, HTML-escaped values, a plain-text
+// alternative generated from the HTML, and per-tenant branding from tenants.email_branding:
+//   { "logo_url": "https://...", "accent_color": "#8b0000", "footer_text": "...", "sign_off": "The Rooftop Team" }
+
+const RAW = Symbol('raw');
+
+
+/**
+ * Marks a string as already-safe HTML so html`` does not escape it.
+ */
+export function raw(value) {
+    return { [RAW]: String(value) };
+}
+
+
+/**
+ * Helper function to escape a value for use in HTML text or attributes.
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (typeof value === 'object' && value[RAW] !== undefined) return value[RAW];
+    return escapeHtml(value);
+}
+
+
+/**
+ * Tagged template for email markup. Every interpolated value is escaped unless it is
+ * itself an html`` fragment (or wrapped in raw()), so customer input can never inject markup.
+ */
+export function html(strings, ...values) {
+    let out = '';
+    strings.forEach((str, i) => {
+        out += str;
+        if (i < values.length) out += renderValue(values[i]);
+    });
+    return raw(out);
+}
+
+
+/**
+ * Builds the plain-text alternative from the rendered HTML.
+ */
+export function htmlToText(markup) {
+    return markup
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<img[^>]*>/gi, '')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|ul|h[1-6])>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+
+// --- FORMATTING HELPERS ---
+
+const formatPence = pence => `£${(Number(pence || 0) / 100).toFixed(2)}`;
+const shortTime = time => (time || '').substring(0, 5);
+const formatTables = booking => booking.table_ids ? booking.table_ids.join(', ') : booking.table_id;
+
+function detailsList(items) {
+    return html`<ul>${items.map(([label, value]) => html`<li><strong>${label}:</strong> ${value}</li>`)}</ul>`;
+}
+
+
+// --- TEMPLATES ---
+// Each returns { subject, body }. Subjects are plain text; bodies are html`` fragments.
+
+const TEMPLATES = {
+    // Staff alert for a new paid or manual booking.
+    staff_new_booking: ({ booking, type, dates }, tenant) => ({
+        // Includes Date and Time to prevent email client grouping
+        subject: `[NEW BOOKING - ${type}] ${tenant.displayName} - ${booking.date} ${shortTime(booking.start_time)}`,
+        body: html`
+            <p>A new <b>${type}</b> booking has been confirmed for <b>${tenant.displayName}</b>.</p>
+            <p><strong>Customer:</strong> ${booking.customer_name || 'N/A'}</p>
+            ${detailsList([
+                ['Party Size', booking.party_size || 'N/A'],
+                ['Table Number(s)', formatTables(booking)],
+                dates ? ['Dates', `${dates.length} dates: ${dates.join(', ')}`] : ['Date', booking.date],
+                ['Time', `${booking.start_time} - ${booking.end_time}`],
+                ['Source', type],
+                ...(booking.stripe_order_id ? [['Stripe Order ID', booking.stripe_order_id]] : []),
+                ...(booking.promo_code ? [['Promo Code', `${booking.promo_code} (-${formatPence(booking.discount_pence)})`]] : []),
+                ...(booking.voucher_code ? [['Gift Voucher', `${booking.voucher_code} (${formatPence(booking.voucher_pence)})`]] : []),
+                ...(booking.is_manual_booking ? [['Notes', booking.host_notes || 'None']] : []),
+                ['Customer Email', booking.customer_email || 'N/A'],
+            ])}
+        `,
+    }),
+
+    // Staff alert when a paid booking lost a double-booking race.
+    staff_conflict: ({ booking, refund }, tenant) => ({
+        subject: `[ACTION REQUIRED - BOOKING CONFLICT FAIL] ${tenant.displayName} - ${booking.date} ${shortTime(booking.start_time)}`,
+        body: html`
+            <p>A booking could not be completed for <b>${tenant.displayName}</b>.</p>
+            <p><strong>Customer:</strong> ${booking.customer_name || 'N/A'}</p>
+            ${detailsList([
+                ['Party Size', booking.party_size || 'N/A'],
+                ['Table Number(s)', formatTables(booking)],
+                ['Date', booking.date],
+                ['Time', `${booking.start_time} - ${booking.end_time}`],
+                ['Status', 'BOOKING CONFLICT FAIL'],
+                ['Stripe Order ID', booking.stripe_order_id || 'N/A'],
+                ['Customer Email', booking.customer_email || 'N/A'],
+            ])}
+            ${refund && refund.status === 'not_required'
+                ? html`<h3 style="color:red; font-size: 16px;">DOUBLE-BOOKING CONFLICT: NOTHING TO REFUND.</h3>
+                    <p>The table was double-booked in the database. Nothing was charged to a card, so no refund was needed${booking.voucher_code ? ` and the gift voucher credit went back onto ${booking.voucher_code}` : ''}.</p>`
+                : refund && refund.success
+                ? html`<h3 style="color:red; font-size: 16px;">DOUBLE-BOOKING CONFLICT: AUTOMATIC REFUND ISSUED.</h3>
+                    <p>The table was double-booked in the database, so the customer's payment was refunded automatically.</p>
+                    <p><strong>Refund ID:</strong> ${refund.id} (${refund.status})</p>`
+                : html`<h3 style="color:red; font-size: 16px;">ACTION REQUIRED: MANUAL REFUND VIA STRIPE IS NEEDED.</h3>
+                    <p>The table was double-booked in the database, but the customer paid. The automatic refund failed${refund && refund.error ? ` (${refund.error})` : ''}, so the payment must be refunded manually immediately.</p>`}
+        `,
+    }),
+
+    // Customer confirmation after payment.
+    customer_confirmation: ({ booking, cancelUrl, calendarLinks }, tenant) => ({
+        subject: `Your Premium Table Reservation Confirmed at ${tenant.displayName}`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p>Your premium table reservation at <b>${tenant.displayName}</b> has been successfully confirmed and paid for.</p>
+            <p><strong>Reservation Details:</strong></p>
+            ${detailsList([
+                ['Restaurant', tenant.displayName],
+                ['Date', booking.date],
+                ['Time', `${shortTime(booking.start_time)} - ${shortTime(booking.end_time)}`],
+                ['Table Number(s)', formatTables(booking)],
+                ['Party Size', booking.party_size || 'N/A'],
+                ['Amount Paid', formatPence(booking.total_pence)],
+                ...(booking.voucher_code ? [['Paid by Gift Voucher', `${formatPence(booking.voucher_pence)} (${booking.voucher_code})`]] : []),
+            ])}
+            ${calendarLinks ? html`<p>Add to your calendar: <a href="${calendarLinks.google}">Google</a> | <a href="${calendarLinks.outlook}">Outlook</a> | <a href="${calendarLinks.ics}">Apple / other (.ics)</a></p>` : ''}
+            <p>${Number(booking.total_pence) > Number(booking.voucher_pence || 0) ? 'Your payment receipt has been sent separately by Stripe. ' : ''}Please contact us at <b>${tenant.contactEmail}</b> if you have any questions.</p>
+            ${cancelUrl ? html`<p>Plans changed? <a href="${cancelUrl}">Cancel your reservation</a>.</p>` : ''}
+        `,
+    }),
+
+    // Customer notice after staff moved their booking to other tables or another time.
+    customer_booking_updated: ({ booking, previous, priceChange, cancelUrl, calendarLinks }, tenant) => ({
+        subject: `Your reservation at ${tenant.displayName} has been updated`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p>Your premium table reservation at <b>${tenant.displayName}</b> has been changed. Your new details are:</p>
+            ${detailsList([
+                ['Date', booking.date],
+                ['Time', `${shortTime(booking.start_time)} - ${shortTime(booking.end_time)}`],
+                ['Table Number(s)', formatTables(booking)],
+                ['Previously', `${previous.date} at ${shortTime(previous.start_time)}, Table(s) ${formatTables(previous)}`],
+            ])}
+            ${priceChange && priceChange.chargedPence
+                ? html`<p>The additional ${formatPence(priceChange.chargedPence)} for the new tables has been paid. Thank you.</p>` : ''}
+            ${priceChange && priceChange.refund && priceChange.refund.success
+                ? html`<p>The new tables cost less, so ${formatPence(priceChange.refundedPence)} has been refunded to your original payment method (Refund Reference: <b>${priceChange.refund.id}</b>).</p>` : ''}
+            ${calendarLinks ? html`<p>The attached calendar invite replaces your old one. Or add it again: <a href="${calendarLinks.google}">Google</a> | <a href="${calendarLinks.outlook}">Outlook</a> | <a href="${calendarLinks.ics}">Apple / other (.ics)</a></p>` : ''}
+            <p>Please contact us at <b>${tenant.contactEmail}</b> if you have any questions.</p>
+            ${cancelUrl ? html`<p>Plans changed? <a href="${cancelUrl}">Cancel your reservation</a>.</p>` : ''}
+        `,
+    }),
+
+    // Staff alert after a booking was moved.
+    staff_booking_updated: ({ booking, previous, priceChange }, tenant) => ({
+        subject: `[BOOKING UPDATED] ${tenant.displayName} - ${booking.date} ${shortTime(booking.start_time)}`,
+        body: html`
+            <p>A booking at <b>${tenant.displayName}</b> has been moved.</p>
+            ${detailsList([
+                ['Customer', `${booking.customer_name || 'N/A'} (${booking.customer_email || 'N/A'})`],
+                ['Booking Ref', booking.booking_ref],
+                ['Now', `${booking.date} ${booking.start_time} - ${booking.end_time}, Table(s) ${formatTables(booking)}`],
+                ['Was', `${previous.date} ${previous.start_time} - ${previous.end_time}, Table(s) ${formatTables(previous)}`],
+                ['Price Difference', priceChange && priceChange.chargedPence
+                    ? `Customer paid an extra ${formatPence(priceChange.chargedPence)}`
+                    : priceChange && priceChange.refund
+                        ? (priceChange.refund.success
+                            ? `Refunded ${formatPence(priceChange.refundedPence)} (${priceChange.refund.id})`
+                            : `REFUND OF ${formatPence(priceChange.refundedPence)} FAILED - MANUAL REFUND NEEDED (${priceChange.refund.error})`)
+                        : 'None'],
+            ])}
+        `,
+    }),
+
+    // Payment link for the extra cost of moving a booking to pricier tables or a busier time.
+    customer_modification_payment: ({ booking, change, amountDuePence, paymentUrl }, tenant) => ({
+        subject: `Action needed: confirm the change to your reservation at ${tenant.displayName}`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p>We can move your reservation at <b>${tenant.displayName}</b> to:</p>
+            ${detailsList([
+                ['Date', change.date],
+                ['Time', `${shortTime(change.start_time)} - ${shortTime(change.end_time)}`],
+                ['Table Number(s)', formatTables(change)],
+                ['Amount Due', formatPence(amountDuePence)],
+            ])}
+            <p>The new tables are held for you for 30 minutes. <a href="${paymentUrl}">Pay the difference to confirm the change</a>.</p>
+            <p>If you do nothing, your original reservation (${booking.date} at ${shortTime(booking.start_time)}, Table(s) ${formatTables(booking)}) stays as it is.</p>
+        `,
+    }),
+
+    // Customer reminder sent by the scheduled-emails cron before the sitting.
+    customer_reminder: ({ booking, cancelUrl, calendarLinks }, tenant) => ({
+        subject: `Reminder: Your table at ${tenant.displayName} on ${booking.date} at ${shortTime(booking.start_time)}`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p>This is a friendly reminder of your premium table reservation at <b>${tenant.displayName}</b>.</p>
+            ${detailsList([
+                ['Date', booking.date],
+                ['Time', `${shortTime(booking.start_time)} - ${shortTime(booking.end_time)}`],
+                ['Table Number(s)', formatTables(booking)],
+                ['Party Size', booking.party_size || 'N/A'],
+            ])}
+            ${calendarLinks ? html`<p>Add to your calendar: <a href="${calendarLinks.google}">Google</a> | <a href="${calendarLinks.outlook}">Outlook</a> | <a href="${calendarLinks.ics}">Apple / other (.ics)</a></p>` : ''}
+            <p>Please contact us at <b>${tenant.contactEmail}</b> if you have any questions.</p>
+            ${cancelUrl ? html`<p>Plans changed? <a href="${cancelUrl}">Cancel your reservation</a>.</p>` : ''}
+            <p>We look forward to seeing you!</p>
+        `,
+    }),
+
+    // Waitlist offer: tables have come free and are held for this guest for a short time.
+    customer_waitlist_offer: ({ entry, offerUrl, offerMinutes }, tenant) => ({
+        subject: `A table is free at ${tenant.displayName} on ${entry.date} at ${shortTime(entry.start_time)}`,
+        body: html`
+            <p>Dear ${entry.customer_name || 'Customer'},</p>
+            <p>Good news: a table has come free at <b>${tenant.displayName}</b> for the sitting you were waiting for.</p>
+            ${detailsList([
+                ['Date', entry.date],
+                ['Time', shortTime(entry.start_time)],
+                ['Party Size', entry.party_size],
+            ])}
+            <p>We are holding it for you for the next <b>${offerMinutes} minutes</b>. <a href="${offerUrl}">Choose your table and book now</a>.</p>
+            <p>After that the table is offered to the next guest on the waitlist. If you no longer need it, simply ignore this email.</p>
+        `,
+    }),
+
+    // Gift voucher code, sent once the voucher purchase is paid.
+    customer_gift_voucher: ({ voucher }, tenant) => ({
+        subject: `Your ${formatPence(voucher.initial_pence)} gift voucher for ${tenant.displayName}`,
+        body: html`
+            <p>Dear ${(voucher.recipient_email ? voucher.recipient_name : voucher.purchaser_name) || 'Customer'},</p>
+            ${voucher.recipient_email
+                ? html`<p><b>${voucher.purchaser_name || 'Someone'}</b> has sent you a premium table gift voucher for <b>${tenant.displayName}</b>.</p>`
+                : html`<p>Thank you for buying a premium table gift voucher for <b>${tenant.displayName}</b>.</p>`}
+            ${voucher.message ? html`<p style="font-style: italic;">"${voucher.message}"</p>` : ''}
+            ${detailsList([
+                ['Voucher Code', voucher.code],
+                ['Value', formatPence(voucher.initial_pence)],
+                ['Valid Until', voucher.expires_on],
+            ])}
+            <p>Enter the code when you book a premium table at <a href="https://book.dineselect.co/pick-seat.html?tenant_id=${encodeURIComponent(tenant.tenantId)}">${tenant.displayName}</a>. It can be spent over several bookings until the balance runs out.</p>
+        `,
+    }),
+
+    // Post-visit thank-you, only sent to guests who opted in to marketing emails.
+    customer_review_request: ({ booking, reviewUrl, unsubscribeUrl }, tenant) => ({
+        subject: `Thank you for visiting ${tenant.displayName}`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p>Thank you for dining with us at <b>${tenant.displayName}</b> on ${booking.date}. We hope you enjoyed your table.</p>
+            ${reviewUrl
+                ? html`<p>We would love to hear how it went. <a href="${reviewUrl}">Leave us a review</a> - it only takes a minute.</p>`
+                : html`<p>We would love to hear how it went - just reply to this email or write to us at <b>${tenant.contactEmail}</b>.</p>`}
+            ${unsubscribeUrl ? html`<p style="color: #777777; font-size: 12px;">You are receiving this because you opted in to offers from ${tenant.displayName}. <a href="${unsubscribeUrl}">Unsubscribe</a>.</p>` : ''}
+        `,
+    }),
+
+    // Customer apology and refund notice after a double-booking conflict.
+    customer_conflict: ({ booking, refund }, tenant) => ({
+        subject: `ACTION REQUIRED: Refund for your reservation at ${tenant.displayName} - Table Conflict`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p style="color: red; font-weight: bold;">We sincerely apologize! There has been a rare double-booking conflict for your table at <b>${tenant.displayName}</b>.</p>
+            ${refund && refund.status === 'not_required'
+                ? html`<p>The table was booked by another customer in the few moments you were at the checkout page. Your booking for Table ${formatTables(booking)} on ${booking.date} at ${shortTime(booking.start_time)} is unfortunately not secured. Nothing was charged to your card.</p>`
+                : html`
+                    <p>While your payment was successfully processed, the table was booked by another customer in the few moments you were at the checkout page. Your booking for Table ${formatTables(booking)} on ${booking.date} at ${shortTime(booking.start_time)} is unfortunately not secured.</p>
+                    ${refund && refund.success
+                        ? html`<p>A full refund has been issued to your original payment method (Refund Reference: <b>${refund.id}</b>). It may take 5-10 business days to appear on your statement.</p>`
+                        : html`<p>We are processing a full refund immediately. It may take 5-10 business days to appear on your statement.</p>`}
+                `}
+            ${booking.voucher_code ? html`<p>The ${formatPence(booking.voucher_pence)} taken from gift voucher <b>${booking.voucher_code}</b> has been put back on the voucher.</p>` : ''}
+            <p>Please visit the map again right now to select a new available table:</p>
+            <p><a href="https://book.dineselect.co/pick-seat.html?tenant_id=${encodeURIComponent(tenant.tenantId)}">Choose a New Table</a></p>
+            <p>Thank you for your understanding. We hope to see you soon!</p>
+        `,
+    }),
+
+    // Customer notice after a self-service cancellation.
+    customer_cancellation: ({ booking, refund }, tenant) => ({
+        subject: `Your reservation at ${tenant.displayName} has been cancelled`,
+        body: html`
+            <p>Dear ${booking.customer_name || 'Customer'},</p>
+            <p>Your premium table reservation at <b>${tenant.displayName}</b> has been cancelled.</p>
+            ${detailsList([
+                ['Date', booking.date],
+                ['Time', shortTime(booking.start_time)],
+                ['Table Number(s)', formatTables(booking)],
+            ])}
+            ${refund && refund.status === 'not_required'
+                ? html`<p>Nothing was charged for this booking, so there is nothing to refund.</p>`
+                : refund && refund.success
+                ? html`<p>A full refund of ${formatPence(booking.total_pence)} has been issued (Refund Reference: <b>${refund.id}</b>). It may take 5-10 business days to appear on your statement.</p>`
+                : refund
+                    ? html`<p>We could not issue your refund automatically. Please contact the restaurant so they can refund you.</p>`
+                    : html`<p>This cancellation was made after the refund cutoff, so no refund is due under the restaurant's cancellation policy.</p>`}
+            ${refund && refund.success && booking.voucher_code ? html`<p>${formatPence(booking.voucher_pence)} of it has been put back on gift voucher <b>${booking.voucher_code}</b>.</p>` : ''}
+            <p>We hope to see you another time.</p>
+        `,
+    }),
+
+    // Staff alert after a self-service cancellation.
+    staff_cancellation: ({ booking, refund }, tenant) => ({
+        subject: `[CANCELLED] ${tenant.displayName} - ${booking.date} ${shortTime(booking.start_time)}`,
+        body: html`
+            <p>A customer has cancelled their booking at <b>${tenant.displayName}</b>.</p>
+            ${detailsList([
+                ['Customer', `${booking.customer_name || 'N/A'} (${booking.customer_email})`],
+                ['Table Number(s)', formatTables(booking)],
+                ['Date', booking.date],
+                ['Time', `${booking.start_time} - ${booking.end_time}`],
+                ['Booking Ref', booking.booking_ref],
+                ['Refund', refund && refund.success
+                    ? `${refund.id} (${refund.status})`
+                    : refund && refund.error ? `FAILED - MANUAL REFUND NEEDED (${refund.error})` : 'None (after cutoff)'],
+            ])}
+        `,
+    }),
+};
+
+
+/**
+ * Helper function to wrap a template body in the tenant's branding.
+ */
+function applyBranding(body, tenant) {
+    const branding = (tenant && tenant.branding) || {};
+    const accentColor = branding.accent_color || '#333333';
+
+    return html`
+        <div style="font-family: Arial, sans-serif; color: #222222; max-width: 600px;">
+            ${branding.logo_url ? html`<img src="${branding.logo_url}" alt="${tenant.displayName}" style="max-height: 60px; margin-bottom: 12px;">` : ''}
+            <div style="border-top: 4px solid ${accentColor}; padding-top: 12px;">
+                ${body}
+                <p>${branding.sign_off || 'Thank you!'}</p>
+            </div>
+            ${branding.footer_text ? html`<p style="color: #777777; font-size: 12px;">${branding.footer_text}</p>` : ''}
+        </div>
+    `;
+}
+
+
+/**
+ * Builds the one-click unsubscribe headers (RFC 8058) every marketing email must carry.
+ */
+export function listUnsubscribeHeaders(unsubscribeUrl) {
+    return {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    };
+}
+
+
+/**
+ * Renders a named template for a tenant.
+ * Returns { subject, html, text }, ready to spread into a Resend payload.
+ */
+export function renderEmail(templateName, data, tenant) {
+    const template = TEMPLATES[templateName];
+    if (!template) {
+        throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const { subject, body } = template(data, tenant);
+    const markup = applyBranding(body, tenant)[RAW];
+
+    return { subject, html: markup, text: htmlToText(markup) };
+}
@@ -0,0 +1,43 @@
+import { Resend } from 'resend';
+
+// --- MAILER ---
+// Email goes out through an object with Resend's shape: `mailer.emails.send(message)`, where
+// message is { from, to, cc?, reply_to?, subject, html, text, headers?, attachments? } as built by
+// renderEmail + withTenantSender. Anything taking a `resend` argument accepts either mailer.
+
+
+/**
+ * Mailer backed by Resend.
+ */
+export function createResendMailer(apiKey) {
+    return new Resend(apiKey);
+}
+
+
+/**
+ * In-memory mailer: every message is kept in `sent` instead of being delivered.
+ * `failWith(error)` makes the next send reject, to exercise email failure paths.
+ */
+export function createMemoryMailer() {
+    const sent = [];
+    let nextFailure = null;
+
+    return {
+        sent,
+        failWith(error) {
+            nextFailure = error;
+        },
+        emails: {
+            async send(message) {
+                if (nextFailure) {
+                    const error = nextFailure;
+                    nextFailure = null;
+                    throw error;
+                }
+                const id = `email_memory_${sent.length + 1}`;
+                sent.push({ id, ...structuredClone(message) });
+                return { data: { id }, error: null };
+            },
+        },
+    };
+}
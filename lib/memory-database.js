@@ -0,0 +1,472 @@
+import { INACTIVE_PAYMENT_STATUSES, slotsOverlap } from './availability.js';
+
+// --- IN-MEMORY DATABASE ---
+// A stand-in for the Supabase client that keeps every table in memory, so the booking flow can
+// run with no network. It understands the part of the query builder this codebase uses:
+//   from(table).select(columns, { count, head }) / insert / update / upsert({ onConflict }) / delete
+//   .eq .neq .gt .gte .lt .lte .in .is .not(column, 'is' | 'in' | 'eq', value) .ilike .contains
+//   .or('and(a.eq.1,b.lte.2),c.is.null') .order .limit .range .single .maybeSingle
+// and plays the database's part where the code relies on it:
+//   - the unique keys listed in UNIQUE_KEYS (errors carry Postgres' '23505' code)
+//   - the premium_slots double-booking trigger: an active row may not overlap another active
+//     row on the same table (sittings past midnight included), and a multi-row insert is
+//     all-or-nothing
+//   - `id` and `created_at` defaults
+//   - the Postgres functions called through rpc(): move_booking_slots (see lib/booking-changes.js)
+//     and place_reservation_hold (see lib/availability.js)
+// Staff sign-in is faked with `users`: { '<access token>': { id, email } } for auth.getUser.
+
+const UNIQUE_VIOLATION = '23505';
+const NOT_SINGLE_ROW = 'PGRST116';
+
+const UNIQUE_KEYS = {
+    tenants: [['tenant_id']],
+    webhook_events: [['stripe_event_id']],
+    marketing_optins: [['email', 'tenant_id']],
+    engagement_tracking: [['booking_ref']],
+    webhook_deliveries: [['subscription_id', 'event_id']],
+    gift_vouchers: [['tenant_id', 'code'], ['stripe_session_id']],
+};
+
+
+// --- VALUE COMPARISON ---
+
+const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+
+function compareValues(a, b) {
+    if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+    return String(a).localeCompare(String(b));
+}
+
+const sameValue = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+/**
+ * Helper function to read PostgREST's "(a,b,c)" list syntax.
+ */
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    return String(value).replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, ''));
+}
+
+/**
+ * Helper function to turn a SQL LIKE pattern into a case-insensitive regular expression.
+ */
+function likeToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '.*';
+        } else if (char === '_') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'is');
+}
+
+
+// --- FILTERS ---
+
+function buildPredicate(column, operator, value) {
+    switch (operator) {
+        case 'eq': return row => sameValue(row[column], value);
+        case 'neq': return row => row[column] !== null && row[column] !== undefined && !sameValue(row[column], value);
+        case 'gt': return row => row[column] != null && compareValues(row[column], value) > 0;
+        case 'gte': return row => row[column] != null && compareValues(row[column], value) >= 0;
+        case 'lt': return row => row[column] != null && compareValues(row[column], value) < 0;
+        case 'lte': return row => row[column] != null && compareValues(row[column], value) <= 0;
+        case 'in': {
+            const list = parseList(value);
+            return row => list.some(item => sameValue(row[column], item));
+        }
+        case 'is': {
+            const expected = value === 'null' ? null : value === 'true' ? true : value === 'false' ? false : value;
+            return row => (expected === null ? row[column] == null : row[column] === expected);
+        }
+        case 'ilike': {
+            const regExp = likeToRegExp(String(value));
+            return row => row[column] != null && regExp.test(String(row[column]));
+        }
+        case 'contains': {
+            const list = Array.isArray(value) ? value : parseList(value);
+            return row => Array.isArray(row[column]) && list.every(item => row[column].some(v => sameValue(v, item)));
+        }
+        default:
+            throw new Error(`Memory database: unsupported filter operator "${operator}".`);
+    }
+}
+
+/**
+ * Helper function to split "a,and(b,c),d" on its top-level commas.
+ */
+function splitTopLevel(expression) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of expression) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) parts.push(current);
+    return parts.map(part => part.trim());
+}
+
+/**
+ * Parses one PostgREST logic condition: "column.op.value", "not.column.op.value", "and(...)" or "or(...)".
+ */
+function parseCondition(condition) {
+    const group = condition.match(/^(and|or)\((.*)\)$/s);
+    if (group) {
+        const predicates = splitTopLevel(group[2]).map(parseCondition);
+        return group[1] === 'and'
+            ? row => predicates.every(p => p(row))
+            : row => predicates.some(p => p(row));
+    }
+
+    const negated = condition.startsWith('not.');
+    const [column, operator, ...rest] = (negated ? condition.substring(4) : condition).split('.');
+    const predicate = buildPredicate(column, operator, rest.join('.'));
+    return negated ? row => !predicate(row) : predicate;
+}
+
+
+// --- CONSTRAINTS ---
+
+/**
+ * Finds the first constraint `candidate` breaks against `others`, or null.
+ */
+function findViolation(table, candidate, others) {
+    for (const key of UNIQUE_KEYS[table] || []) {
+        if (key.some(column => candidate[column] == null)) continue;
+        if (others.some(row => key.every(column => sameValue(row[column], candidate[column])))) {
+            return `duplicate key value violates unique constraint "${table}_${key.join('_')}_key"`;
+        }
+    }
+
+    if (table === 'premium_slots' && !INACTIVE_PAYMENT_STATUSES.includes(candidate.payment_status)) {
+        const clash = others.find(row =>
+            !INACTIVE_PAYMENT_STATUSES.includes(row.payment_status) &&
+            sameValue(row.tenant_id, candidate.tenant_id) &&
+            sameValue(row.table_id, candidate.table_id) &&
+            slotsOverlap(candidate.date, candidate.start_time, candidate.end_time, row.date, row.start_time, row.end_time));
+        if (clash) {
+            return `Double booking: table ${candidate.table_id} is already booked on ${candidate.date} at ${clash.start_time}.`;
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Creates an in-memory database seeded with `tables` ({ table_name: [rows] }).
+ * `rows(table)` returns a copy of a table's current contents, for checking results.
+ */
+export function createMemoryDatabase({ tables = {}, users = {} } = {}) {
+    const store = new Map(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => structuredClone(row))]));
+    // New ids start above any numeric id in the seed data
+    let lastId = Math.max(0, ...[...store.values()].flat().map(row => Number(row.id)).filter(Number.isFinite));
+
+    const tableRows = name => {
+        if (!store.has(name)) store.set(name, []);
+        return store.get(name);
+    };
+
+    const withDefaults = row => ({
+        id: ++lastId,
+        created_at: new Date().toISOString(),
+        ...structuredClone(row),
+    });
+
+    function execute(table, state) {
+        const rows = tableRows(table);
+        const matches = row => state.filters.every(predicate => predicate(row));
+        const fail = (message, code = UNIQUE_VIOLATION) => ({ data: null, error: { code, message }, count: null });
+        let result;
+
+        if (state.action === 'select') {
+            result = rows.filter(matches);
+        } else if (state.action === 'insert' || state.action === 'upsert') {
+            const incoming = (Array.isArray(state.values) ? state.values : [state.values]);
+            const conflictColumns = state.action === 'upsert' && state.options.onConflict
+                ? state.options.onConflict.split(',').map(c => c.trim())
+                : null;
+
+            const inserts = [];
+            const updates = [];
+            for (const values of incoming) {
+                const existing = conflictColumns && rows.find(row => conflictColumns.every(c => sameValue(row[c], values[c])));
+                if (existing) {
+                    updates.push([existing, { ...existing, ...structuredClone(values) }]);
+                } else {
+                    inserts.push(withDefaults(values));
+                }
+            }
+
+            // All-or-nothing, like a single INSERT statement
+            const untouched = rows.filter(row => !updates.some(([existing]) => existing === row));
+            const accepted = [...untouched];
+            for (const candidate of [...updates.map(([, updated]) => updated), ...inserts]) {
+                const violation = findViolation(table, candidate, accepted);
+                if (violation) return fail(violation);
+                accepted.push(candidate);
+            }
+
+            updates.forEach(([existing, updated]) => Object.assign(existing, updated));
+            rows.push(...inserts);
+            result = [...updates.map(([existing]) => existing), ...inserts];
+        } else if (state.action === 'update') {
+            const targets = rows.filter(matches);
+            const updated = targets.map(row => ({ ...row, ...structuredClone(state.values) }));
+            const accepted = rows.filter(row => !targets.includes(row));
+            for (const candidate of updated) {
+                const violation = findViolation(table, candidate, accepted);
+                if (violation) return fail(violation);
+                accepted.push(candidate);
+            }
+            targets.forEach((row, i) => Object.assign(row, updated[i]));
+            result = targets;
+        } else if (state.action === 'delete') {
+            result = rows.filter(matches);
+            store.set(table, rows.filter(row => !result.includes(row)));
+        } else {
+            throw new Error(`Memory database: no action for query on ${table}.`);
+        }
+
+        for (const { column, ascending } of [...state.order].reverse()) {
+            result = [...result].sort((a, b) => {
+                if (a[column] == null) return 1;
+                if (b[column] == null) return -1;
+                return ascending ? compareValues(a[column], b[column]) : compareValues(b[column], a[column]);
+            });
+        }
+
+        const count = result.length;
+        if (state.range) result = result.slice(state.range[0], state.range[1] + 1);
+        if (state.limit !== null) result = result.slice(0, state.limit);
+
+        const columns = state.columns && state.columns !== '*'
+            ? state.columns.split(',').map(c => c.trim()).filter(Boolean)
+            : null;
+        let data = result.map(row => {
+            const copy = structuredClone(row);
+            return columns ? Object.fromEntries(columns.map(c => [c, copy[c] === undefined ? null : copy[c]])) : copy;
+        });
+
+        if (state.action !== 'select' && !state.returning) data = null;
+        if (state.head) data = null;
+
+        if (state.single && data) {
+            if (data.length === 0 && state.single === 'maybe') {
+                data = null;
+            } else if (data.length !== 1) {
+                return fail('JSON object requested, multiple (or no) rows returned', NOT_SINGLE_ROW);
+            } else {
+                data = data[0];
+            }
+        }
+
+        return { data, error: null, count: state.countMode ? count : null };
+    }
+
+    function createQuery(table) {
+        const state = {
+            action: null,
+            values: null,
+            options: {},
+            columns: null,
+            returning: false,
+            countMode: null,
+            head: false,
+            filters: [],
+            order: [],
+            limit: null,
+            range: null,
+            single: null,
+        };
+
+        const query = {
+            select(columns = '*', { count, head } = {}) {
+                if (state.action) {
+                    state.returning = true;
+                } else {
+                    state.action = 'select';
+                }
+                state.columns = columns;
+                state.countMode = count || null;
+                state.head = Boolean(head);
+                return query;
+            },
+            insert(values) {
+                state.action = 'insert';
+                state.values = values;
+                return query;
+            },
+            upsert(values, options = {}) {
+                state.action = 'upsert';
+                state.values = values;
+                state.options = options;
+                return query;
+            },
+            update(values) {
+                state.action = 'update';
+                state.values = values;
+                return query;
+            },
+            delete() {
+                state.action = 'delete';
+                return query;
+            },
+            not(column, operator, value) {
+                const predicate = buildPredicate(column, operator, value);
+                state.filters.push(row => (operator === 'is' ? !predicate(row) : row[column] != null && !predicate(row)));
+                return query;
+            },
+            or(expression) {
+                state.filters.push(parseCondition(`or(${expression})`));
+                return query;
+            },
+            order(column, { ascending = true } = {}) {
+                state.order.push({ column, ascending });
+                return query;
+            },
+            limit(count) {
+                state.limit = count;
+                return query;
+            },
+            range(from, to) {
+                state.range = [from, to];
+                return query;
+            },
+            single() {
+                state.single = 'single';
+                return query;
+            },
+            maybeSingle() {
+                state.single = 'maybe';
+                return query;
+            },
+            then(resolve, reject) {
+                return Promise.resolve().then(() => execute(table, state)).then(resolve, reject);
+            },
+        };
+
+        for (const operator of ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'ilike', 'contains']) {
+            query[operator] = (column, value) => {
+                state.filters.push(buildPredicate(column, operator, value));
+                return query;
+            };
+        }
+
+        return query;
+    }
+
+    /**
+     * move_booking_slots: moves a booking's rows to new tables and a new time in one step.
+     * Rows already on a requested table keep it, the others take the new tables, leftovers are
+     * dropped and extra tables get a copy of the first row.
+     */
+    function moveBookingSlots({ p_slot_ids, p_table_ids, p_date, p_start_time, p_end_time, p_total_pence, p_calendar_sequence }) {
+        const rows = tableRows('premium_slots');
+        const slots = rows
+            .filter(row => p_slot_ids.some(id => sameValue(row.id, id)) && row.payment_status === 'PAID')
+            .sort((a, b) => compareValues(a.id, b.id));
+
+        if (slots.length !== p_slot_ids.length) {
+            return { data: null, error: { code: 'P0001', message: 'Booking changed while it was being moved.' } };
+        }
+
+        const tableIds = p_table_ids.map(Number);
+        const moved = { date: p_date, start_time: p_start_time, end_time: p_end_time, total_pence: p_total_pence, calendar_sequence: p_calendar_sequence };
+        const kept = slots.filter(row => tableIds.includes(Number(row.table_id)));
+        const spare = slots.filter(row => !tableIds.includes(Number(row.table_id)));
+        const newTableIds = tableIds.filter(id => !kept.some(row => Number(row.table_id) === id));
+        const { id, created_at, ...template } = slots[0];
+
+        const next = kept.map(row => ({ ...row, ...moved }));
+        for (let i = 0; i < Math.max(spare.length, newTableIds.length); i++) {
+            if (i < spare.length && i < newTableIds.length) {
+                next.push({ ...spare[i], ...moved, table_id: newTableIds[i] });
+            } else if (i >= spare.length) {
+                next.push(withDefaults({ ...template, ...moved, table_id: newTableIds[i] }));
+            }
+        }
+
+        const accepted = rows.filter(row => !slots.includes(row));
+        for (const candidate of next) {
+            const violation = findViolation('premium_slots', candidate, accepted);
+            if (violation) return { data: null, error: { code: UNIQUE_VIOLATION, message: violation } };
+            accepted.push(candidate);
+        }
+
+        store.set('premium_slots', accepted);
+        return { data: structuredClone(next.sort((a, b) => compareValues(a.id, b.id))), error: null };
+    }
+
+    /**
+     * place_reservation_hold: checks bookings and active holds and inserts the hold in one step,
+     * so of two racing checkouts exactly one gets the tables.
+     */
+    function placeReservationHold({ p_tenant_id, p_table_ids, p_booking_ref, p_date, p_start_time, p_end_time, p_expires_at, p_exclude_booking_ref = null }) {
+        const tableIds = p_table_ids.map(Number);
+        const now = new Date().toISOString();
+        const overlaps = row =>
+            sameValue(row.tenant_id, p_tenant_id) &&
+            tableIds.includes(Number(row.table_id)) &&
+            (p_exclude_booking_ref === null || row.booking_ref !== p_exclude_booking_ref) &&
+            slotsOverlap(p_date, p_start_time, p_end_time, row.date, row.start_time, row.end_time);
+
+        const booking = tableRows('premium_slots').find(row => !INACTIVE_PAYMENT_STATUSES.includes(row.payment_status) && overlaps(row));
+        if (booking) {
+            return { data: { conflict: true, table_id: Number(booking.table_id), source: 'booking' }, error: null };
+        }
+
+        const hold = tableRows('reserved_holds').find(row => compareValues(row.expires_at, now) >= 0 && overlaps(row));
+        if (hold) {
+            return { data: { conflict: true, table_id: Number(hold.table_id), source: 'hold' }, error: null };
+        }
+
+        const holds = tableIds.map(tableId => withDefaults({
+            table_id: tableId,
+            tenant_id: p_tenant_id,
+            expires_at: p_expires_at,
+            booking_ref: p_booking_ref,
+            date: p_date,
+            start_time: p_start_time,
+            end_time: p_end_time,
+        }));
+        tableRows('reserved_holds').push(...holds);
+        return { data: { conflict: false, hold_ids: holds.map(row => row.id) }, error: null };
+    }
+
+    const functions = { move_booking_slots: moveBookingSlots, place_reservation_hold: placeReservationHold };
+
+    return {
+        from: table => createQuery(table),
+        rows: table => structuredClone(tableRows(table)),
+        async rpc(name, params = {}) {
+            if (!functions[name]) {
+                return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name}` } };
+            }
+            return functions[name](params);
+        },
+        auth: {
+            async getUser(token) {
+                const user = users[token];
+                return user
+                    ? { data: { user: structuredClone(user) }, error: null }
+                    : { data: { user: null }, error: { message: 'invalid JWT' } };
+            },
+        },
+    };
+}
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+
+// --- OUTBOUND WEBHOOKS ---
+// Tenants can have booking events pushed to their own systems (POS, reservation book).
+// Subscriptions live in `webhook_subscriptions`:
+//   id, tenant_id, url, secret, events (text[]), is_active, created_at
+// and every send is logged in `webhook_deliveries`:
+//   id, subscription_id, tenant_id, event_id, event_type, payload (jsonb),
+//   status ('pending' | 'sending' | 'delivered' | 'failed'), attempts, next_attempt_at,
+//   last_attempt_at, response_status, last_error, delivered_at, created_at
+//   (unique on subscription_id + event_id, so re-running a handler never sends an event twice)
+//
+// Each POST carries the JSON event and a signature header
+//   X-DineSelect-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the secret>
+// Receivers should check the signature, reject old timestamps and de-duplicate on the event id.
+// Failed sends are retried with exponential backoff by /api/retry-webhook-deliveries and can be
+// re-sent by staff once they have given up (/api/admin-webhook-deliveries).
+
+export const OUTBOUND_EVENT_TYPES = [
+    'booking.confirmed',
+    'booking.conflict',
+    'booking.cancelled',
+    'booking.manual_created',
+];
+
+export const SIGNATURE_HEADER = 'X-DineSelect-Signature';
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+const REQUEST_TIMEOUT_MS = 5000;
+const FIRST_RETRY_MINUTES = 1;
+const MAX_RETRY_MINUTES = 6 * 60;
+
+// Postgres unique_violation: this event was already queued for the subscription
+const UNIQUE_VIOLATION = '23505';
+
+
+/**
+ * Helper function to build the signature header value for a body.
+ */
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+
+/**
+ * Helper function to work out when a failed delivery is tried again: 1, 2, 4, 8... minutes, capped.
+ */
+export function nextRetryAt(attempts, now = new Date()) {
+    const minutes = Math.min(FIRST_RETRY_MINUTES * 2 ** (attempts - 1), MAX_RETRY_MINUTES);
+    return new Date(now.getTime() + minutes * 60 * 1000);
+}
+
+
+/**
+ * Helper function to derive a stable event id, so retried handlers produce the same event.
+ */
+function buildEventId(type, key) {
+    return `evt_${crypto.createHash('sha256').update(`${type}:${key}`).digest('hex').substring(0, 24)}`;
+}
+
+
+/**
+ * The booking fields sent to tenants' systems.
+ */
+export function bookingEventData(booking) {
+    return {
+        booking_ref: booking.booking_ref || null,
+        series_id: booking.series_id || null,
+        table_ids: (booking.table_ids || [booking.table_id]).map(Number),
+        date: booking.date,
+        start_time: booking.start_time,
+        end_time: booking.end_time,
+        party_size: booking.party_size || null,
+        customer_name: booking.customer_name || null,
+        customer_email: booking.is_manual_booking ? null : (booking.customer_email || null),
+        total_pence: booking.is_manual_booking ? 0 : (Number(booking.total_pence) || 0),
+        promo_code: booking.promo_code || null,
+        voucher_pence: booking.is_manual_booking ? 0 : (Number(booking.voucher_pence) || 0),
+        payment_status: booking.payment_status || null,
+        is_manual_booking: Boolean(booking.is_manual_booking),
+        notes: booking.is_manual_booking ? (booking.host_notes || null) : null,
+    };
+}
+
+
+/**
+ * Sends one delivery and records the outcome. Never throws.
+ * Returns the delivery's new status.
+ */
+export async function attemptDelivery(supabase, delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const attempts = (delivery.attempts || 0) + 1;
+    const now = new Date();
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'DineSelect-Webhooks/1.0',
+                [SIGNATURE_HEADER]: signWebhookPayload(subscription.secret, body),
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        responseStatus = response.status;
+        if (!response.ok) errorMessage = `HTTP ${response.status}`;
+    } catch (error) {
+        errorMessage = error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS}ms` : error.message;
+    }
+
+    let update;
+    if (!errorMessage) {
+        update = { status: 'delivered', delivered_at: now.toISOString(), next_attempt_at: null, last_error: null };
+    } else if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+        update = { status: 'failed', next_attempt_at: null, last_error: errorMessage };
+    } else {
+        update = { status: 'pending', next_attempt_at: nextRetryAt(attempts, now).toISOString(), last_error: errorMessage };
+    }
+
+    const { error } = await supabase
+        .from('webhook_deliveries')
+        .update({ ...update, attempts, last_attempt_at: now.toISOString(), response_status: responseStatus })
+        .eq('id', delivery.id);
+
+    if (error) {
+        console.error(`[OUTBOUND WEBHOOK] Could not record delivery ${delivery.id}:`, error.message);
+    }
+
+    if (errorMessage) {
+        console.warn(`[OUTBOUND WEBHOOK] ${delivery.event_type} ${delivery.event_id} to ${subscription.url} failed (attempt ${attempts}): ${errorMessage}.`);
+    } else {
+        console.log(`[OUTBOUND WEBHOOK] ${delivery.event_type} ${delivery.event_id} delivered to ${subscription.url}.`);
+    }
+    return update.status;
+}
+
+
+/**
+ * Claims a queued delivery so only one sender works on it (optimistic: the row must still be
+ * exactly as it was read). Returns the claimed row or null.
+ */
+export async function claimDelivery(supabase, delivery) {
+    let query = supabase
+        .from('webhook_deliveries')
+        .update({ status: 'sending', last_attempt_at: new Date().toISOString() })
+        .eq('id', delivery.id)
+        .eq('status', delivery.status);
+
+    query = delivery.last_attempt_at
+        ? query.eq('last_attempt_at', delivery.last_attempt_at)
+        : query.is('last_attempt_at', null);
+
+    const { data, error } = await query.select('*');
+
+    if (error || !data || data.length === 0) return null;
+    return data[0];
+}
+
+
+/**
+ * Queues a booking event for every active subscription of the tenant that wants it and sends
+ * it straight away; anything that fails is left for the retry job.
+ * `key` identifies the occurrence (e.g. the booking_ref) so re-running the caller is harmless.
+ * Never throws: a tenant's endpoint being down must not fail the booking itself.
+ */
+export async function emitBookingEvent(supabase, { tenantId, type, key, data }) {
+    try {
+        const { data: subscriptions, error } = await supabase
+            .from('webhook_subscriptions')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('is_active', true)
+            .contains('events', [type]);
+
+        if (error) {
+            console.error(`[OUTBOUND WEBHOOK] Could not load subscriptions for ${tenantId}:`, error.message);
+            return;
+        }
+
+        if (!subscriptions || subscriptions.length === 0) return;
+
+        const eventId = buildEventId(type, key);
+        const payload = { id: eventId, type, created: new Date().toISOString(), tenant_id: tenantId, data };
+
+        for (const subscription of subscriptions) {
+            const { data: queued, error: insertError } = await supabase
+                .from('webhook_deliveries')
+                .insert({
+                    subscription_id: subscription.id,
+                    tenant_id: tenantId,
+                    event_id: eventId,
+                    event_type: type,
+                    payload,
+                    status: 'sending',
+                    attempts: 0,
+                    last_attempt_at: new Date().toISOString(),
+                })
+                .select('*')
+                .single();
+
+            if (insertError) {
+                if (insertError.code !== UNIQUE_VIOLATION) {
+                    console.error(`[OUTBOUND WEBHOOK] Could not queue ${type} for subscription ${subscription.id}:`, insertError.message);
+                }
+                continue;
+            }
+
+            await attemptDelivery(supabase, queued, subscription);
+        }
+    } catch (error) {
+        console.error(`[OUTBOUND WEBHOOK] Could not emit ${type} for ${tenantId}:`, error);
+    }
+}
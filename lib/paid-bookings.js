@@ -0,0 +1,375 @@
+import { resolveBookingEndTime } from './booking-times.js';
+import { buildCancelBookingUrl } from './booking-tokens.js';
+import { getTenantProfile, getStaffRecipients, withTenantSender } from './tenants.js';
+import { renderEmail } from './email-templates.js';
+import { buildCalendarLinks, buildIcsAttachment } from './calendar.js';
+import { confirmPromoRedemption, releasePromoRedemption } from './promotions.js';
+import { markWaitlistOfferBooked } from './waitlist.js';
+import { bookingEventData, emitBookingEvent } from './outbound-webhooks.js';
+import { VOUCHER_ORDER_PREFIX, confirmVoucherRedemption, releaseVoucherRedemption } from './vouchers.js';
+
+// --- PAID BOOKINGS ---
+// Turns a paid checkout into a booking: writes the premium_slots rows, sends the notifications
+// and settles promo codes and gift voucher credit, or refunds the customer if the tables were
+// lost to a double booking. Shared by the Stripe webhook and by /api/create-checkout (checkouts
+// a gift voucher pays for in full). Every function takes the services from lib/services.js.
+
+
+/**
+ * Issues the full refund for a session that lost a double-booking race.
+ * The idempotency key is tied to the session, so Stripe retries never refund twice.
+ */
+export async function issueConflictRefund({ supabase, payments }, session, eventId) {
+
+    // Fully discounted sessions (100% promo codes, gift vouchers) never took a payment
+    if (!session.payment_intent) {
+        console.log(`[REFUND SKIPPED] Session ${session.id} has no payment to refund.`);
+        return { success: true, id: 'N/A (nothing charged)', status: 'not_required' };
+    }
+
+    let refund;
+    try {
+        refund = await payments.createRefund(
+            {
+                payment_intent: session.payment_intent,
+                reason: 'requested_by_customer',
+                metadata: {
+                    booking_ref: (session.metadata && session.metadata.booking_ref) || 'N/A',
+                    stripe_event_id: eventId,
+                    cause: 'double_booking_conflict',
+                },
+            },
+            { idempotencyKey: `conflict-refund-${session.id}` }
+        );
+        console.log(`[REFUND SUCCESS] Refund ${refund.id} (${refund.status}) issued for session ${session.id}.`);
+    } catch (error) {
+        console.error(`[REFUND FAILURE] Could not refund session ${session.id}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    const { error: updateError } = await supabase
+        .from('webhook_events')
+        .update({ refund_id: refund.id, refund_status: refund.status })
+        .eq('stripe_event_id', eventId);
+
+    if (updateError) {
+        console.error('Failed to save refund against webhook_event:', updateError.message);
+    }
+
+    return { success: true, id: refund.id, status: refund.status };
+}
+
+/**
+ * Sends the urgent refund alert to the customer.
+ */
+async function sendCustomerConflictAlert(mailer, booking, tenant, refund) {
+    const customerEmail = booking.customer_email;
+    
+    try {
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: customerEmail,
+            ...renderEmail('customer_conflict', { booking, refund }, tenant),
+        }));
+        console.log(`Email Sent: Conflict alert sent to customer at ${customerEmail}.`);
+        return { success: true };
+    } catch (error) {
+        console.error('Email Error: Failed to send customer conflict alert:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Tells staff about a new booking, or (type 'BOOKING CONFLICT FAIL') a booking that lost its tables.
+ */
+export async function sendBookingNotification(mailer, booking, type, tenant, refund) {
+    const isConflict = type === 'BOOKING CONFLICT FAIL';
+    const staffEmails = getStaffRecipients(tenant, isConflict ? 'booking_conflict' : 'booking_confirmed');
+
+    const email = isConflict
+        ? renderEmail('staff_conflict', { booking, refund }, tenant)
+        : renderEmail('staff_new_booking', { booking, type }, tenant);
+    
+    try {
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: staffEmails,
+            ...email,
+        }));
+        console.log(`Email Sent: Successfully notified staff.`);
+        return { success: true };
+    } catch (error) {
+        console.error('Email Error: Failed to send staff notification via Resend:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Sends the customer their confirmation with cancel and calendar links (successful bookings only).
+ */
+async function sendCustomerConfirmation(mailer, booking, tenant) {
+    const customerEmail = booking.customer_email;
+    
+    try {
+        const cancelUrl = buildCancelBookingUrl(booking.booking_ref);
+        const calendarLinks = buildCalendarLinks(booking, tenant);
+        await mailer.emails.send(withTenantSender(tenant, {
+            to: customerEmail,
+            ...renderEmail('customer_confirmation', { booking, cancelUrl, calendarLinks }, tenant),
+            attachments: [buildIcsAttachment(booking, tenant, { method: 'REQUEST', sequence: 0 })],
+        }));
+        console.log(`Email Sent: Successfully notified customer at ${customerEmail}.`);
+        return { success: true };
+    } catch (error) {
+        console.error('Email Error: Failed to send customer confirmation via Resend:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+
+/**
+ * Deletes the checkout holds for a booking so the tables show as free (or booked) straight away.
+ * Returns the released hold rows.
+ */
+export async function releaseHolds({ bookings }, bookingRef) {
+    if (!bookingRef || bookingRef === 'N/A') return [];
+
+    const { released, error } = await bookings.releaseHolds(bookingRef);
+
+    if (error) {
+        console.error(`[HOLD RELEASE FAILURE] Could not release holds for ref ${bookingRef}:`, error);
+        return [];
+    }
+
+    console.log(`[HOLD RELEASE SUCCESS] Holds released for ref ${bookingRef}.`);
+    return released;
+}
+
+
+/**
+ * Writes the premium_slots rows for a paid session and sends the notifications.
+ * Used for instant card payments and for delayed payments once they succeed.
+ * Returns { status: 'completed' } or { status: 'conflict', error }; throws if the booking
+ * could not be attempted at all, so the event is retried.
+ */
+export async function bookPaidSession(services, session, eventId) {
+    const { supabase, bookings, mailer } = services;
+    const metadata = session.metadata || {};
+
+    if (!metadata.table_ids || !metadata.tenant_id) {
+        throw new Error(`Session ${session.id} is missing its booking metadata.`);
+    }
+
+    // total_pence is everything the customer paid: the card payment plus any gift voucher credit
+    const voucherPence = Number(metadata.voucher_pence) || 0;
+    const totalAmountPence = session.amount_total + voucherPence;
+    const tableIds = metadata.table_ids.split(','); 
+    
+    // Use the exact end time checkout gave the hold, so reserved_holds and premium_slots agree.
+    // Older sessions without it fall back to the same shared calculation.
+    const endTimeStr = metadata.booking_end_time || (await resolveBookingEndTime(supabase, {
+        tenantId: metadata.tenant_id,
+        bookingDate: metadata.booking_date,
+        startTime: metadata.booking_time,
+        partySize: metadata.party_size,
+    })).endTime;
+
+    const customerEmail = metadata.email || (session.customer_details ? session.customer_details.email : null);
+    const receiveOffers = metadata.receive_offers;
+    
+    // Fetch the tenant's name and email identity once
+    const tenant = await getTenantProfile(supabase, metadata.tenant_id);
+
+    const primaryBooking = {
+        table_id: tableIds.join(', '),
+        date: metadata.booking_date,
+        start_time: metadata.booking_time,
+        end_time: endTimeStr,
+        tenant_id: metadata.tenant_id,
+        host_notes: `Stripe Order: ${session.id}`, 
+        stripe_order_id: session.id,
+        customer_email: customerEmail,
+        customer_name: metadata.customer_name || 'Customer',
+        party_size: metadata.party_size || 'N/A',
+        total_pence: totalAmountPence, 
+        booking_ref: metadata.booking_ref,
+        promo_code: metadata.promo_code || null,
+        discount_pence: Number(metadata.discount_pence) || 0,
+        voucher_code: metadata.voucher_code || null,
+        voucher_pence: voucherPence,
+    };
+    
+    // CRITICAL FLAG: Check if any booking attempt fails due to the database trigger
+    let allBookingsSuccessful = true;
+    let refund = null;
+    
+    // 3. Insert into premium_slots (CRITICAL BOOKING DATA)
+    // All tables go in ONE bulk insert. PostgREST runs it as a single statement, so if the
+    // double-booking trigger rejects any table, none of the group's rows are kept.
+    const slotRows = tableIds.map(tableId => ({
+        tenant_id: metadata.tenant_id,
+        table_id: Number(tableId),
+        date: metadata.booking_date,
+        start_time: metadata.booking_time,
+        end_time: endTimeStr, 
+        host_notes: primaryBooking.host_notes, 
+        stripe_order_id: session.id, 
+        booking_ref: metadata.booking_ref, 
+        customer_email: customerEmail,
+        payment_status: 'PAID',
+        is_manual_booking: false,
+        receive_offers: (receiveOffers === 'TRUE'),
+        total_pence: totalAmountPence,
+        customer_name: primaryBooking.customer_name, 
+        promo_code: primaryBooking.promo_code,
+        discount_pence: primaryBooking.discount_pence,
+        voucher_code: primaryBooking.voucher_code,
+        voucher_pence: voucherPence,
+    }));
+
+    // A retried event may already have written its rows before failing; never book them twice
+    const { slots: existingSlots, error: existingError } = await bookings.findSlotsByOrder(session.id);
+
+    if (existingError) {
+        throw new Error(`Could not check existing slots for session ${session.id}: ${existingError}`);
+    }
+
+    let slotsError = null;
+    if (existingSlots.length > 0) {
+        console.log(`[PREMIUM_SLOTS RETRY] Session ${session.id} already booked; resuming after the insert.`);
+    } else {
+        console.log(`[PREMIUM_SLOTS DEBUG] Attempting atomic insert for tables ${tableIds.join(', ')}...`);
+        let isConflict;
+        ({ error: slotsError, isConflict } = await bookings.insertSlots(slotRows));
+
+        // Only a double booking is refunded. Anything else (an outage, a bad column) is thrown,
+        // so the event is marked failed and Stripe delivers it again.
+        if (slotsError && !isConflict) {
+            throw new Error(`Could not book session ${session.id}: ${slotsError}`);
+        }
+    }
+
+    if (slotsError) {
+        console.error(`[PREMIUM_SLOTS FAILURE] Group insert rejected, no tables booked:`, slotsError);
+        // CRITICAL CHANGE: Mark the entire transaction as failed
+        allBookingsSuccessful = false; 
+    } else {
+        console.log(`[PREMIUM_SLOTS SUCCESS] Tables ${tableIds.join(', ')} booked.`);
+    }
+    
+    // 4. Update Engagement Tracking (REMOVED)
+    console.log('[TRACKING SKIPPED] Engagement tracking update skipped as requested.');
+    
+    // 5. Send Notifications (Staff and Customer) - CONDITIONAL EXECUTION
+    if (allBookingsSuccessful) {
+         await sendBookingNotification(mailer, primaryBooking, 'CUSTOMER PAID', tenant);
+         await sendCustomerConfirmation(mailer, primaryBooking, tenant); 
+         console.log('User notified of successful booking.');
+         
+         // 6. Insert into marketing_optins (Consent Data) - Only on success
+         if (receiveOffers === 'TRUE' && customerEmail) {
+            const optInRow = {
+                email: customerEmail,
+                tenant_id: metadata.tenant_id,
+                booking_date: metadata.booking_date,
+                location: metadata.tenant_id,
+                source: metadata.booking_ref || 'table_booking',
+                // Exactly what the guest ticked on pick-seat.html, as consent evidence
+                consent_text: 'Yes, I would like to receive future offers and discounts from restaurants in my area.',
+                consented_at: new Date().toISOString(),
+                is_subscribed: true,
+                unsubscribed_at: null
+            };
+            
+            const { error: optinError } = await supabase
+                .from('marketing_optins')
+                .upsert([optInRow], { onConflict: 'email, tenant_id' });
+
+            if (optinError) {
+                console.error('Error inserting marketing opt-in:', optinError);
+            }
+        }
+
+         // 6a. A waitlist offer that turned into a booking is done with
+         await markWaitlistOfferBooked(supabase, metadata.booking_ref);
+
+         // 6b. The promo code use reserved at checkout is now spent
+         if (metadata.promo_redemption_id) {
+            await confirmPromoRedemption(supabase, metadata.promo_redemption_id);
+         }
+
+         // 6c. Gift voucher credit reserved at checkout is now spent
+         if (voucherPence > 0) {
+            await confirmVoucherRedemption(supabase, metadata.booking_ref, { checkoutId: metadata.checkout_id });
+         }
+
+    } else {
+        console.warn(`[T2 FAILURE LOG] Booking for ref ${metadata.booking_ref} failed due to conflict. Issuing refund.`);
+
+        // CRITICAL: Refund the customer through Stripe before telling anyone about it
+        refund = await issueConflictRefund(services, session, eventId);
+
+        // Any gift voucher credit goes straight back onto the voucher
+        if (voucherPence > 0) {
+            await releaseVoucherRedemption(supabase, metadata.booking_ref, { checkoutId: metadata.checkout_id });
+        }
+
+        // ...and so does the promo code use
+        await releasePromoRedemption(supabase, metadata.promo_redemption_id);
+        
+        // CRITICAL: Send conflict alert to customer. A checkout paid in full by gift voucher was
+        // booked while the customer waited, so create-checkout has already told them.
+        if (!session.id.startsWith(VOUCHER_ORDER_PREFIX)) {
+            await sendCustomerConflictAlert(mailer, primaryBooking, tenant, refund);
+        }
+        
+        // Send urgent alert to staff (only asks for a manual refund if the automatic one failed)
+        await sendBookingNotification(mailer, primaryBooking, 'BOOKING CONFLICT FAIL', tenant, refund);
+        
+        // NOTE: We do NOT send the generic success confirmation to the customer.
+    }
+
+    // The hold has served its purpose whether the tables were booked or refunded
+    await releaseHolds(services, metadata.booking_ref);
+
+    // 6d. Push the outcome to the tenant's own systems
+    await emitBookingEvent(supabase, {
+        tenantId: metadata.tenant_id,
+        type: allBookingsSuccessful ? 'booking.confirmed' : 'booking.conflict',
+        key: metadata.booking_ref || session.id,
+        data: {
+            ...bookingEventData({
+                ...primaryBooking,
+                table_ids: tableIds,
+                party_size: Number(metadata.party_size) || null,
+                payment_status: allBookingsSuccessful ? 'PAID' : (refund.success ? 'REFUNDED' : 'REFUND_FAILED'),
+            }),
+            ...(allBookingsSuccessful ? {} : { refund_id: refund.success ? refund.id : null }),
+        },
+    });
+
+    // 7. Outcome for webhook_events
+    if (!allBookingsSuccessful) {
+        const refundNote = refund.success ? `refund ${refund.id} (${refund.status})` : `REFUND FAILED: ${refund.error}`;
+        return { status: 'conflict', error: `${slotsError}; ${refundNote}` };
+    }
+    return { status: 'completed' };
+}
+
+
+/**
+ * Books a checkout that a gift voucher paid for in full (see /api/create-checkout). There is no
+ * Stripe payment, so it runs straight away through the same booking path as a paid session:
+ * same premium_slots rows, notifications and outbound events.
+ * Returns { status: 'completed' } or { status: 'conflict', error }.
+ */
+export async function bookVoucherCoveredCheckout(services, metadata) {
+    const session = {
+        id: `${VOUCHER_ORDER_PREFIX}${metadata.checkout_id}`,
+        amount_total: 0,
+        payment_intent: null,
+        customer_details: null,
+        metadata,
+    };
+
+    console.log(`[VOUCHER BOOKING] Ref ${metadata.booking_ref} covered by gift voucher ${metadata.voucher_code}; booking without Stripe.`);
+    return bookPaidSession(services, session, session.id);
+}
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import Stripe from 'stripe';
+
+// --- PAYMENTS ---
+// The booking flow talks to its payment provider only through this small interface:
+//   createCheckoutSession(params)               -> session ({ id, url, ... } as Stripe returns it)
+//   retrieveCheckoutSession(sessionId, params)  -> session (params.expand may ask for
+//                                                  'payment_intent.latest_charge')
+//   findCheckoutSessionByPaymentIntent(piId)    -> session or null
+//   createRefund(params, { idempotencyKey })    -> refund ({ id, status })
+//   createCoupon(params)                        -> coupon ({ id })
+//   constructWebhookEvent(rawBody, signature)   -> verified event; throws if the signature is bad
+//   retrieveEvent(eventId)                      -> event
+// Params and results use Stripe's shapes. createStripePayments is the real thing;
+// createMemoryPayments keeps everything in memory for running the flow offline.
+
+
+/**
+ * Payments backed by Stripe.
+ */
+export function createStripePayments({ secretKey, webhookSecret }) {
+    const stripe = new Stripe(secretKey);
+
+    return {
+        createCheckoutSession: params => stripe.checkout.sessions.create(params),
+        retrieveCheckoutSession: (sessionId, params) => stripe.checkout.sessions.retrieve(sessionId, params),
+        findCheckoutSessionByPaymentIntent: async paymentIntentId => {
+            const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+            return sessions.data[0] || null;
+        },
+        createRefund: (params, { idempotencyKey } = {}) => stripe.refunds.create(params, idempotencyKey ? { idempotencyKey } : undefined),
+        createCoupon: params => stripe.coupons.create(params),
+        constructWebhookEvent: (rawBody, signature) => stripe.webhooks.constructEvent(rawBody, signature, webhookSecret),
+        retrieveEvent: eventId => stripe.events.retrieve(eventId),
+    };
+}
+
+
+/**
+ * Helper function to work out what a Checkout Session charges: its line items less any coupons.
+ */
+function sessionTotal(params, coupons) {
+    const subtotal = (params.line_items || []).reduce((sum, item) => sum + item.price_data.unit_amount * (item.quantity || 1), 0);
+    const discount = (params.discounts || []).reduce((sum, d) => sum + ((coupons.get(d.coupon) || {}).amount_off || 0), 0);
+    return Math.max(0, subtotal - discount);
+}
+
+
+/**
+ * In-memory payments. Behaves like the parts of Stripe the flow uses, and adds helpers that play
+ * the customer's side, each returning the webhook event Stripe would send:
+ *   completeCheckout(sessionId, { asyncPayment })  pays (or, with asyncPayment, starts paying)
+ *   succeedAsyncPayment(sessionId) / failAsyncPayment(sessionId)
+ *   expireCheckout(sessionId)
+ *   refundCharge(paymentIntentId)                  a refund made in the Stripe dashboard
+ * signEvent(event) returns { rawBody, signature } to post to the webhook handler.
+ * Everything created is visible in `sessions`, `refunds`, `coupons` and `events`.
+ */
+export function createMemoryPayments({ webhookSecret = 'whsec_memory' } = {}) {
+    const sessions = new Map();
+    const coupons = new Map();
+    const events = new Map();
+    const refunds = [];
+    const refundsByKey = new Map();
+    let counter = 0;
+
+    const nextId = prefix => `${prefix}_memory_${++counter}`;
+    const signature = rawBody => crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+
+    const requireSession = sessionId => {
+        const session = sessions.get(sessionId);
+        if (!session) throw new Error(`No such checkout session: ${sessionId}`);
+        return session;
+    };
+
+    const refundedPence = paymentIntentId => refunds
+        .filter(r => r.payment_intent === paymentIntentId)
+        .reduce((sum, r) => sum + r.amount, 0);
+
+    const recordEvent = (type, object) => {
+        const event = { id: nextId('evt'), type, created: Math.floor(Date.now() / 1000), data: { object: structuredClone(object) } };
+        events.set(event.id, event);
+        return event;
+    };
+
+    return {
+        sessions,
+        coupons,
+        refunds,
+        events,
+
+        async createCheckoutSession(params) {
+            // Stripe refuses card payments under its minimum charge (free sessions are fine)
+            const amountTotal = sessionTotal(params, coupons);
+            if (amountTotal > 0 && amountTotal < 30) {
+                throw new Error('The Checkout Session\'s total amount due must add up to at least £0.30 gbp');
+            }
+
+            const id = nextId('cs');
+            const session = {
+                id,
+                object: 'checkout.session',
+                url: `https://checkout.memory.test/${id}`,
+                status: 'open',
+                payment_status: 'unpaid',
+                amount_total: amountTotal,
+                customer_email: params.customer_email || null,
+                customer_details: params.customer_email ? { email: params.customer_email } : null,
+                payment_intent: null,
+                metadata: { ...(params.metadata || {}) },
+                expires_at: params.expires_at,
+                params,
+            };
+            sessions.set(id, session);
+            return structuredClone(session);
+        },
+
+        async retrieveCheckoutSession(sessionId, { expand = [] } = {}) {
+            const session = structuredClone(requireSession(sessionId));
+            if (expand.includes('payment_intent.latest_charge') && session.payment_intent) {
+                session.payment_intent = {
+                    id: session.payment_intent,
+                    object: 'payment_intent',
+                    latest_charge: {
+                        object: 'charge',
+                        amount: session.amount_total,
+                        amount_refunded: refundedPence(session.payment_intent),
+                    },
+                };
+            }
+            return session;
+        },
+
+        async findCheckoutSessionByPaymentIntent(paymentIntentId) {
+            const session = [...sessions.values()].find(s => s.payment_intent === paymentIntentId);
+            return session ? structuredClone(session) : null;
+        },
+
+        async createRefund(params, { idempotencyKey } = {}) {
+            if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+                return structuredClone(refundsByKey.get(idempotencyKey));
+            }
+            const session = [...sessions.values()].find(s => s.payment_intent === params.payment_intent);
+            if (!session) {
+                throw new Error(`No such payment_intent: ${params.payment_intent}`);
+            }
+            const amount = params.amount || session.amount_total - refundedPence(params.payment_intent);
+            if (amount <= 0 || amount > session.amount_total - refundedPence(params.payment_intent)) {
+                throw new Error(`Refund amount (${amount}) is greater than the unrefunded amount on charge`);
+            }
+            const refund = { id: nextId('re'), status: 'succeeded', ...params, amount };
+            refunds.push(refund);
+            if (idempotencyKey) refundsByKey.set(idempotencyKey, refund);
+            return structuredClone(refund);
+        },
+
+        async createCoupon(params) {
+            const coupon = { id: nextId('coupon'), ...params };
+            coupons.set(coupon.id, coupon);
+            return structuredClone(coupon);
+        },
+
+        constructWebhookEvent(rawBody, sig) {
+            const body = Buffer.isBuffer(rawBody) ? rawBody.toString() : rawBody;
+            if (sig !== signature(body)) {
+                throw new Error('No signatures found matching the expected signature for payload.');
+            }
+            return JSON.parse(body);
+        },
+
+        async retrieveEvent(eventId) {
+            const event = events.get(eventId);
+            if (!event) throw new Error(`No such event: ${eventId}`);
+            return structuredClone(event);
+        },
+
+        // --- Customer-side helpers ---
+
+        signEvent(event) {
+            const rawBody = JSON.stringify(event);
+            return { rawBody, signature: signature(rawBody) };
+        },
+
+        completeCheckout(sessionId, { asyncPayment = false } = {}) {
+            const session = requireSession(sessionId);
+            session.status = 'complete';
+            session.payment_intent = session.amount_total > 0 ? nextId('pi') : null;
+            session.payment_status = asyncPayment ? 'unpaid' : (session.amount_total > 0 ? 'paid' : 'no_payment_required');
+            return recordEvent('checkout.session.completed', session);
+        },
+
+        succeedAsyncPayment(sessionId) {
+            const session = requireSession(sessionId);
+            session.payment_status = 'paid';
+            return recordEvent('checkout.session.async_payment_succeeded', session);
+        },
+
+        failAsyncPayment(sessionId) {
+            return recordEvent('checkout.session.async_payment_failed', requireSession(sessionId));
+        },
+
+        expireCheckout(sessionId) {
+            const session = requireSession(sessionId);
+            session.status = 'expired';
+            return recordEvent('checkout.session.expired', session);
+        },
+
+        refundCharge(paymentIntentId) {
+            const session = [...sessions.values()].find(s => s.payment_intent === paymentIntentId);
+            if (!session) throw new Error(`No such payment_intent: ${paymentIntentId}`);
+            return recordEvent('charge.refunded', {
+                id: nextId('ch'),
+                object: 'charge',
+                payment_intent: paymentIntentId,
+                amount: session.amount_total,
+                amount_refunded: session.amount_total,
+                refunded: true,
+            });
+        },
+    };
+}
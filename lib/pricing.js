@@ -0,0 +1,192 @@
+import { getConfiguredCapacity, getTenantTableRules } from './table-rules.js';
+
+// --- SERVER-SIDE PRICING ENGINE ---
+// The seat picker shows prices, but only these helpers decide what is charged.
+//
+// Base prices per table class come from tenants.price_table. tenants.pricing_rules then adjusts them
+// for the sitting being booked:
+//   {
+//     "rules": [
+//       { "label": "Weekend evenings", "weekdays": [5, 6], "from": "19:00", "until": "21:30", "multiplier": 1.5 },
+//       { "label": "Quiet Mondays", "weekdays": [1], "multiplier": 0.8 },
+//       { "label": "New Year's Eve", "dates": ["2026-12-31"], "prices": { "2": 1999, "4": 3999 } }
+//     ],
+//     "demand_tiers": [
+//       { "label": "Busy", "min_occupancy": 0.5, "multiplier": 1.1 },
+//       { "label": "Nearly full", "min_occupancy": 0.8, "multiplier": 1.25 }
+//     ]
+//   }
+// A rule applies when every condition it sets matches (weekdays: 0 = Sunday; from/until: the start
+// time; dates; table_sizes). `prices` replaces the base price (the last matching rule wins, so list
+// special dates after weekly rules), then every matching `multiplier` is applied in turn.
+// Demand tiers use the share of bookable tables already taken for the sitting; the highest tier
+// reached applies.
+
+// Fallback prices (in pence) keyed by table capacity. Mirrors the
+// PRICE_2_SEATER / PRICE_4_SEATER / PRICE_6_SEATER constants in pick-seat.html.
+export const DEFAULT_PRICE_TABLE = {
+    2: 499,
+    4: 999,
+    6: 1499,
+};
+
+
+/**
+ * Helper function to load the tenant's price table and pricing rules. The price table falls back
+ * to the defaults for any capacity the tenant has not overridden.
+ * Tenants store overrides in tenants.price_table as JSON, e.g. { "2": 599, "4": 1099 }.
+ */
+export async function getTenantPricing(supabase, tenantId) {
+    const { data, error } = await supabase
+        .from('tenants')
+        .select('price_table, pricing_rules')
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Pricing Error: Could not fetch tenant pricing:', error.message);
+    }
+
+    const pricingRules = (data && data.pricing_rules) || {};
+    return {
+        priceTable: { ...DEFAULT_PRICE_TABLE, ...((data && data.price_table) || {}) },
+        rules: pricingRules.rules || [],
+        demandTiers: (pricingRules.demand_tiers || [])
+            .slice()
+            .sort((a, b) => Number(a.min_occupancy) - Number(b.min_occupancy)),
+    };
+}
+
+
+/**
+ * Helper function to load just the tenant's base price table.
+ */
+export async function getTenantPriceTable(supabase, tenantId) {
+    const { priceTable } = await getTenantPricing(supabase, tenantId);
+    return priceTable;
+}
+
+
+/**
+ * Helper function to look up the base price for a table of `capacity` seats.
+ * Returns 0 for sizes with no defined price.
+ */
+export function getTablePricePence(capacity, priceTable) {
+    return (capacity && priceTable[capacity]) || 0;
+}
+
+
+// Booking dates are already the tenant's local date, so the weekday needs no time zone.
+function getWeekday(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+
+/**
+ * Helper function to check a pricing rule's conditions against a sitting and table size.
+ */
+export function pricingRuleMatches(rule, { date, startTime, capacity }) {
+    if (rule.dates && !(date && rule.dates.includes(date))) return false;
+    if (rule.weekdays && !(date && rule.weekdays.map(Number).includes(getWeekday(date)))) return false;
+    if (rule.table_sizes && !rule.table_sizes.map(Number).includes(capacity)) return false;
+
+    if (rule.from || rule.until) {
+        if (!startTime) return false;
+        const start = startTime.substring(0, 5);
+        if (rule.from && start < rule.from) return false;
+        if (rule.until && start >= rule.until) return false;
+    }
+
+    return true;
+}
+
+
+/**
+ * Helper function to price one table for a sitting. `capacity` is the table's seat count from
+ * getConfiguredCapacity, so per-tenant overrides price the table as the size it really is.
+ * `slot` is { date, startTime, occupancy }; without a date and time only the base price applies.
+ * Returns { capacity, base_pence, price_pence, adjustments: [{ label, type, value }] }.
+ */
+export function priceTableForSlot(capacity, pricing, slot = {}) {
+    const basePence = getTablePricePence(capacity, pricing.priceTable);
+    const adjustments = [];
+
+    if (!basePence) {
+        return { capacity, base_pence: 0, price_pence: 0, adjustments };
+    }
+
+    const matching = pricing.rules.filter(rule => pricingRuleMatches(rule, { ...slot, capacity }));
+    let price = basePence;
+
+    // 1. Fixed prices for the sitting (special dates, set menus, ...)
+    matching.forEach(rule => {
+        if (rule.prices && rule.prices[capacity] !== undefined) {
+            price = Number(rule.prices[capacity]);
+            adjustments.push({ label: rule.label || 'Special price', type: 'override', value: price });
+        }
+    });
+
+    // 2. Weekday and time window multipliers
+    matching.forEach(rule => {
+        if (rule.multiplier !== undefined) {
+            price = price * Number(rule.multiplier);
+            adjustments.push({ label: rule.label || 'Time slot', type: 'multiplier', value: Number(rule.multiplier) });
+        }
+    });
+
+    // 3. Demand: how full the room already is for this sitting
+    if (slot.occupancy !== undefined && slot.occupancy !== null) {
+        const tier = pricing.demandTiers.filter(t => slot.occupancy >= Number(t.min_occupancy)).pop();
+        if (tier) {
+            price = price * Number(tier.multiplier);
+            adjustments.push({ label: tier.label || 'High demand', type: 'demand', value: Number(tier.multiplier) });
+        }
+    }
+
+    return { capacity, base_pence: basePence, price_pence: Math.round(price), adjustments };
+}
+
+
+/**
+ * Works out the price of a booking from the tenant's own `tables` rows.
+ * `slot` is { date, startTime, occupancy, pricing, tableRules } - pass `pricing` and
+ * `tableRules` if they are already loaded.
+ * Returns { totalPence, lines } or { error } if any table is unknown or unpriced.
+ */
+export async function calculateBookingPrice(supabase, tenantId, tableIds, slot = {}) {
+    const tableIdArray = tableIds.map(id => Number(id));
+
+    const { data: tableRows, error } = await supabase
+        .from('tables')
+        .select('id, w, h')
+        .eq('tenant_id', tenantId)
+        .in('id', tableIdArray);
+
+    if (error) {
+        console.error('Pricing Error: Could not fetch tables:', error.message);
+        return { error: 'Could not look up the selected tables.' };
+    }
+
+    const pricing = slot.pricing || await getTenantPricing(supabase, tenantId);
+    const tableRules = slot.tableRules || await getTenantTableRules(supabase, tenantId);
+    const tableMap = new Map(tableRows.map(t => [Number(t.id), t]));
+
+    const lines = [];
+    for (const tableId of tableIdArray) {
+        const table = tableMap.get(tableId);
+        if (!table) {
+            return { error: `Table ${tableId} does not exist for this restaurant.` };
+        }
+
+        const quote = priceTableForSlot(getConfiguredCapacity(table, tableRules), pricing, slot);
+        if (!quote.price_pence) {
+            return { error: `Table ${tableId} has no defined price.` };
+        }
+
+        lines.push({ table_id: tableId, ...quote });
+    }
+
+    const totalPence = lines.reduce((sum, line) => sum + line.price_pence, 0);
+    return { totalPence, lines };
+}
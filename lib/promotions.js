@@ -0,0 +1,228 @@
+// --- PROMO CODES ---
+// Codes are defined per tenant in `promo_codes`:
+//   tenant_id, code, discount_type ('percent' | 'fixed'), discount_value (percent, or pence for fixed),
+//   valid_from, valid_until (YYYY-MM-DD, either may be null), max_redemptions (null = unlimited),
+//   allowed_weekdays (e.g. [2] for Tuesdays, 0 = Sunday; null = any day), is_active,
+//   times_used (uses taken so far, reserved or redeemed)
+// Every use is a `promo_redemptions` row:
+//   id, promo_code_id, tenant_id, booking_ref, discount_pence,
+//   status ('reserved' | 'redeemed' | 'released'), created_at
+// A use is taken off the cap as soon as checkout starts ('reserved'), so open checkouts can never
+// go past max_redemptions together, and handed back if the checkout lapses or loses its tables.
+
+import { STRIPE_MINIMUM_CHARGE_PENCE } from './vouchers.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_USE_ATTEMPTS = 5;
+
+
+/**
+ * Helper function to normalise a code as typed by a customer.
+ */
+export function normalisePromoCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+
+/**
+ * Helper function to work out the discount a promo gives on a subtotal, never more than the
+ * subtotal. What is left to pay is either nothing or at least Stripe's minimum charge, so a
+ * 98%-off code on a small booking still reaches Checkout.
+ */
+export function calculateDiscountPence(promo, subtotalPence) {
+    const discount = promo.discount_type === 'percent'
+        ? Math.round(subtotalPence * Number(promo.discount_value) / 100)
+        : Number(promo.discount_value);
+    const discountPence = Math.max(0, Math.min(discount, subtotalPence));
+
+    const duePence = subtotalPence - discountPence;
+    if (duePence > 0 && duePence < STRIPE_MINIMUM_CHARGE_PENCE) {
+        return Math.max(0, subtotalPence - STRIPE_MINIMUM_CHARGE_PENCE);
+    }
+    return discountPence;
+}
+
+
+/**
+ * Validates a promo code for a booking and works out the discount.
+ * Returns { promo, discountPence } or { error } with a customer-facing reason.
+ */
+export async function validatePromoCode(supabase, { tenantId, code, bookingDate, subtotalPence }) {
+    const normalisedCode = normalisePromoCode(code);
+
+    const { data: promo, error } = await supabase
+        .from('promo_codes')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('code', normalisedCode)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Promo Error: Could not look up promo code:', error.message);
+        throw new Error('Could not check the promo code.');
+    }
+
+    if (!promo) {
+        return { error: `Promo code ${normalisedCode} is not valid.` };
+    }
+
+    const today = new Date().toISOString().substring(0, 10);
+    if ((promo.valid_from && today < promo.valid_from) || (promo.valid_until && today > promo.valid_until)) {
+        return { error: `Promo code ${normalisedCode} has expired or is not active yet.` };
+    }
+
+    if (promo.allowed_weekdays && promo.allowed_weekdays.length > 0) {
+        const [y, m, d] = bookingDate.split('-').map(Number);
+        const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+        if (!promo.allowed_weekdays.map(Number).includes(weekday)) {
+            const days = promo.allowed_weekdays.map(day => WEEKDAY_NAMES[Number(day)]).join(', ');
+            return { error: `Promo code ${normalisedCode} can only be used for bookings on: ${days}.` };
+        }
+    }
+
+    // Checked again, atomically, when checkout reserves the use (reservePromoRedemption)
+    if (promo.max_redemptions && Number(promo.times_used) >= promo.max_redemptions) {
+        return { error: `Promo code ${normalisedCode} has reached its usage limit.` };
+    }
+
+    return { promo, discountPence: calculateDiscountPence(promo, subtotalPence) };
+}
+
+
+/**
+ * Creates a single-use Stripe coupon for the exact discount we calculated,
+ * so the Checkout page shows the code and the reduced total.
+ */
+export async function createStripeCoupon(payments, promo, discountPence) {
+    return payments.createCoupon({
+        name: promo.code,
+        amount_off: discountPence,
+        currency: 'gbp',
+        duration: 'once',
+        max_redemptions: 1,
+        metadata: { promo_code_id: String(promo.id), tenant_id: promo.tenant_id },
+    });
+}
+
+
+/**
+ * Moves a promo code's times_used by `delta`. PostgREST has no atomic increment, so the update
+ * only applies if the count is still what was read, and retries. Taking a use fails with
+ * 'limit_reached' once max_redemptions are taken.
+ * Returns { timesUsed } or { error }.
+ */
+async function adjustTimesUsed(supabase, promoCodeId, delta) {
+    for (let attempt = 0; attempt < MAX_USE_ATTEMPTS; attempt++) {
+        const { data: promo, error } = await supabase
+            .from('promo_codes')
+            .select('times_used, max_redemptions')
+            .eq('id', promoCodeId)
+            .single();
+
+        if (error) {
+            return { error: error.message };
+        }
+
+        const timesUsed = Number(promo.times_used) || 0;
+        if (delta > 0 && promo.max_redemptions && timesUsed + delta > promo.max_redemptions) {
+            return { error: 'limit_reached' };
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('promo_codes')
+            .update({ times_used: Math.max(0, timesUsed + delta) })
+            .eq('id', promoCodeId)
+            .eq('times_used', promo.times_used)
+            .select('id');
+
+        if (updateError) {
+            return { error: updateError.message };
+        }
+        if (updated.length > 0) {
+            return { timesUsed: timesUsed + delta };
+        }
+        // Another checkout took or returned a use in between: read it again
+    }
+
+    return { error: 'The promo code is busy. Please try again.' };
+}
+
+
+/**
+ * Takes one use of a promo code for a checkout that is about to start.
+ * Returns { redemption } or { error } with a customer-facing reason.
+ */
+export async function reservePromoRedemption(supabase, { promo, bookingRef, discountPence }) {
+    const taken = await adjustTimesUsed(supabase, promo.id, 1);
+    if (taken.error) {
+        if (taken.error === 'limit_reached') {
+            return { error: `Promo code ${promo.code} has reached its usage limit.` };
+        }
+        console.error(`Promo Error: Could not take a use of promo ${promo.id}:`, taken.error);
+        return { error: 'Could not apply the promo code. Please try again.' };
+    }
+
+    const { data: redemption, error } = await supabase
+        .from('promo_redemptions')
+        .insert({
+            promo_code_id: promo.id,
+            tenant_id: promo.tenant_id,
+            booking_ref: bookingRef,
+            discount_pence: discountPence,
+            status: 'reserved',
+        })
+        .select('*')
+        .single();
+
+    if (error) {
+        console.error(`Promo Error: Could not record redemption for ref ${bookingRef}:`, error.message);
+        await adjustTimesUsed(supabase, promo.id, -1);
+        return { error: 'Could not apply the promo code. Please try again.' };
+    }
+
+    return { redemption };
+}
+
+
+/**
+ * Marks a reserved promo use as spent once the booking is secured.
+ */
+export async function confirmPromoRedemption(supabase, redemptionId) {
+    const { error } = await supabase
+        .from('promo_redemptions')
+        .update({ status: 'redeemed' })
+        .eq('id', redemptionId)
+        .eq('status', 'reserved');
+
+    if (error) {
+        console.error(`Promo Error: Could not confirm redemption ${redemptionId}:`, error.message);
+    }
+}
+
+
+/**
+ * Hands a reserved promo use back to the cap (the checkout lapsed, failed or lost its tables).
+ */
+export async function releasePromoRedemption(supabase, redemptionId) {
+    if (!redemptionId) return;
+
+    // Flip the status first, so only one caller ever gives the use back
+    const { data: claimed, error } = await supabase
+        .from('promo_redemptions')
+        .update({ status: 'released' })
+        .eq('id', redemptionId)
+        .eq('status', 'reserved')
+        .select('promo_code_id');
+
+    if (error) {
+        console.error(`Promo Error: Could not release redemption ${redemptionId}:`, error.message);
+        return;
+    }
+    if (!claimed || claimed.length === 0) return;
+
+    const returned = await adjustTimesUsed(supabase, claimed[0].promo_code_id, -1);
+    if (returned.error) {
+        console.error(`[PROMO RELEASE FAILURE] Could not hand back a use of promo ${claimed[0].promo_code_id}: ${returned.error}`);
+    }
+}
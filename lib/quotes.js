@@ -0,0 +1,85 @@
+import { calculateBookingPrice, getTenantPricing } from './pricing.js';
+import { findConflicts } from './availability.js';
+import { getTenantTableRules } from './table-rules.js';
+
+// --- PRICE QUOTES ---
+// Joins the pricing engine to live availability, so demand pricing sees how full the room is.
+// create-checkout charges exactly what buildBookingQuote returns, and the seat picker shows the
+// same quote before payment.
+
+
+/**
+ * Helper function to work out the share of bookable tables already booked or held for a sitting.
+ */
+export function calculateOccupancy(bookableTableIds, conflicts) {
+    if (bookableTableIds.length === 0) return 0;
+    const taken = new Set(conflicts.map(c => c.table_id).filter(id => bookableTableIds.includes(id)));
+    return taken.size / bookableTableIds.length;
+}
+
+
+/**
+ * Works out how full the room is for a sitting. Staff-only and blocked tables are left out.
+ * Returns { occupancy } (0 to 1) or { error }.
+ */
+export async function getSlotOccupancy(supabase, { tenantId, date, startTime, endTime, excludeBookingRef }) {
+    const { data: tableRows, error } = await supabase
+        .from('tables')
+        .select('id')
+        .eq('tenant_id', tenantId);
+
+    if (error) {
+        console.error('Quote Error: Could not fetch tables:', error.message);
+        return { error: error.message };
+    }
+
+    const rules = await getTenantTableRules(supabase, tenantId);
+    const bookableTableIds = tableRows
+        .map(t => Number(t.id))
+        .filter(id => !rules.staffOnlyTableIds.includes(id) && !rules.blockedTableIds.includes(id));
+
+    const { conflicts, error: conflictError } = await findConflicts(supabase, {
+        tenantId,
+        tableIds: bookableTableIds,
+        date,
+        startTime,
+        endTime,
+        excludeBookingRef,
+    });
+
+    if (conflictError) {
+        return { error: conflictError };
+    }
+
+    return { occupancy: calculateOccupancy(bookableTableIds, conflicts) };
+}
+
+
+/**
+ * Prices a table selection for a sitting, applying the tenant's pricing rules.
+ * `excludeBookingRef` keeps the customer's own hold from counting towards demand.
+ * Returns { totalPence, lines, occupancy } or { error }.
+ */
+export async function buildBookingQuote(supabase, { tenantId, tableIds, date, startTime, endTime, excludeBookingRef }) {
+    const [pricing, tableRules] = await Promise.all([
+        getTenantPricing(supabase, tenantId),
+        getTenantTableRules(supabase, tenantId),
+    ]);
+
+    // Only look at the room when the tenant actually prices by demand
+    let occupancy = null;
+    if (pricing.demandTiers.length > 0 && date && startTime && endTime) {
+        const result = await getSlotOccupancy(supabase, { tenantId, date, startTime, endTime, excludeBookingRef });
+        if (result.error) {
+            return { error: 'Could not check how busy this sitting is.' };
+        }
+        occupancy = result.occupancy;
+    }
+
+    const price = await calculateBookingPrice(supabase, tenantId, tableIds, { date, startTime, occupancy, pricing, tableRules });
+    if (price.error) {
+        return price;
+    }
+
+    return { ...price, occupancy };
+}
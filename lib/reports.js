@@ -0,0 +1,263 @@
+import { getConfiguredCapacity, getTenantTableRules } from './table-rules.js';
+
+// --- REPORTING ---
+// Aggregates a tenant's bookings for a date range (by sitting date) on the server, so the
+// reports page and accountant exports work from the same numbers.
+//   - Revenue is what customers paid (premium_slots.total_pence, counted once per booking_ref)
+//     on PAID, non-manual bookings. Refunded and cancelled bookings are left out.
+//   - Conversion compares booking links first opened in the range (engagement_tracking rows,
+//     by created_at; view_link_count counts repeat opens) with how many of them were paid.
+//   - Table utilisation counts every PAID booking, manual ones included, since they occupy the
+//     table too: utilisation is the share of days in the range the table was booked at all.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest range one report may cover.
+export const MAX_REPORT_DAYS = 366;
+
+
+/**
+ * Helper function to parse a YYYY-MM-DD date as UTC midnight, or null if it is not one.
+ */
+function parseReportDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().substring(0, 10) !== value ? null : date;
+}
+
+const toDateString = date => date.toISOString().substring(0, 10);
+
+/**
+ * Helper function to turn "HH:MM[:SS]" into minutes after midnight.
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time || '').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Helper function to page through a PostgREST query, which returns at most 1000 rows a call.
+ * `buildQuery` must return a fresh query each time.
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+}
+
+
+/**
+ * Checks a requested report range and works out the previous range of the same length,
+ * which the trend figures compare against.
+ * Returns { from, to, days, previousFrom, previousTo } or { error }.
+ */
+export function resolveReportRange(from, to) {
+    const start = parseReportDate(from);
+    const end = parseReportDate(to);
+
+    if (!start || !end) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format.' };
+    }
+    if (end < start) {
+        return { error: 'to must not be before from.' };
+    }
+
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    if (days > MAX_REPORT_DAYS) {
+        return { error: `A report can cover at most ${MAX_REPORT_DAYS} days.` };
+    }
+
+    return {
+        from,
+        to,
+        days,
+        previousFrom: toDateString(new Date(start.getTime() - days * DAY_MS)),
+        previousTo: toDateString(new Date(start.getTime() - DAY_MS)),
+    };
+}
+
+
+/**
+ * Groups PAID slot rows into bookings: one entry per booking_ref with its table_ids.
+ */
+function groupBookings(slots) {
+    const bookings = new Map();
+    slots.forEach(slot => {
+        const key = slot.booking_ref || `slot-${slot.id}`;
+        if (!bookings.has(key)) {
+            bookings.set(key, { ...slot, table_ids: [] });
+        }
+        bookings.get(key).table_ids.push(Number(slot.table_id));
+    });
+    return Array.from(bookings.values());
+}
+
+
+/**
+ * Revenue, booking count, average value and conversion for one range.
+ */
+function summarise(bookings, tracking) {
+    const customerBookings = bookings.filter(b => !b.is_manual_booking);
+    const revenuePence = customerBookings.reduce((sum, b) => sum + (Number(b.total_pence) || 0), 0);
+    const paidRefs = new Set(customerBookings.map(b => b.booking_ref));
+
+    const linksViewed = tracking.filter(t => Number(t.view_link_count) > 0);
+    const linksPaid = linksViewed.filter(t => paidRefs.has(t.booking_ref)).length;
+
+    return {
+        revenue_pence: revenuePence,
+        paid_bookings: customerBookings.length,
+        manual_bookings: bookings.length - customerBookings.length,
+        average_booking_value_pence: customerBookings.length > 0 ? Math.round(revenuePence / customerBookings.length) : 0,
+        discount_pence: customerBookings.reduce((sum, b) => sum + (Number(b.discount_pence) || 0), 0),
+        links_viewed: linksViewed.length,
+        link_views: linksViewed.reduce((sum, t) => sum + Number(t.view_link_count), 0),
+        links_paid: linksPaid,
+        conversion_rate: linksViewed.length > 0 ? linksPaid / linksViewed.length : null,
+    };
+}
+
+
+/**
+ * Revenue per weekday, with the average over the days that weekday actually traded.
+ */
+function breakdownByWeekday(bookings) {
+    const days = WEEKDAYS.map(day => ({ day, bookings: 0, revenue_pence: 0, dates: new Set() }));
+
+    bookings.filter(b => !b.is_manual_booking).forEach(booking => {
+        const entry = days[new Date(`${booking.date}T00:00:00Z`).getUTCDay()];
+        entry.bookings += 1;
+        entry.revenue_pence += Number(booking.total_pence) || 0;
+        entry.dates.add(booking.date);
+    });
+
+    // Monday first (UK week)
+    return [...days.slice(1), days[0]].map(({ dates, ...entry }) => ({
+        ...entry,
+        trading_days: dates.size,
+        average_revenue_per_day_pence: dates.size > 0 ? Math.round(entry.revenue_pence / dates.size) : 0,
+    }));
+}
+
+
+/**
+ * Bookings, booked time and utilisation for every table.
+ */
+function breakdownByTable(slots, tables, tableRules, rangeDays) {
+    const usage = new Map(tables.map(table => [Number(table.id), {
+        table_id: Number(table.id),
+        capacity: getConfiguredCapacity(table, tableRules),
+        staff_only: tableRules.staffOnlyTableIds.includes(Number(table.id)),
+        bookings: 0,
+        booked_minutes: 0,
+        dates: new Set(),
+    }]));
+
+    slots.forEach(slot => {
+        const entry = usage.get(Number(slot.table_id));
+        if (!entry) return;
+
+        let minutes = toMinutes(slot.end_time) - toMinutes(slot.start_time);
+        if (minutes <= 0) minutes += 24 * 60; // sitting runs past midnight
+
+        entry.bookings += 1;
+        entry.booked_minutes += minutes;
+        entry.dates.add(slot.date);
+    });
+
+    return Array.from(usage.values())
+        .sort((a, b) => a.table_id - b.table_id)
+        .map(({ dates, ...entry }) => ({
+            ...entry,
+            days_booked: dates.size,
+            utilisation: dates.size / rangeDays,
+        }));
+}
+
+
+/**
+ * Promo code redemptions: bookings and discount given per code.
+ */
+function breakdownByPromoCode(bookings) {
+    const codes = new Map();
+    bookings.filter(b => !b.is_manual_booking && b.promo_code).forEach(booking => {
+        if (!codes.has(booking.promo_code)) {
+            codes.set(booking.promo_code, { code: booking.promo_code, bookings: 0, discount_pence: 0 });
+        }
+        const entry = codes.get(booking.promo_code);
+        entry.bookings += 1;
+        entry.discount_pence += Number(booking.discount_pence) || 0;
+    });
+    return Array.from(codes.values()).sort((a, b) => b.bookings - a.bookings);
+}
+
+
+/**
+ * Builds the report for `range` (from resolveReportRange), plus the previous range's summary.
+ * Throws if the data cannot be loaded.
+ */
+export async function buildTenantReport(supabase, tenantId, range) {
+    const slots = await fetchAllRows(() => supabase
+        .from('premium_slots')
+        .select('id, booking_ref, table_id, date, start_time, end_time, total_pence, discount_pence, promo_code, is_manual_booking, stripe_order_id')
+        .eq('tenant_id', tenantId)
+        .eq('payment_status', 'PAID')
+        .gte('date', range.previousFrom)
+        .lte('date', range.to)
+        .order('id'));
+
+    const tracking = await fetchAllRows(() => supabase
+        .from('engagement_tracking')
+        .select('booking_ref, view_link_count, created_at')
+        .eq('tenant_id', tenantId)
+        .gte('created_at', `${range.previousFrom}T00:00:00Z`)
+        .lte('created_at', `${range.to}T23:59:59.999Z`)
+        .order('booking_ref'));
+
+    const { data: tables, error: tablesError } = await supabase
+        .from('tables')
+        .select('id, w, h')
+        .eq('tenant_id', tenantId);
+
+    if (tablesError) {
+        throw new Error(tablesError.message);
+    }
+
+    const tableRules = await getTenantTableRules(supabase, tenantId);
+
+    const inRange = date => date >= range.from && date <= range.to;
+    const currentSlots = slots.filter(s => inRange(s.date));
+    const currentBookings = groupBookings(currentSlots);
+    const previousBookings = groupBookings(slots.filter(s => !inRange(s.date)));
+    const currentTracking = tracking.filter(t => inRange(String(t.created_at).substring(0, 10)));
+    const previousTracking = tracking.filter(t => !inRange(String(t.created_at).substring(0, 10)));
+
+    return {
+        range: { from: range.from, to: range.to, days: range.days },
+        previous_range: { from: range.previousFrom, to: range.previousTo },
+        summary: summarise(currentBookings, currentTracking),
+        previous_summary: summarise(previousBookings, previousTracking),
+        by_weekday: breakdownByWeekday(currentBookings),
+        by_table: breakdownByTable(currentSlots, tables, tableRules, range.days),
+        promo_codes: breakdownByPromoCode(currentBookings),
+        bookings: currentBookings
+            .filter(b => !b.is_manual_booking)
+            .sort((a, b) => a.date.localeCompare(b.date) || String(a.start_time).localeCompare(String(b.start_time)))
+            .map(b => ({
+                booking_ref: b.booking_ref,
+                date: b.date,
+                start_time: b.start_time,
+                table_ids: b.table_ids,
+                promo_code: b.promo_code || null,
+                discount_pence: Number(b.discount_pence) || 0,
+                total_pence: Number(b.total_pence) || 0,
+                stripe_order_id: b.stripe_order_id,
+            })),
+    };
+}
@@ -0,0 +1,78 @@
+import { createClient } from '@supabase/supabase-js';
+import { createBookingRepository } from './booking-repository.js';
+import { createMemoryDatabase } from './memory-database.js';
+import { createMemoryPayments, createStripePayments } from './payments.js';
+import { createMemoryMailer, createResendMailer } from './mailer.js';
+
+// --- SERVICES ---
+// The clients the booking handlers talk to:
+//   supabase  database client (Supabase, or lib/memory-database.js)
+//   bookings  holds and booked slots (lib/booking-repository.js)
+//   payments  Stripe, or its stand-in (lib/payments.js)
+//   mailer    Resend, or its stand-in (lib/mailer.js)
+// Handlers call getServices() when they run rather than building clients at import time, so
+// a test can swap in createMemoryServices() with setServices() and run the whole
+// checkout -> webhook -> email flow without the network.
+
+let current = null;
+
+
+/**
+ * Builds the production services from the environment.
+ */
+function createProductionServices() {
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    return {
+        supabase,
+        bookings: createBookingRepository(supabase),
+        payments: createStripePayments({
+            secretKey: process.env.STRIPE_SECRET_KEY,
+            webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+        }),
+        mailer: createResendMailer(process.env.RESEND_API_KEY),
+    };
+}
+
+
+/**
+ * Returns the services in use, building the production set on first use.
+ */
+export function getServices() {
+    if (!current) {
+        current = createProductionServices();
+    }
+    return current;
+}
+
+
+/**
+ * Replaces the services every handler uses (e.g. with createMemoryServices()).
+ */
+export function setServices(services) {
+    current = services;
+}
+
+
+/**
+ * Drops the services in use, so the next getServices() builds the production set again.
+ */
+export function resetServices() {
+    current = null;
+}
+
+
+/**
+ * Creates a full set of in-memory services. `tables` and `users` seed the database
+ * (see createMemoryDatabase); `webhookSecret` signs the stand-in's Stripe events.
+ */
+export function createMemoryServices({ tables = {}, users = {}, webhookSecret } = {}) {
+    const supabase = createMemoryDatabase({ tables, users });
+
+    return {
+        supabase,
+        bookings: createBookingRepository(supabase),
+        payments: createMemoryPayments({ webhookSecret }),
+        mailer: createMemoryMailer(),
+    };
+}
@@ -0,0 +1,148 @@
+// --- PER-TENANT TABLE RULES ---
+// Which tables may be booked, and by which parties, is configured in tenants.table_rules:
+//   {
+//     "staff_only_table_ids": [1, 10, 12, 13, 14],
+//     "blocked_table_ids": [21],
+//     "table_capacities": { "9": 5 },
+//     "min_party_size": 1,
+//     "max_party_size": 12,
+//     "max_tables_per_booking": 3,
+//     "combinable_groups": [[3, 4], [18, 19, 20]],
+//     "max_spare_seats": 1
+//   }
+// These mirror the checks pick-seat.html makes (isWastedCapacity, isTooSmall,
+// isWastedCapacityAllowedForBooking), but only the server's answer counts.
+
+// Tenants without their own rules keep the list pick-seat.html has always used.
+const LEGACY_STAFF_ONLY_TABLE_IDS = [10, 13, 12, 14, 1];
+
+const DEFAULT_MIN_PARTY_SIZE = 1;
+const DEFAULT_MAX_PARTY_SIZE = 20;
+const DEFAULT_MAX_SPARE_SEATS = 1;
+
+
+/**
+ * Loads the tenant's table rules, falling back to the legacy defaults.
+ */
+export async function getTenantTableRules(supabase, tenantId) {
+    const { data, error } = await supabase
+        .from('tenants')
+        .select('table_rules')
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Table Rules Error: Could not fetch tenant table rules:', error.message);
+    }
+
+    const rules = (data && data.table_rules) || {};
+    return {
+        staffOnlyTableIds: (rules.staff_only_table_ids || LEGACY_STAFF_ONLY_TABLE_IDS).map(Number),
+        blockedTableIds: (rules.blocked_table_ids || []).map(Number),
+        tableCapacities: rules.table_capacities || {},
+        minPartySize: rules.min_party_size ?? DEFAULT_MIN_PARTY_SIZE,
+        maxPartySize: rules.max_party_size ?? DEFAULT_MAX_PARTY_SIZE,
+        maxTablesPerBooking: rules.max_tables_per_booking ?? null,
+        combinableGroups: rules.combinable_groups ? rules.combinable_groups.map(g => g.map(Number)) : null,
+        maxSpareSeats: rules.max_spare_seats ?? DEFAULT_MAX_SPARE_SEATS,
+    };
+}
+
+
+/**
+ * Helper function to work out how many guests a table seats from its size.
+ * Must stay in step with getTableCapacity(w, h) in pick-seat.html.
+ */
+export function getTableCapacity(w, h) {
+    if (w === 30 && h === 30) return 2;
+    if ((w === 30 && h === 50) || (w === 50 && h === 30)) return 4;
+    if (w === 90 && h === 30) return 6;
+    return 0;
+}
+
+
+/**
+ * Helper function to get a table's seat count, honouring any per-tenant override.
+ * Seat checks and pricing both read capacity through here.
+ */
+export function getConfiguredCapacity(table, tableRules) {
+    const override = tableRules.tableCapacities[String(table.id)];
+    return override !== undefined ? Number(override) : getTableCapacity(table.w, table.h);
+}
+
+
+/**
+ * Checks a table selection and party size against the tenant's rules.
+ * Staff bookings may omit the party size, in which case only the table rules apply.
+ * Staff blocks (`isStaffBlock`, e.g. tables held for a private party) may take any set of
+ * tables and leave seats spare; only the party still has to fit.
+ * Returns { valid: true, totalCapacity } or { valid: false, rule, error } (sent as a 422).
+ */
+export async function validateTableSelection(supabase, { tenantId, tableIds, partySize, isStaffBooking = false, isStaffBlock = false }) {
+    const tableIdArray = tableIds.map(id => Number(id));
+    const size = Number(partySize) || 0;
+    const fail = (rule, error) => ({ valid: false, rule, error });
+
+    if (new Set(tableIdArray).size !== tableIdArray.length) {
+        return fail('duplicate_tables', 'The same table was selected more than once.');
+    }
+
+    const { data: tableRows, error } = await supabase
+        .from('tables')
+        .select('id, w, h')
+        .eq('tenant_id', tenantId)
+        .in('id', tableIdArray);
+
+    if (error) {
+        console.error('Table Rules Error: Could not fetch tables:', error.message);
+        throw new Error('Could not look up the selected tables.');
+    }
+
+    const rules = await getTenantTableRules(supabase, tenantId);
+    const tableMap = new Map(tableRows.map(t => [Number(t.id), t]));
+
+    // 1. Every table must exist and be bookable
+    for (const id of tableIdArray) {
+        if (!tableMap.has(id)) {
+            return fail('unknown_table', `Table ${id} does not exist for this restaurant.`);
+        }
+        if (rules.blockedTableIds.includes(id)) {
+            return fail('blocked_table', `Table ${id} is not available for booking.`);
+        }
+        if (rules.staffOnlyTableIds.includes(id)) {
+            return fail('staff_only_table', `Table ${id} is for staff use only.`);
+        }
+    }
+
+    // 2. Combination rules
+    if (tableIdArray.length > 1 && !isStaffBlock) {
+        if (rules.maxTablesPerBooking && tableIdArray.length > rules.maxTablesPerBooking) {
+            return fail('too_many_tables', `A booking can include at most ${rules.maxTablesPerBooking} tables.`);
+        }
+        if (rules.combinableGroups && !rules.combinableGroups.some(group => tableIdArray.every(id => group.includes(id)))) {
+            return fail('tables_not_combinable', `Tables ${tableIdArray.join(', ')} cannot be combined.`);
+        }
+    }
+
+    const totalCapacity = tableIdArray.reduce((sum, id) => sum + getConfiguredCapacity(tableMap.get(id), rules), 0);
+
+    // Staff may block tables without stating a party size
+    if (isStaffBooking && !size) {
+        return { valid: true, totalCapacity };
+    }
+
+    // 3. Party size limits
+    if (!Number.isInteger(size) || size < rules.minPartySize || size > rules.maxPartySize) {
+        return fail('party_size_out_of_range', `Party size must be between ${rules.minPartySize} and ${rules.maxPartySize}.`);
+    }
+
+    // 4. Capacity: big enough for the party, without wasting seats
+    if (totalCapacity < size) {
+        return fail('capacity_too_small', `Your party of ${size} needs more seats than the selected tables provide (${totalCapacity}).`);
+    }
+    if (totalCapacity > size + rules.maxSpareSeats && !isStaffBlock) {
+        return fail('capacity_too_large', `Your party of ${size} cannot reserve tables with a combined capacity of ${totalCapacity}.`);
+    }
+
+    return { valid: true, totalCapacity };
+}
@@ -0,0 +1,92 @@
+import { DEFAULT_TIME_ZONE } from './booking-times.js';
+
+// --- TENANT PROFILE & NOTIFICATION ROUTING ---
+// Who gets staff alerts, and who the emails appear to come from, is configured per tenant
+// in tenants.notification_settings, so a new restaurant needs no code change:
+//   {
+//     "sender_name": "The Rooftop",
+//     "reply_to": "bookings@therooftop.co.uk",
+//     "recipients": {
+//       "default": ["manager@therooftop.co.uk"],
+//       "booking_conflict": ["manager@therooftop.co.uk", "owner@therooftop.co.uk"]
+//     },
+//     "reminder_hours_before": 24,
+//     "review_request_hours_after": 3,
+//     "review_url": "https://g.page/r/therooftop/review"
+//   }
+// Set reminder_hours_before or review_request_hours_after to 0 to turn that email off.
+
+export const SENDER_ADDRESS = 'info@dineselect.co';
+
+// Used only when a tenant has no recipients configured at all, so alerts are never dropped.
+const FALLBACK_STAFF_EMAIL = process.env.FALLBACK_STAFF_EMAIL || 'geordie.kingsbeer@gmail.com';
+
+// Scheduled guest emails, used when a tenant has not set its own timings.
+const DEFAULT_REMINDER_HOURS_BEFORE = 24;
+const DEFAULT_REVIEW_REQUEST_HOURS_AFTER = 3;
+
+// Staff alert types a tenant can route separately.
+export const NOTIFICATION_EVENTS = [
+    'booking_confirmed',
+    'booking_conflict',
+    'booking_cancelled',
+    'manual_booking',
+];
+
+
+/**
+ * Loads the tenant's display name, email identity and email branding.
+ * Falls back to the tenant ID and platform defaults if the lookup fails.
+ */
+export async function getTenantProfile(supabase, tenantId) {
+    const { data, error } = await supabase
+        .from('tenants')
+        .select('display_name, time_zone, notification_settings, email_branding')
+        .eq('tenant_id', tenantId)
+        .maybeSingle();
+
+    if (error || !data) {
+        console.error('Error fetching tenant profile:', error);
+    }
+
+    const displayName = (data && data.display_name) || tenantId;
+    const settings = (data && data.notification_settings) || {};
+    const senderName = settings.sender_name || displayName;
+
+    return {
+        tenantId,
+        displayName,
+        timeZone: (data && data.time_zone) || DEFAULT_TIME_ZONE,
+        from: `${senderName.replace(/["<>]/g, '')} <${SENDER_ADDRESS}>`,
+        replyTo: settings.reply_to || null,
+        contactEmail: settings.reply_to || SENDER_ADDRESS,
+        recipients: settings.recipients || {},
+        branding: (data && data.email_branding) || {},
+        reminderHoursBefore: settings.reminder_hours_before ?? DEFAULT_REMINDER_HOURS_BEFORE,
+        reviewRequestHoursAfter: settings.review_request_hours_after ?? DEFAULT_REVIEW_REQUEST_HOURS_AFTER,
+        reviewUrl: settings.review_url || null,
+    };
+}
+
+
+/**
+ * Works out which staff addresses should receive a given alert type.
+ * Event-specific recipients win, then the tenant default list, then the platform fallback.
+ */
+export function getStaffRecipients(tenant, eventType) {
+    const recipients = tenant.recipients || {};
+    const list = recipients[eventType] || recipients.default || [];
+    return list.length > 0 ? list : [FALLBACK_STAFF_EMAIL];
+}
+
+
+/**
+ * Helper function to add the tenant's sender identity to a Resend payload.
+ */
+export function withTenantSender(tenant, message) {
+    return {
+        from: tenant.from,
+        ...(tenant.replyTo ? { reply_to: tenant.replyTo } : {}),
+        ...message,
+    };
+}
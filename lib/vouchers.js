@@ -0,0 +1,380 @@
+import crypto from 'crypto';
+
+// --- GIFT VOUCHERS ---
+// Prepaid credit sold through Stripe (/api/create-voucher-checkout) and redeemed against
+// premium tables in the seat picker. Vouchers live in `gift_vouchers`:
+//   id, tenant_id, code (unique per tenant), initial_pence, balance_pence, purchaser_name,
+//   purchaser_email, recipient_name, recipient_email, message, stripe_session_id (unique),
+//   expires_on (YYYY-MM-DD), is_active, created_at
+// and every use is a `voucher_redemptions` row:
+//   id, voucher_id, tenant_id, booking_ref, checkout_id, amount_pence,
+//   status ('reserved' | 'redeemed' | 'released'), created_at
+// Credit is taken off the balance as soon as checkout starts ('reserved'), so two bookings can
+// never spend it twice, and put back if the checkout lapses, loses its tables or is refunded.
+// checkout_id is the id /api/create-checkout gives each attempt, so settling one Checkout
+// Session never touches the credit another attempt at the same booking_ref is holding.
+// premium_slots.voucher_code / voucher_pence record what a booking took from a voucher;
+// total_pence still holds everything the customer paid (card + voucher).
+
+export const MIN_VOUCHER_PENCE = 1000;
+export const MAX_VOUCHER_PENCE = 50000;
+export const VOUCHER_VALID_MONTHS = 12;
+
+// premium_slots.stripe_order_id of bookings a voucher paid for in full (there is no Stripe
+// session), followed by the checkout id
+export const VOUCHER_ORDER_PREFIX = 'voucher_';
+
+// Stripe will not take a card payment below 30p, so a voucher never leaves less than that to pay
+export const STRIPE_MINIMUM_CHARGE_PENCE = 30;
+
+// Codes avoid 0/O and 1/I so they can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_BALANCE_ATTEMPTS = 5;
+
+// Postgres unique_violation: the generated code is already taken
+const UNIQUE_VIOLATION = '23505';
+
+
+/**
+ * Helper function to normalise a code as typed by a customer.
+ */
+export function normaliseVoucherCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+
+/**
+ * Helper function to generate a code like GV-7KQM-X3RP.
+ */
+export function generateVoucherCode() {
+    const block = () => Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    return `GV-${block()}-${block()}`;
+}
+
+
+/**
+ * Works out how much of `duePence` a voucher balance covers: all of it, or enough to leave at
+ * least Stripe's minimum charge for the card.
+ */
+export function planVoucherRedemption(balancePence, duePence) {
+    if (balancePence >= duePence) return duePence;
+    return Math.max(0, Math.min(balancePence, duePence - STRIPE_MINIMUM_CHARGE_PENCE));
+}
+
+
+/**
+ * Looks up a voucher a customer wants to spend.
+ * Returns { voucher } or { error } with a customer-facing reason.
+ */
+export async function validateVoucherCode(supabase, { tenantId, code }) {
+    const normalisedCode = normaliseVoucherCode(code);
+
+    const { data: voucher, error } = await supabase
+        .from('gift_vouchers')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('code', normalisedCode)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Voucher Error: Could not look up voucher:', error.message);
+        throw new Error('Could not check the gift voucher.');
+    }
+
+    if (!voucher) {
+        return { error: `Gift voucher ${normalisedCode} is not valid.` };
+    }
+
+    const today = new Date().toISOString().substring(0, 10);
+    if (voucher.expires_on && today > voucher.expires_on) {
+        return { error: `Gift voucher ${normalisedCode} expired on ${voucher.expires_on}.` };
+    }
+
+    if (Number(voucher.balance_pence) <= 0) {
+        return { error: `Gift voucher ${normalisedCode} has no balance left.` };
+    }
+
+    return { voucher };
+}
+
+
+/**
+ * Moves a voucher balance by `deltaPence` (negative to spend). PostgREST has no atomic
+ * increment, so the update only applies if the balance is still what was read, and retries.
+ * Returns { balancePence } or { error }.
+ */
+async function adjustVoucherBalance(supabase, voucherId, deltaPence) {
+    for (let attempt = 0; attempt < MAX_BALANCE_ATTEMPTS; attempt++) {
+        const { data: voucher, error } = await supabase
+            .from('gift_vouchers')
+            .select('balance_pence')
+            .eq('id', voucherId)
+            .single();
+
+        if (error) {
+            return { error: error.message };
+        }
+
+        const balancePence = Number(voucher.balance_pence) + deltaPence;
+        if (balancePence < 0) {
+            return { error: 'insufficient_balance' };
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('gift_vouchers')
+            .update({ balance_pence: balancePence })
+            .eq('id', voucherId)
+            .eq('balance_pence', voucher.balance_pence)
+            .select('id');
+
+        if (updateError) {
+            return { error: updateError.message };
+        }
+        if (updated.length > 0) {
+            return { balancePence };
+        }
+        // Someone else changed the balance in between: read it again
+    }
+
+    return { error: 'The voucher balance is busy. Please try again.' };
+}
+
+
+/**
+ * Puts back the credit of a booking's redemptions in the given states (normally the ones still
+ * 'reserved'; a refunded booking also gives back what it 'redeemed'). Pass `checkoutId` to
+ * settle a single checkout attempt.
+ * Returns the pence returned to vouchers.
+ */
+export async function releaseVoucherRedemption(supabase, bookingRef, { statuses = ['reserved'], checkoutId } = {}) {
+    if (!bookingRef || bookingRef === 'N/A') return 0;
+
+    let query = supabase
+        .from('voucher_redemptions')
+        .select('*')
+        .eq('booking_ref', bookingRef)
+        .in('status', statuses);
+
+    // Sessions started before checkout ids existed are settled by booking ref alone
+    if (checkoutId) {
+        query = query.eq('checkout_id', checkoutId);
+    }
+
+    const { data: redemptions, error } = await query;
+
+    if (error) {
+        console.error(`Voucher Error: Could not load redemptions for ref ${bookingRef}:`, error.message);
+        return 0;
+    }
+
+    let releasedPence = 0;
+    for (const redemption of redemptions) {
+        // Flip the status first, so only one caller ever puts the credit back
+        const { data: claimed } = await supabase
+            .from('voucher_redemptions')
+            .update({ status: 'released' })
+            .eq('id', redemption.id)
+            .eq('status', redemption.status)
+            .select('id');
+
+        if (!claimed || claimed.length === 0) continue;
+
+        const credit = await adjustVoucherBalance(supabase, redemption.voucher_id, Number(redemption.amount_pence));
+        if (credit.error) {
+            console.error(`[VOUCHER RELEASE FAILURE] Could not return ${redemption.amount_pence} to voucher ${redemption.voucher_id} for ref ${bookingRef}: ${credit.error}`);
+            continue;
+        }
+        releasedPence += Number(redemption.amount_pence);
+    }
+
+    if (releasedPence > 0) {
+        console.log(`[VOUCHER RELEASE] ${releasedPence} returned to voucher balance for ref ${bookingRef}.`);
+    }
+    return releasedPence;
+}
+
+
+/**
+ * Takes `amountPence` off a voucher for a checkout attempt (`checkoutId`) that is about to be
+ * paid. An earlier attempt at the same booking keeps its own reservation until its session is
+ * settled, since the customer may still pay it.
+ * Returns { redemption } or { error } with a customer-facing reason.
+ */
+export async function reserveVoucherBalance(supabase, { voucher, bookingRef, checkoutId, amountPence }) {
+    const debit = await adjustVoucherBalance(supabase, voucher.id, -amountPence);
+    if (debit.error) {
+        if (debit.error !== 'insufficient_balance') {
+            console.error(`Voucher Error: Could not debit voucher ${voucher.id}:`, debit.error);
+        }
+        return { error: `Gift voucher ${voucher.code} no longer has enough balance. Please try again.` };
+    }
+
+    const { data: redemption, error } = await supabase
+        .from('voucher_redemptions')
+        .insert({
+            voucher_id: voucher.id,
+            tenant_id: voucher.tenant_id,
+            booking_ref: bookingRef,
+            checkout_id: checkoutId,
+            amount_pence: amountPence,
+            status: 'reserved',
+        })
+        .select('*')
+        .single();
+
+    if (error) {
+        console.error(`Voucher Error: Could not record redemption for ref ${bookingRef}:`, error.message);
+        await adjustVoucherBalance(supabase, voucher.id, amountPence);
+        return { error: 'Could not apply the gift voucher. Please try again.' };
+    }
+
+    console.log(`[VOUCHER RESERVED] ${amountPence} from ${voucher.code} for ref ${bookingRef} (balance now ${debit.balancePence}).`);
+    return { redemption };
+}
+
+
+/**
+ * Marks a checkout's reserved voucher credit as spent once the booking is secured.
+ */
+export async function confirmVoucherRedemption(supabase, bookingRef, { checkoutId } = {}) {
+    let query = supabase
+        .from('voucher_redemptions')
+        .update({ status: 'redeemed' })
+        .eq('booking_ref', bookingRef)
+        .eq('status', 'reserved');
+
+    if (checkoutId) {
+        query = query.eq('checkout_id', checkoutId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+        console.error(`Voucher Error: Could not confirm redemption for ref ${bookingRef}:`, error.message);
+    } else if (data.length === 0) {
+        // The checkout outlived its reservation (e.g. it was paid after the session had expired)
+        console.warn(`[VOUCHER WARNING] No reserved voucher credit left for ref ${bookingRef}; check the voucher balance by hand.`);
+    }
+}
+
+
+/**
+ * Works out how much of a booking's price is still paid by gift voucher credit.
+ * Returns the pence (0 when the booking used no voucher or it cannot be read).
+ */
+export async function getRedeemedVoucherPence(supabase, bookingRef) {
+    const { data: redemption, error } = await supabase
+        .from('voucher_redemptions')
+        .select('amount_pence')
+        .eq('booking_ref', bookingRef)
+        .eq('status', 'redeemed')
+        .maybeSingle();
+
+    if (error || !redemption) return 0;
+    return Number(redemption.amount_pence);
+}
+
+
+/**
+ * Gives part of a booking's redeemed credit back to its voucher (the booking got cheaper).
+ * Returns the pence credited, at most what the booking took from the voucher.
+ */
+export async function creditVoucherForBooking(supabase, bookingRef, amountPence) {
+    const { data: redemption, error } = await supabase
+        .from('voucher_redemptions')
+        .select('*')
+        .eq('booking_ref', bookingRef)
+        .eq('status', 'redeemed')
+        .maybeSingle();
+
+    if (error || !redemption) return 0;
+
+    const creditPence = Math.min(amountPence, Number(redemption.amount_pence));
+    if (creditPence <= 0) return 0;
+
+    const { data: claimed } = await supabase
+        .from('voucher_redemptions')
+        .update({ amount_pence: Number(redemption.amount_pence) - creditPence })
+        .eq('id', redemption.id)
+        .eq('amount_pence', redemption.amount_pence)
+        .select('id');
+
+    if (!claimed || claimed.length === 0) return 0;
+
+    const credit = await adjustVoucherBalance(supabase, redemption.voucher_id, creditPence);
+    if (credit.error) {
+        console.error(`[VOUCHER CREDIT FAILURE] Could not return ${creditPence} to voucher ${redemption.voucher_id} for ref ${bookingRef}: ${credit.error}`);
+        return 0;
+    }
+
+    console.log(`[VOUCHER CREDIT] ${creditPence} returned to voucher ${redemption.voucher_id} for ref ${bookingRef}.`);
+    return creditPence;
+}
+
+
+/**
+ * Issues the voucher bought in a Checkout Session. Re-running for the same session returns the
+ * voucher already issued instead of a second one.
+ * Returns { voucher, created }; throws if it cannot be stored, so the webhook retries.
+ */
+export async function issueGiftVoucher(supabase, { tenantId, amountPence, stripeSessionId, purchaserName, purchaserEmail, recipientName, recipientEmail, message }) {
+    const { data: existing, error: existingError } = await supabase
+        .from('gift_vouchers')
+        .select('*')
+        .eq('stripe_session_id', stripeSessionId)
+        .maybeSingle();
+
+    if (existingError) {
+        throw new Error(`Could not check vouchers for session ${stripeSessionId}: ${existingError.message}`);
+    }
+    if (existing) {
+        return { voucher: existing, created: false };
+    }
+
+    const expiresOn = new Date();
+    expiresOn.setUTCMonth(expiresOn.getUTCMonth() + VOUCHER_VALID_MONTHS);
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+        const { data: voucher, error } = await supabase
+            .from('gift_vouchers')
+            .insert({
+                tenant_id: tenantId,
+                code: generateVoucherCode(),
+                initial_pence: amountPence,
+                balance_pence: amountPence,
+                purchaser_name: purchaserName || null,
+                purchaser_email: purchaserEmail,
+                recipient_name: recipientName || null,
+                recipient_email: recipientEmail || null,
+                message: message || null,
+                stripe_session_id: stripeSessionId,
+                expires_on: expiresOn.toISOString().substring(0, 10),
+                is_active: true,
+            })
+            .select('*')
+            .single();
+
+        if (!error) {
+            return { voucher, created: true };
+        }
+
+        if (error.code !== UNIQUE_VIOLATION) {
+            throw new Error(`Could not issue voucher for session ${stripeSessionId}: ${error.message}`);
+        }
+
+        // Either the code was taken (try another) or a parallel delivery issued this session's voucher
+        const { data: raced } = await supabase
+            .from('gift_vouchers')
+            .select('*')
+            .eq('stripe_session_id', stripeSessionId)
+            .maybeSingle();
+
+        if (raced) {
+            return { voucher: raced, created: false };
+        }
+    }
+
+    throw new Error(`Could not generate a unique voucher code for session ${stripeSessionId}.`);
+}
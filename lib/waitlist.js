@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import { findConflicts, placeReservationHold } from './availability.js';
+import { resolveBookingEndTime, zonedTimeToUtc } from './booking-times.js';
+import { renderEmail } from './email-templates.js';
+import { getConfiguredCapacity, getTenantTableRules } from './table-rules.js';
+import { getTenantProfile, withTenantSender } from './tenants.js';
+
+// --- WAITLIST ---
+// Guests can queue for a sitting that is fully booked. Entries live in `waitlist_entries`:
+//   id, tenant_id, date, start_time, party_size, email, customer_name,
+//   status ('waiting' | 'offered' | 'booked' | 'offer_expired' | 'expired'),
+//   offer_ref, offered_table_ids (int[]), offered_at, offer_expires_at, created_at
+// Whenever tables may have come free (hold or Checkout expiry, cancellation, refund, removal)
+// processWaitlist offers the sitting to ONE guest at a time, first come first served: a
+// priority hold is placed on tables that fit their party under a fresh booking_ref and they
+// are emailed a pick-seat.html link carrying that ref, so only they see those tables as free.
+// If the offer lapses the next guest in line is offered the sitting.
+
+export const OFFER_MINUTES = 15;
+export const PICK_SEAT_URL = 'https://book.dineselect.co/pick-seat.html';
+
+
+/**
+ * Helper function to build the pick-seat.html link for an offer.
+ */
+function buildOfferUrl(entry, offerRef) {
+    const params = new URLSearchParams({
+        tenant_id: entry.tenant_id,
+        booking_ref: offerRef,
+        booking_date: entry.date,
+        booking_time: entry.start_time.substring(0, 5),
+        party_size: String(entry.party_size),
+        source: 'waitlist',
+    });
+    return `${PICK_SEAT_URL}?${params.toString()}`;
+}
+
+
+/**
+ * Picks the free tables to hold for a party: the smallest single table or combinable group
+ * that seats everyone without wasting more seats than the tenant allows. Returns ids or null.
+ */
+export function pickTablesForParty(tables, tableRules, freeTableIds, partySize) {
+    const capacityOf = ids => ids.reduce((sum, id) => sum + getConfiguredCapacity(tables.get(id), tableRules), 0);
+    const fits = ids => {
+        const capacity = capacityOf(ids);
+        return capacity >= partySize && capacity <= partySize + tableRules.maxSpareSeats;
+    };
+
+    const candidates = [
+        ...freeTableIds.map(id => [id]),
+        ...(tableRules.combinableGroups || []).filter(group => group.every(id => freeTableIds.includes(id))),
+    ].filter(fits);
+
+    candidates.sort((a, b) => capacityOf(a) - capacityOf(b) || a.length - b.length);
+    return candidates[0] || null;
+}
+
+
+/**
+ * Works out which bookable tables are free for a party at a sitting.
+ * Returns { freeTableIds, tables, tableRules, endTime } or { error }.
+ */
+async function findFreeTables(supabase, { tenantId, date, startTime, partySize }) {
+    const { data: tableRows, error } = await supabase
+        .from('tables')
+        .select('id, w, h')
+        .eq('tenant_id', tenantId);
+
+    if (error) {
+        console.error('Waitlist Error: Could not fetch tables:', error.message);
+        return { error: error.message };
+    }
+
+    const tableRules = await getTenantTableRules(supabase, tenantId);
+    const bookableIds = tableRows
+        .map(t => Number(t.id))
+        .filter(id => !tableRules.staffOnlyTableIds.includes(id) && !tableRules.blockedTableIds.includes(id));
+
+    const { endTime } = await resolveBookingEndTime(supabase, { tenantId, bookingDate: date, startTime, partySize });
+
+    const { conflicts, error: conflictError } = await findConflicts(supabase, {
+        tenantId,
+        tableIds: bookableIds,
+        date,
+        startTime,
+        endTime,
+    });
+
+    if (conflictError) {
+        return { error: conflictError };
+    }
+
+    const takenIds = new Set(conflicts.map(c => c.table_id));
+    return {
+        freeTableIds: bookableIds.filter(id => !takenIds.has(id)),
+        tables: new Map(tableRows.map(t => [Number(t.id), t])),
+        tableRules,
+        endTime,
+    };
+}
+
+
+/**
+ * Offers a sitting to one waiting guest: claims the entry, holds the tables and emails the link.
+ * Returns true if the offer went out.
+ */
+async function makeOffer(supabase, resend, { entry, tableIds, endTime, tenant }) {
+    const offerRef = `WAIT-${crypto.randomUUID()}`;
+    const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000).toISOString();
+
+    // Claim first, so two runs can never offer the same guest (or two guests) at once
+    const { data: claimed, error: claimError } = await supabase
+        .from('waitlist_entries')
+        .update({
+            status: 'offered',
+            offer_ref: offerRef,
+            offered_table_ids: tableIds,
+            offered_at: new Date().toISOString(),
+            offer_expires_at: expiresAt,
+        })
+        .eq('id', entry.id)
+        .eq('status', 'waiting')
+        .select('id');
+
+    if (claimError || !claimed || claimed.length === 0) {
+        return false;
+    }
+
+    const hold = await placeReservationHold(supabase, {
+        tenantId: entry.tenant_id,
+        tableIds,
+        bookingRef: offerRef,
+        date: entry.date,
+        startTime: entry.start_time.substring(0, 5),
+        endTime,
+        expiresAt,
+    });
+
+    if (hold.isConflict) {
+        // Someone else took the tables first: back in the queue, same place
+        await supabase
+            .from('waitlist_entries')
+            .update({ status: 'waiting', offer_ref: null, offered_table_ids: null, offered_at: null, offer_expires_at: null })
+            .eq('id', entry.id);
+        return false;
+    }
+
+    try {
+        await resend.emails.send(withTenantSender(tenant, {
+            to: entry.email,
+            ...renderEmail('customer_waitlist_offer', {
+                entry,
+                offerUrl: buildOfferUrl(entry, offerRef),
+                offerMinutes: OFFER_MINUTES,
+            }, tenant),
+        }));
+    } catch (error) {
+        console.error(`Email Error: Failed to send waitlist offer for entry ${entry.id}:`, error);
+    }
+
+    console.log(`[WAITLIST OFFER] Entry ${entry.id} offered tables ${tableIds.join(', ')} on ${entry.date} at ${entry.start_time} until ${expiresAt}.`);
+    return true;
+}
+
+
+/**
+ * Offers freed tables to waitlisted guests for one tenant and date. Safe to call whenever
+ * tables may have come free, and from several places at once.
+ * Returns the number of offers sent.
+ */
+export async function processWaitlist(supabase, resend, { tenantId, date }) {
+    const now = new Date();
+
+    // 1. Lapsed offers: the guest loses their place and the next one may be offered
+    await supabase
+        .from('waitlist_entries')
+        .update({ status: 'offer_expired' })
+        .eq('tenant_id', tenantId)
+        .eq('date', date)
+        .eq('status', 'offered')
+        .lt('offer_expires_at', now.toISOString());
+
+    const { data: entries, error } = await supabase
+        .from('waitlist_entries')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('date', date)
+        .in('status', ['waiting', 'offered'])
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.error(`Waitlist Error: Could not load entries for ${tenantId} on ${date}:`, error.message);
+        return 0;
+    }
+
+    if (entries.length === 0) return 0;
+
+    const tenant = await getTenantProfile(supabase, tenantId);
+    const sittings = new Map();
+    entries.forEach(entry => {
+        const key = entry.start_time.substring(0, 5);
+        if (!sittings.has(key)) sittings.set(key, []);
+        sittings.get(key).push(entry);
+    });
+
+    let offers = 0;
+    for (const [startTime, queue] of sittings) {
+        // One guest at a time per sitting
+        if (queue.some(entry => entry.status === 'offered')) continue;
+
+        // Sittings that have started are closed
+        if (zonedTimeToUtc(date, startTime, tenant.timeZone) <= now) {
+            await supabase
+                .from('waitlist_entries')
+                .update({ status: 'expired' })
+                .in('id', queue.map(entry => entry.id))
+                .eq('status', 'waiting');
+            continue;
+        }
+
+        // Earliest guest whose party fits what has come free
+        for (const entry of queue) {
+            const free = await findFreeTables(supabase, { tenantId, date, startTime, partySize: entry.party_size });
+            if (free.error || free.freeTableIds.length === 0) break;
+
+            const tableIds = pickTablesForParty(free.tables, free.tableRules, free.freeTableIds, entry.party_size);
+            if (!tableIds) continue;
+
+            if (await makeOffer(supabase, resend, { entry, tableIds, endTime: free.endTime, tenant })) {
+                offers += 1;
+            }
+            break;
+        }
+    }
+
+    return offers;
+}
+
+
+/**
+ * Marks a waitlist offer as taken once its booking is paid.
+ */
+export async function markWaitlistOfferBooked(supabase, bookingRef) {
+    if (!bookingRef || !bookingRef.startsWith('WAIT-')) return;
+
+    const { error } = await supabase
+        .from('waitlist_entries')
+        .update({ status: 'booked' })
+        .eq('offer_ref', bookingRef);
+
+    if (error) {
+        console.error(`Waitlist Error: Could not mark offer ${bookingRef} as booked:`, error.message);
+    }
+}
+
+
+/**
+ * Called wherever tables have just been freed. Never throws: a waitlist problem must not fail
+ * the cancellation or webhook that freed the tables (the cron sweep catches up instead).
+ */
+export async function notifyWaitlist(supabase, resend, { tenantId, dates }) {
+    for (const date of new Set(dates)) {
+        try {
+            await processWaitlist(supabase, resend, { tenantId, date });
+        } catch (error) {
+            console.error(`Waitlist Error: Could not process waitlist for ${tenantId} on ${date}:`, error);
+        }
+    }
+}
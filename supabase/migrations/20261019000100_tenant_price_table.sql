@@ -0,0 +1,6 @@
+-- Server-side pricing.
+-- Per-tenant price overrides in pence, keyed by table capacity, e.g. { "2": 599, "4": 1099 }.
+-- Missing sizes fall back to DEFAULT_PRICE_TABLE in lib/pricing.js.
+
+alter table tenants
+    add column if not exists price_table jsonb;
@@ -0,0 +1,6 @@
+-- Automatic refunds for double-booked sessions.
+-- The webhook records the refund it issued against the event that lost its tables.
+
+alter table webhook_events
+    add column if not exists refund_id text,
+    add column if not exists refund_status text;
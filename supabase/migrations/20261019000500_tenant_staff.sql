@@ -0,0 +1,14 @@
+-- Staff sign-in for the admin endpoints (lib/admin-auth.js).
+-- Lists which Supabase Auth users may act for which tenant. 'owner' and 'admin' may also run
+-- the sensitive actions (webhook replays, personal data exports).
+
+create table if not exists tenant_staff (
+    user_id uuid not null references auth.users (id) on delete cascade,
+    tenant_id text not null,
+    role text not null default 'staff',
+    created_at timestamptz not null default now(),
+    primary key (user_id, tenant_id)
+);
+
+-- Only the service role (the API routes) reads this table
+alter table tenant_staff enable row level security;
@@ -0,0 +1,84 @@
+-- Atomic checkout holds (lib/availability.js placeReservationHold).
+-- The conflict check and the insert run in one transaction under a lock per table, so when two
+-- checkouts race for the same table exactly one of them gets the hold and the other sees it.
+
+-- A slot's [start, end) in minutes past midnight. A sitting that runs past midnight has an end
+-- time "before" its start, so it is pushed into the next day (as slotMinutes in lib/availability.js).
+create or replace function slot_minutes(p_start_time time, p_end_time time)
+returns int4range
+language sql
+immutable
+as $$
+    select int4range(
+        (extract(epoch from p_start_time) / 60)::int,
+        (extract(epoch from p_end_time) / 60)::int + case when p_end_time <= p_start_time then 1440 else 0 end
+    );
+$$;
+
+
+-- Holds p_table_ids for p_booking_ref until p_expires_at unless a confirmed booking (paid or
+-- manual) or another active hold overlaps the window. Rows of p_exclude_booking_ref (a booking
+-- being moved, or a waitlist guest claiming their offer) never conflict.
+-- Returns { "conflict": false, "hold_ids": [...] } or { "conflict": true, "table_id", "source" }
+-- where source is 'booking' or 'hold'.
+create or replace function place_reservation_hold(
+    p_tenant_id text,
+    p_table_ids int[],
+    p_booking_ref text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_expires_at timestamptz,
+    p_exclude_booking_ref text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_table_id int;
+    v_conflict_table_id int;
+    v_hold_ids bigint[];
+begin
+    -- Lock the tables in a fixed order, so two multi-table checkouts cannot deadlock
+    for v_table_id in select distinct t from unnest(p_table_ids) as t order by t loop
+        perform pg_advisory_xact_lock(hashtext(p_tenant_id || ':' || v_table_id));
+    end loop;
+
+    select s.table_id into v_conflict_table_id
+    from premium_slots s
+    where s.tenant_id = p_tenant_id
+      and s.table_id = any(p_table_ids)
+      and s.date = p_date
+      and s.payment_status not in ('REFUNDED', 'CANCELLED')
+      and s.booking_ref is distinct from p_exclude_booking_ref
+      and slot_minutes(s.start_time, s.end_time) && slot_minutes(p_start_time, p_end_time)
+    limit 1;
+
+    if v_conflict_table_id is not null then
+        return jsonb_build_object('conflict', true, 'table_id', v_conflict_table_id, 'source', 'booking');
+    end if;
+
+    select h.table_id into v_conflict_table_id
+    from reserved_holds h
+    where h.tenant_id = p_tenant_id
+      and h.table_id = any(p_table_ids)
+      and h.date = p_date
+      and h.expires_at >= now()
+      and h.booking_ref is distinct from p_exclude_booking_ref
+      and slot_minutes(h.start_time, h.end_time) && slot_minutes(p_start_time, p_end_time)
+    limit 1;
+
+    if v_conflict_table_id is not null then
+        return jsonb_build_object('conflict', true, 'table_id', v_conflict_table_id, 'source', 'hold');
+    end if;
+
+    with inserted as (
+        insert into reserved_holds (table_id, tenant_id, expires_at, booking_ref, date, start_time, end_time)
+        select t, p_tenant_id, p_expires_at, p_booking_ref, p_date, p_start_time, p_end_time
+        from unnest(p_table_ids) as t
+        returning id
+    )
+    select array_agg(id) into v_hold_ids from inserted;
+
+    return jsonb_build_object('conflict', false, 'hold_ids', to_jsonb(v_hold_ids));
+end;
+$$;
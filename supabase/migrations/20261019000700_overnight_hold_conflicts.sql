@@ -0,0 +1,82 @@
+-- Sittings that run past midnight (lib/availability.js slotsOverlap).
+-- place_reservation_hold compared slots on the same date only, so a late sitting was never
+-- checked against bookings early the next day (or the other way round). Slots now become
+-- timestamp ranges and bookings and holds on the neighbouring dates are checked too.
+
+-- A slot as [start, end). An end time "before" the start time is on the next day.
+create or replace function slot_range(p_date date, p_start_time time, p_end_time time)
+returns tsrange
+language sql
+immutable
+as $$
+    select tsrange(
+        p_date + p_start_time,
+        p_date + p_end_time + case when p_end_time <= p_start_time then interval '1 day' else interval '0' end
+    );
+$$;
+
+
+create or replace function place_reservation_hold(
+    p_tenant_id text,
+    p_table_ids int[],
+    p_booking_ref text,
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_expires_at timestamptz,
+    p_exclude_booking_ref text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_table_id int;
+    v_conflict_table_id int;
+    v_hold_ids bigint[];
+    v_requested tsrange := slot_range(p_date, p_start_time, p_end_time);
+begin
+    -- Lock the tables in a fixed order, so two multi-table checkouts cannot deadlock
+    for v_table_id in select distinct t from unnest(p_table_ids) as t order by t loop
+        perform pg_advisory_xact_lock(hashtext(p_tenant_id || ':' || v_table_id));
+    end loop;
+
+    select s.table_id into v_conflict_table_id
+    from premium_slots s
+    where s.tenant_id = p_tenant_id
+      and s.table_id = any(p_table_ids)
+      and s.date between p_date - 1 and p_date + 1
+      and s.payment_status not in ('REFUNDED', 'CANCELLED')
+      and s.booking_ref is distinct from p_exclude_booking_ref
+      and slot_range(s.date, s.start_time, s.end_time) && v_requested
+    limit 1;
+
+    if v_conflict_table_id is not null then
+        return jsonb_build_object('conflict', true, 'table_id', v_conflict_table_id, 'source', 'booking');
+    end if;
+
+    select h.table_id into v_conflict_table_id
+    from reserved_holds h
+    where h.tenant_id = p_tenant_id
+      and h.table_id = any(p_table_ids)
+      and h.date between p_date - 1 and p_date + 1
+      and h.expires_at >= now()
+      and h.booking_ref is distinct from p_exclude_booking_ref
+      and slot_range(h.date, h.start_time, h.end_time) && v_requested
+    limit 1;
+
+    if v_conflict_table_id is not null then
+        return jsonb_build_object('conflict', true, 'table_id', v_conflict_table_id, 'source', 'hold');
+    end if;
+
+    with inserted as (
+        insert into reserved_holds (table_id, tenant_id, expires_at, booking_ref, date, start_time, end_time)
+        select t, p_tenant_id, p_expires_at, p_booking_ref, p_date, p_start_time, p_end_time
+        from unnest(p_table_ids) as t
+        returning id
+    )
+    select array_agg(id) into v_hold_ids from inserted;
+
+    return jsonb_build_object('conflict', false, 'hold_ids', to_jsonb(v_hold_ids));
+end;
+$$;
+
+drop function if exists slot_minutes(time, time);
@@ -0,0 +1,7 @@
+-- Sitting length per tenant, worked out in the tenant's own time zone (lib/booking-times.js).
+-- time_zone is an IANA name (default Europe/London); sitting_rules is JSON shaped like
+--   { "default_minutes": 120, "service_periods": [...], "party_sizes": [...] }
+
+alter table tenants
+    add column if not exists time_zone text,
+    add column if not exists sitting_rules jsonb;
@@ -0,0 +1,10 @@
+-- Customer self-service cancellation (api/cancel-booking.js).
+-- tenants.cancellation_policy is JSON shaped like { "full_refund_cutoff_hours": 24 }.
+-- Cancelled rows stay in premium_slots (payment_status 'CANCELLED') with when and which refund.
+
+alter table tenants
+    add column if not exists cancellation_policy jsonb;
+
+alter table premium_slots
+    add column if not exists cancelled_at timestamptz,
+    add column if not exists refund_id text;
@@ -0,0 +1,6 @@
+-- Per-tenant staff alert routing and sender identity (lib/tenants.js).
+-- notification_settings is JSON: sender_name, reply_to, recipients ({ "default": [...], "<event>": [...] }),
+-- and the scheduled email timings (reminder_hours_before, review_request_hours_after, review_url).
+
+alter table tenants
+    add column if not exists notification_settings jsonb;
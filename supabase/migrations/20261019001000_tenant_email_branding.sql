@@ -0,0 +1,5 @@
+-- Per-tenant email branding for the shared templates (lib/email-templates.js):
+-- logo_url, accent_color, sign_off and footer_text, all optional.
+
+alter table tenants
+    add column if not exists email_branding jsonb;
@@ -0,0 +1,5 @@
+-- Per-tenant table rules (lib/table-rules.js): staff-only and blocked tables, table capacity
+-- overrides, party size limits and which tables may be combined.
+
+alter table tenants
+    add column if not exists table_rules jsonb;
@@ -0,0 +1,35 @@
+-- Promo codes (lib/promotions.js).
+-- times_used counts reserved and redeemed uses; checkout takes one with a compare-and-set update,
+-- so open checkouts can never go past max_redemptions together.
+
+create table if not exists promo_codes (
+    id bigint generated by default as identity primary key,
+    tenant_id text not null,
+    code text not null,
+    discount_type text not null check (discount_type in ('percent', 'fixed')),
+    discount_value numeric not null check (discount_value > 0),
+    valid_from date,
+    valid_until date,
+    max_redemptions integer,
+    allowed_weekdays integer[],
+    is_active boolean not null default true,
+    times_used integer not null default 0,
+    created_at timestamptz not null default now(),
+    unique (tenant_id, code)
+);
+
+create table if not exists promo_redemptions (
+    id bigint generated by default as identity primary key,
+    promo_code_id bigint not null references promo_codes (id),
+    tenant_id text not null,
+    booking_ref text not null,
+    discount_pence integer not null default 0,
+    status text not null default 'reserved' check (status in ('reserved', 'redeemed', 'released')),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists promo_redemptions_promo_code_id_idx on promo_redemptions (promo_code_id);
+
+alter table premium_slots
+    add column if not exists promo_code text,
+    add column if not exists discount_pence integer not null default 0;
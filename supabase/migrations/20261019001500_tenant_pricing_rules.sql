@@ -0,0 +1,6 @@
+-- Day, time slot and demand pricing (lib/pricing.js).
+-- tenants.pricing_rules is JSON shaped like { "rules": [...], "demand_tiers": [...] }; see the
+-- header of lib/pricing.js for the fields. Tenants without it pay the price_table prices.
+
+alter table tenants
+    add column if not exists pricing_rules jsonb;
@@ -0,0 +1,16 @@
+-- Reminder and review request emails (api/send-scheduled-emails.js).
+-- A row is inserted as 'sending' before the email goes out; the unique key stops two overlapping
+-- cron runs from sending the same email.
+
+create table if not exists scheduled_emails (
+    id bigint generated by default as identity primary key,
+    booking_ref text not null,
+    tenant_id text not null,
+    email_type text not null check (email_type in ('reminder', 'review_request')),
+    recipient text,
+    status text not null default 'sending' check (status in ('sending', 'sent')),
+    resend_id text,
+    sent_at timestamptz,
+    created_at timestamptz not null default now(),
+    unique (booking_ref, email_type)
+);
@@ -0,0 +1,8 @@
+-- Webhook event retries and replays (api/webhook.js, api/admin-replay-webhook.js).
+-- payload keeps the verified Stripe event so a failed one can be replayed without Stripe.
+
+alter table webhook_events
+    add column if not exists attempts integer not null default 1,
+    add column if not exists last_attempt_at timestamptz,
+    add column if not exists payload jsonb,
+    add column if not exists error_message text;
@@ -0,0 +1,28 @@
+-- Staff moves of paid bookings (api/admin-modify-booking.js, lib/booking-changes.js).
+-- A move that costs more waits here as 'awaiting_payment' until the customer pays the
+-- difference through stripe_session_id; the webhook then applies it.
+
+create table if not exists booking_modifications (
+    id bigint generated by default as identity primary key,
+    tenant_id text not null,
+    booking_ref text not null,
+    table_ids integer[] not null,
+    date date not null,
+    start_time time not null,
+    end_time time not null,
+    previous_total_pence integer not null,
+    new_total_pence integer not null,
+    amount_due_pence integer not null default 0,
+    status text not null default 'awaiting_payment'
+        check (status in ('awaiting_payment', 'completed', 'conflict', 'expired')),
+    requested_by text,
+    stripe_session_id text,
+    error_message text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists booking_modifications_booking_ref_idx on booking_modifications (booking_ref);
+
+-- Counts changes to a booking, so calendar apps replace the event instead of adding another
+alter table premium_slots
+    add column if not exists calendar_sequence integer not null default 0;
@@ -0,0 +1,110 @@
+-- Moving a booking in one step (lib/booking-changes.js moveBookingSlots).
+-- The double-booking trigger now fires on UPDATE as well as INSERT (ignoring the row being
+-- changed), so a move can never land on a taken table. It raises unique_violation, which the
+-- API treats as a double booking. If the database still has an older insert-only
+-- double-booking trigger under another name, drop it once this one is in place.
+
+create or replace function prevent_premium_slot_overlap()
+returns trigger
+language plpgsql
+as $$
+declare
+    v_clash premium_slots;
+begin
+    if new.payment_status in ('REFUNDED', 'CANCELLED') then
+        return new;
+    end if;
+
+    -- Same lock as place_reservation_hold, so a hold and a booking cannot pass each other
+    perform pg_advisory_xact_lock(hashtext(new.tenant_id || ':' || new.table_id));
+
+    select * into v_clash
+    from premium_slots s
+    where s.tenant_id = new.tenant_id
+      and s.table_id = new.table_id
+      and s.id <> new.id
+      and s.date between new.date - 1 and new.date + 1
+      and s.payment_status not in ('REFUNDED', 'CANCELLED')
+      and slot_range(s.date, s.start_time, s.end_time) && slot_range(new.date, new.start_time, new.end_time)
+    limit 1;
+
+    if found then
+        raise exception 'Double booking: table % is already booked on % at %.', new.table_id, v_clash.date, v_clash.start_time
+            using errcode = 'unique_violation';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists premium_slots_prevent_overlap on premium_slots;
+create trigger premium_slots_prevent_overlap
+    before insert or update of table_id, date, start_time, end_time, payment_status on premium_slots
+    for each row execute function prevent_premium_slot_overlap();
+
+
+-- Rows already on a requested table keep it; the others take the new tables, and rows left
+-- over are dropped (or copied from the first row when the booking gains tables). Everything
+-- happens in one transaction: if the trigger rejects any row, the booking stays as it was.
+create or replace function move_booking_slots(
+    p_slot_ids bigint[],
+    p_table_ids int[],
+    p_date date,
+    p_start_time time,
+    p_end_time time,
+    p_total_pence int,
+    p_calendar_sequence int
+) returns setof premium_slots
+language plpgsql
+as $$
+declare
+    v_template premium_slots;
+    v_kept int[];
+    v_spare bigint[];
+    v_new int[];
+    v_locked int;
+begin
+    select count(*) into v_locked from (
+        select 1 from premium_slots where id = any(p_slot_ids) and payment_status = 'PAID' for update
+    ) locked;
+    if v_locked <> cardinality(p_slot_ids) then
+        raise exception 'Booking changed while it was being moved.';
+    end if;
+
+    select * into v_template from premium_slots where id = any(p_slot_ids) order by id limit 1;
+    select coalesce(array_agg(table_id), '{}') into v_kept
+        from premium_slots where id = any(p_slot_ids) and table_id = any(p_table_ids);
+    select coalesce(array_agg(id order by id), '{}') into v_spare
+        from premium_slots where id = any(p_slot_ids) and not (table_id = any(p_table_ids));
+    select coalesce(array_agg(t order by ord), '{}') into v_new
+        from unnest(p_table_ids) with ordinality as u(t, ord) where not (t = any(v_kept));
+
+    update premium_slots
+        set date = p_date, start_time = p_start_time, end_time = p_end_time,
+            total_pence = p_total_pence, calendar_sequence = p_calendar_sequence
+        where id = any(p_slot_ids) and table_id = any(v_kept);
+
+    for i in 1 .. greatest(cardinality(v_spare), cardinality(v_new)) loop
+        if i <= cardinality(v_spare) and i <= cardinality(v_new) then
+            update premium_slots
+                set table_id = v_new[i], date = p_date, start_time = p_start_time, end_time = p_end_time,
+                    total_pence = p_total_pence, calendar_sequence = p_calendar_sequence
+                where id = v_spare[i];
+        elsif i <= cardinality(v_spare) then
+            delete from premium_slots where id = v_spare[i];
+        else
+            v_template.id := nextval(pg_get_serial_sequence('premium_slots', 'id'));
+            v_template.table_id := v_new[i];
+            v_template.date := p_date;
+            v_template.start_time := p_start_time;
+            v_template.end_time := p_end_time;
+            v_template.total_pence := p_total_pence;
+            v_template.calendar_sequence := p_calendar_sequence;
+            insert into premium_slots select v_template.*;
+        end if;
+    end loop;
+
+    return query select * from premium_slots
+        where booking_ref = v_template.booking_ref and payment_status = 'PAID' order by id;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Marketing consent records (api/unsubscribe.js, api/admin-export-optins.js).
+-- consented_at and unsubscribed_at are kept as evidence alongside consent_text.
+
+alter table marketing_optins
+    add column if not exists consented_at timestamptz,
+    add column if not exists unsubscribed_at timestamptz;
@@ -0,0 +1,21 @@
+-- Staff bulk and recurring block bookings (lib/booking-series.js).
+-- Every premium_slots row a series creates carries its series_id, so the series can be edited
+-- or removed as one.
+
+create table if not exists booking_series (
+    id uuid primary key default gen_random_uuid(),
+    tenant_id text not null,
+    table_ids integer[] not null,
+    start_time time not null,
+    end_time time not null,
+    recurrence jsonb not null,
+    host_notes text,
+    party_size integer,
+    created_by text,
+    created_at timestamptz not null default now()
+);
+
+alter table premium_slots
+    add column if not exists series_id uuid references booking_series (id);
+
+create index if not exists premium_slots_series_id_idx on premium_slots (series_id);
@@ -0,0 +1,21 @@
+-- Waitlist for fully booked sittings (lib/waitlist.js, api/waitlist.js).
+-- An offer holds tables under offer_ref for the guest, who books them through pick-seat.html.
+
+create table if not exists waitlist_entries (
+    id bigint generated by default as identity primary key,
+    tenant_id text not null,
+    date date not null,
+    start_time time not null,
+    party_size integer not null,
+    email text not null,
+    customer_name text,
+    status text not null default 'waiting'
+        check (status in ('waiting', 'offered', 'booked', 'offer_expired', 'expired')),
+    offer_ref text unique,
+    offered_table_ids integer[],
+    offered_at timestamptz,
+    offer_expires_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists waitlist_entries_sitting_idx on waitlist_entries (tenant_id, date, status);
@@ -0,0 +1,37 @@
+-- Signed outbound webhooks (lib/outbound-webhooks.js).
+-- One delivery row per subscription and event; the unique key stops a re-run handler from
+-- queueing the same event twice.
+
+create table if not exists webhook_subscriptions (
+    id bigint generated by default as identity primary key,
+    tenant_id text not null,
+    url text not null,
+    secret text not null,
+    events text[] not null default '{}',
+    is_active boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+    id bigint generated by default as identity primary key,
+    subscription_id bigint not null references webhook_subscriptions (id) on delete cascade,
+    tenant_id text not null,
+    event_id text not null,
+    event_type text not null,
+    payload jsonb not null,
+    status text not null default 'pending'
+        check (status in ('pending', 'sending', 'delivered', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz,
+    last_attempt_at timestamptz,
+    response_status integer,
+    last_error text,
+    delivered_at timestamptz,
+    created_at timestamptz not null default now(),
+    unique (subscription_id, event_id)
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (status, next_attempt_at);
+
+-- Secrets are only read by the API routes (service role)
+alter table webhook_subscriptions enable row level security;
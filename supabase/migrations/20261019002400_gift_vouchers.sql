@@ -0,0 +1,40 @@
+-- Gift vouchers (lib/vouchers.js).
+-- balance_pence is moved with a compare-and-set update, and credit is taken as soon as checkout
+-- starts, so a voucher can never be spent twice. Each use is a voucher_redemptions row keyed on
+-- the checkout attempt (checkout_id) that reserved it.
+
+create table if not exists gift_vouchers (
+    id bigint generated by default as identity primary key,
+    tenant_id text not null,
+    code text not null,
+    initial_pence integer not null check (initial_pence > 0),
+    balance_pence integer not null check (balance_pence >= 0),
+    purchaser_name text,
+    purchaser_email text,
+    recipient_name text,
+    recipient_email text,
+    message text,
+    stripe_session_id text unique,
+    expires_on date,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    unique (tenant_id, code)
+);
+
+create table if not exists voucher_redemptions (
+    id bigint generated by default as identity primary key,
+    voucher_id bigint not null references gift_vouchers (id),
+    tenant_id text not null,
+    booking_ref text not null,
+    checkout_id text,
+    amount_pence integer not null check (amount_pence >= 0),
+    status text not null default 'reserved' check (status in ('reserved', 'redeemed', 'released')),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists voucher_redemptions_booking_ref_idx on voucher_redemptions (booking_ref);
+create index if not exists voucher_redemptions_checkout_id_idx on voucher_redemptions (checkout_id);
+
+alter table premium_slots
+    add column if not exists voucher_code text,
+    add column if not exists voucher_pence integer not null default 0;
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT_ID, seedTables } from './helpers.js';
+import { findConflicts, placeReservationHold, slotsOverlap } from '../lib/availability.js';
+import { createMemoryDatabase } from '../lib/memory-database.js';
+
+const IN_TEN_MINUTES = () => new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+function hold(supabase, bookingRef, overrides = {}) {
+    return placeReservationHold(supabase, {
+        tenantId: TENANT_ID,
+        tableIds: [1],
+        bookingRef,
+        date: '2030-06-14',
+        startTime: '19:00',
+        endTime: '21:00',
+        expiresAt: IN_TEN_MINUTES(),
+        ...overrides,
+    });
+}
+
+
+describe('placeReservationHold', () => {
+    it('gives a table to exactly one of two racing checkouts', async () => {
+        const supabase = createMemoryDatabase({ tables: seedTables() });
+
+        const results = await Promise.all([hold(supabase, 'REF-A'), hold(supabase, 'REF-B')]);
+
+        assert.deepEqual(results.map(r => r.isConflict).sort(), [false, true]);
+        assert.equal(supabase.rows('reserved_holds').length, 1);
+    });
+
+    it('reports a confirmed booking as the conflict', async () => {
+        const supabase = createMemoryDatabase({
+            tables: seedTables({
+                premium_slots: [{ id: 1, tenant_id: TENANT_ID, table_id: 1, date: '2030-06-14', start_time: '20:00', end_time: '22:00', payment_status: 'PAID', booking_ref: 'REF-PAID' }],
+            }),
+        });
+
+        const result = await hold(supabase, 'REF-A');
+
+        assert.deepEqual(result, { isConflict: true, conflictingTableId: 1, conflictSource: 'booking' });
+        assert.equal(supabase.rows('reserved_holds').length, 0);
+    });
+
+    it('ignores lapsed holds and other tables', async () => {
+        const supabase = createMemoryDatabase({
+            tables: seedTables({
+                reserved_holds: [
+                    { id: 1, tenant_id: TENANT_ID, table_id: 1, date: '2030-06-14', start_time: '19:00', end_time: '21:00', booking_ref: 'REF-OLD', expires_at: '2000-01-01T00:00:00.000Z' },
+                    { id: 2, tenant_id: TENANT_ID, table_id: 2, date: '2030-06-14', start_time: '19:00', end_time: '21:00', booking_ref: 'REF-B', expires_at: IN_TEN_MINUTES() },
+                ],
+            }),
+        });
+
+        const result = await hold(supabase, 'REF-A');
+
+        assert.equal(result.isConflict, false);
+        assert.equal(result.holdIds.length, 1);
+    });
+
+    it('only skips a booking under the same ref when asked to', async () => {
+        const supabase = createMemoryDatabase({
+            tables: seedTables({
+                premium_slots: [{ id: 1, tenant_id: TENANT_ID, table_id: 1, date: '2030-06-14', start_time: '19:00', end_time: '21:00', payment_status: 'PAID', booking_ref: 'REF-PAID' }],
+            }),
+        });
+
+        assert.equal((await hold(supabase, 'REF-PAID')).isConflict, true);
+        assert.equal((await hold(supabase, 'REF-PAID', { excludeBookingRef: 'REF-PAID' })).isConflict, false);
+    });
+});
+
+
+describe('overnight sittings', () => {
+    const lateSitting = { id: 1, tenant_id: TENANT_ID, table_id: 1, date: '2030-06-14', start_time: '23:00', end_time: '01:00', payment_status: 'PAID', booking_ref: 'REF-LATE' };
+
+    it('clashes with a booking early the next day', () => {
+        assert.equal(slotsOverlap('2030-06-15', '00:30', '02:00', '2030-06-14', '23:00', '01:00'), true);
+        assert.equal(slotsOverlap('2030-06-15', '01:00', '02:00', '2030-06-14', '23:00', '01:00'), false);
+        assert.equal(slotsOverlap('2030-06-16', '00:30', '02:00', '2030-06-14', '23:00', '01:00'), false);
+    });
+
+    it('is found by findConflicts from the next date', async () => {
+        const supabase = createMemoryDatabase({ tables: seedTables({ premium_slots: [lateSitting] }) });
+
+        const { conflicts } = await findConflicts(supabase, { tenantId: TENANT_ID, tableIds: [1], date: '2030-06-15', startTime: '00:00', endTime: '02:00' });
+
+        assert.deepEqual(conflicts.map(c => [c.table_id, c.date]), [[1, '2030-06-14']]);
+    });
+
+    it('blocks a hold placed just after midnight', async () => {
+        const supabase = createMemoryDatabase({ tables: seedTables({ premium_slots: [lateSitting] }) });
+
+        const result = await hold(supabase, 'REF-A', { date: '2030-06-15', startTime: '00:30', endTime: '02:30' });
+
+        assert.deepEqual(result, { isConflict: true, conflictingTableId: 1, conflictSource: 'booking' });
+    });
+
+    it('blocks a late sitting that would run into an early booking', async () => {
+        const supabase = createMemoryDatabase({
+            tables: seedTables({
+                premium_slots: [{ ...lateSitting, date: '2030-06-15', start_time: '00:30', end_time: '02:00' }],
+            }),
+        });
+
+        const result = await hold(supabase, 'REF-A', { date: '2030-06-14', startTime: '23:00', endTime: '01:00' });
+
+        assert.equal(result.isConflict, true);
+    });
+
+    it('is rejected by the double-booking trigger across midnight', async () => {
+        const supabase = createMemoryDatabase({ tables: seedTables({ premium_slots: [lateSitting] }) });
+
+        const { error } = await supabase.from('premium_slots').insert({
+            tenant_id: TENANT_ID, table_id: 1, date: '2030-06-15', start_time: '00:30', end_time: '02:00', payment_status: 'PAID', booking_ref: 'REF-EARLY',
+        });
+
+        assert.equal(error.code, '23505');
+    });
+});
@@ -0,0 +1,207 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT_ID, callHandler, callRawHandler, muteConsole, seedTables } from './helpers.js';
+import createCheckout from '../api/create-checkout.js';
+import webhook from '../api/webhook.js';
+import { createMemoryServices, resetServices, setServices } from '../lib/services.js';
+
+// Drives the real checkout and webhook handlers against the in-memory services:
+// checkout -> Stripe (stand-in) -> signed webhook -> booking rows and emails.
+
+const BOOKING_DATE = '2030-06-14';
+const VOUCHER = {
+    id: 1,
+    tenant_id: TENANT_ID,
+    code: 'GV-TEST-0001',
+    initial_pence: 50000,
+    balance_pence: 50000,
+    expires_on: '2099-12-31',
+    is_active: true,
+};
+
+let services;
+
+function checkout(bookingRef, extra = {}) {
+    return callHandler(createCheckout, {
+        body: {
+            table_ids: [1],
+            email: `${bookingRef.toLowerCase()}@guest.test`,
+            booking_date: BOOKING_DATE,
+            booking_time: '19:00',
+            customer_name: `Guest ${bookingRef}`,
+            party_size: 2,
+            tenant_id: TENANT_ID,
+            booking_ref: bookingRef,
+            ...extra,
+        },
+    });
+}
+
+function deliver(event) {
+    const { rawBody, signature } = services.payments.signEvent(event);
+    return callRawHandler(webhook, rawBody, { 'stripe-signature': signature });
+}
+
+const sessionIdFromUrl = url => url.split('/').pop();
+const emailsTo = address => services.mailer.sent.filter(m => [].concat(m.to).includes(address));
+const activeSlots = () => services.supabase.rows('premium_slots').filter(s => s.payment_status === 'PAID');
+
+
+describe('checkout -> webhook -> email', () => {
+    beforeEach(() => {
+        services = createMemoryServices({ tables: seedTables({ gift_vouchers: [VOUCHER] }) });
+        setServices(services);
+        muteConsole();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        resetServices();
+    });
+
+    it('books a paid checkout and emails the customer and staff', async () => {
+        const started = await checkout('REF-A');
+        assert.equal(started.statusCode, 200);
+        assert.equal(services.supabase.rows('reserved_holds').length, 1);
+
+        const sessionId = sessionIdFromUrl(started.body.url);
+        const res = await deliver(services.payments.completeCheckout(sessionId));
+        assert.equal(res.statusCode, 200);
+
+        const slots = activeSlots();
+        assert.equal(slots.length, 1);
+        assert.equal(slots[0].booking_ref, 'REF-A');
+        assert.equal(slots[0].stripe_order_id, sessionId);
+        assert.equal(slots[0].total_pence, services.payments.sessions.get(sessionId).amount_total);
+        assert.equal(services.supabase.rows('reserved_holds').length, 0);
+
+        const [confirmation] = emailsTo('ref-a@guest.test');
+        assert.match(confirmation.subject, /Confirmed/);
+        assert.match(confirmation.html, /cancel-booking\?booking_ref=REF-A/);
+        assert.equal(services.mailer.sent.filter(m => /NEW BOOKING/.test(m.subject)).length, 1);
+
+        assert.equal(services.payments.refunds.length, 0);
+        assert.deepEqual(services.supabase.rows('webhook_events').map(e => e.status), ['completed']);
+    });
+
+    it('ignores a re-delivered event', async () => {
+        const started = await checkout('REF-A');
+        const event = services.payments.completeCheckout(sessionIdFromUrl(started.body.url));
+
+        await deliver(event);
+        const res = await deliver(event);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(activeSlots().length, 1);
+        assert.equal(services.mailer.sent.length, 2);
+    });
+
+    it('rejects a second checkout while the table is held', async () => {
+        await checkout('REF-A');
+        const res = await checkout('REF-B');
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.status, 'hold_conflict');
+        assert.equal(services.payments.sessions.size, 1);
+    });
+
+    it('refuses a checkout that reuses a paid booking\'s ref', async () => {
+        const paid = await checkout('REF-A');
+        await deliver(services.payments.completeCheckout(sessionIdFromUrl(paid.body.url)));
+
+        const reused = await checkout('REF-A', { table_ids: [2] });
+
+        assert.equal(reused.statusCode, 409);
+        assert.equal(reused.body.status, 'booking_ref_in_use');
+        assert.equal(services.supabase.rows('reserved_holds').length, 0);
+    });
+
+    it('lets a guest check out on the tables their waitlist offer holds', async () => {
+        await services.supabase.from('reserved_holds').insert({
+            tenant_id: TENANT_ID, table_id: 1, date: BOOKING_DATE, start_time: '19:00', end_time: '21:00',
+            booking_ref: 'WAIT-1', expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+        });
+
+        assert.equal((await checkout('REF-B')).statusCode, 409);
+        assert.equal((await checkout('WAIT-1')).statusCode, 200);
+    });
+
+    it('refunds the customer who loses a double-booked table and tells them and staff', async () => {
+        const first = await checkout('REF-A');
+
+        // The first hold lapses while that customer is still on the Stripe page
+        await services.supabase.from('reserved_holds').update({ expires_at: '2000-01-01T00:00:00.000Z' }).eq('booking_ref', 'REF-A');
+        const second = await checkout('REF-B');
+        assert.equal(second.statusCode, 200);
+
+        const secondSessionId = sessionIdFromUrl(second.body.url);
+        await deliver(services.payments.completeCheckout(secondSessionId));
+        const lost = await deliver(services.payments.completeCheckout(sessionIdFromUrl(first.body.url)));
+        assert.equal(lost.statusCode, 200);
+
+        const slots = activeSlots();
+        assert.equal(slots.length, 1);
+        assert.equal(slots[0].booking_ref, 'REF-B');
+
+        const firstSession = services.payments.sessions.get(sessionIdFromUrl(first.body.url));
+        assert.equal(services.payments.refunds.length, 1);
+        assert.equal(services.payments.refunds[0].payment_intent, firstSession.payment_intent);
+        assert.equal(services.payments.refunds[0].metadata.cause, 'double_booking_conflict');
+
+        const [conflictAlert] = emailsTo('ref-a@guest.test');
+        assert.match(conflictAlert.subject, /Refund/);
+        assert.match(conflictAlert.html, new RegExp(services.payments.refunds[0].id));
+        assert.equal(services.mailer.sent.filter(m => /BOOKING CONFLICT FAIL/.test(m.subject)).length, 1);
+        assert.equal(emailsTo('ref-b@guest.test').length, 1);
+
+        const events = services.supabase.rows('webhook_events');
+        assert.deepEqual(events.map(e => e.status), ['completed', 'conflict']);
+        assert.equal(events[1].refund_id, services.payments.refunds[0].id);
+    });
+
+    it('fails the event for Stripe to retry when the booking cannot be written', async () => {
+        const started = await checkout('REF-A');
+        const event = services.payments.completeCheckout(sessionIdFromUrl(started.body.url));
+
+        const outage = mock.method(services.bookings, 'insertSlots', async () => ({ error: 'connection reset', isConflict: false }));
+        const failed = await deliver(event);
+
+        assert.equal(failed.statusCode, 500);
+        assert.deepEqual(services.supabase.rows('webhook_events').map(e => e.status), ['failed']);
+        assert.equal(services.payments.refunds.length, 0);
+        assert.equal(services.mailer.sent.length, 0);
+
+        outage.mock.restore();
+        const retried = await deliver(event);
+
+        assert.equal(retried.statusCode, 200);
+        assert.equal(activeSlots().length, 1);
+        assert.deepEqual(services.supabase.rows('webhook_events').map(e => e.status), ['completed']);
+    });
+
+    it('books a checkout paid in full by gift voucher without Stripe', async () => {
+        const res = await checkout('REF-V', { voucher_code: 'gv-test-0001' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.status, 'confirmed');
+        assert.equal(services.payments.sessions.size, 0);
+
+        const [slot] = activeSlots();
+        assert.equal(slot.stripe_order_id, new URL(res.body.url).searchParams.get('session_id'));
+        assert.match(slot.stripe_order_id, /^voucher_/);
+        assert.equal(slot.voucher_code, 'GV-TEST-0001');
+
+        const [voucher] = services.supabase.rows('gift_vouchers');
+        assert.equal(voucher.balance_pence, 50000 - slot.voucher_pence);
+        assert.equal(emailsTo('ref-v@guest.test').length, 1);
+    });
+
+    it('rejects webhook calls with a bad signature', async () => {
+        const started = await checkout('REF-A');
+        const event = services.payments.completeCheckout(sessionIdFromUrl(started.body.url));
+        const res = await callRawHandler(webhook, JSON.stringify(event), { 'stripe-signature': 'forged' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(activeSlots().length, 0);
+    });
+});
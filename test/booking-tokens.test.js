@@ -0,0 +1,66 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponse, muteConsole } from './helpers.js';
+import {
+    buildCancelBookingUrl,
+    requireBookingTokenSecret,
+    signBookingToken,
+    verifyBookingToken,
+} from '../lib/booking-tokens.js';
+
+const SECRET = process.env.BOOKING_TOKEN_SECRET;
+
+
+describe('booking tokens', () => {
+    afterEach(() => {
+        process.env.BOOKING_TOKEN_SECRET = SECRET;
+        mock.restoreAll();
+    });
+
+    it('accepts the token it signed, for the same purpose only', () => {
+        const token = signBookingToken('REF-A', 'cancel');
+
+        assert.equal(verifyBookingToken('REF-A', 'cancel', token), true);
+        assert.equal(verifyBookingToken('REF-A', 'calendar', token), false);
+        assert.equal(verifyBookingToken('REF-B', 'cancel', token), false);
+    });
+
+    it('rejects missing, malformed and truncated tokens', () => {
+        const token = signBookingToken('REF-A', 'cancel');
+
+        assert.equal(verifyBookingToken('REF-A', 'cancel', undefined), false);
+        assert.equal(verifyBookingToken('REF-A', 'cancel', ['not', 'a', 'string']), false);
+        assert.equal(verifyBookingToken('REF-A', 'cancel', token.substring(0, 32)), false);
+        assert.equal(verifyBookingToken('', 'cancel', token), false);
+    });
+
+    it('changes every token when the secret changes', () => {
+        const token = signBookingToken('REF-A', 'cancel');
+        process.env.BOOKING_TOKEN_SECRET = 'rotated-secret';
+
+        assert.equal(verifyBookingToken('REF-A', 'cancel', token), false);
+    });
+
+    it('puts the signed token in the cancel link', () => {
+        const url = new URL(buildCancelBookingUrl('REF A&B'));
+
+        assert.equal(url.searchParams.get('booking_ref'), 'REF A&B');
+        assert.equal(verifyBookingToken('REF A&B', 'cancel', url.searchParams.get('token')), true);
+    });
+
+    it('refuses to sign without a secret', () => {
+        delete process.env.BOOKING_TOKEN_SECRET;
+
+        assert.throws(() => signBookingToken('REF-A', 'cancel'), /BOOKING_TOKEN_SECRET/);
+    });
+
+    it('stops a route with a 500 when the secret is missing', () => {
+        muteConsole();
+        assert.equal(requireBookingTokenSecret(createResponse()), true);
+
+        delete process.env.BOOKING_TOKEN_SECRET;
+        const res = createResponse();
+        assert.equal(requireBookingTokenSecret(res), false);
+        assert.equal(res.statusCode, 500);
+    });
+});
@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT_ID, callHandler, callRawHandler, muteConsole, seedTables } from './helpers.js';
+import cancelBooking from '../api/cancel-booking.js';
+import createCheckout from '../api/create-checkout.js';
+import modifyBooking from '../api/admin-modify-booking.js';
+import webhook from '../api/webhook.js';
+import { signBookingToken } from '../lib/booking-tokens.js';
+import { createMemoryServices, resetServices, setServices } from '../lib/services.js';
+
+// Customer cancellations and staff moves of paid bookings: what is refunded, to which payment,
+// and what happens when there is nothing to refund or the refund fails.
+
+const BOOKING_DATE = '2030-06-14';
+const STAFF_TOKEN = 'staff-access-token';
+
+let services;
+
+function setup({ tenant = {}, ...tables } = {}) {
+    const seed = seedTables({
+        tenant_staff: [{ user_id: 'staff-1', tenant_id: TENANT_ID, role: 'manager' }],
+        promo_codes: [{ id: 1, tenant_id: TENANT_ID, code: 'FREE', discount_type: 'percent', discount_value: 100, is_active: true, times_used: 0 }],
+        gift_vouchers: [{ id: 1, tenant_id: TENANT_ID, code: 'GV-TEST-0001', initial_pence: 50000, balance_pence: 200, expires_on: '2099-12-31', is_active: true }],
+        ...tables,
+    });
+    seed.tenants = [{ ...seed.tenants[0], ...tenant }];
+
+    services = createMemoryServices({ tables: seed, users: { [STAFF_TOKEN]: { id: 'staff-1', email: 'manager@bistro.test' } } });
+    setServices(services);
+}
+
+function deliver(event) {
+    const { rawBody, signature } = services.payments.signEvent(event);
+    return callRawHandler(webhook, rawBody, { 'stripe-signature': signature });
+}
+
+const sessionIdFromUrl = url => url.split('/').pop();
+const slotStatuses = () => services.supabase.rows('premium_slots').map(s => s.payment_status);
+
+/**
+ * Books `tableId` through checkout and the webhook; returns the paid Checkout Session.
+ */
+async function book(bookingRef, { tableId = 1, ...extra } = {}) {
+    const started = await callHandler(createCheckout, {
+        body: {
+            table_ids: [tableId],
+            email: `${bookingRef.toLowerCase()}@guest.test`,
+            booking_date: BOOKING_DATE,
+            booking_time: '19:00',
+            customer_name: `Guest ${bookingRef}`,
+            party_size: 2,
+            tenant_id: TENANT_ID,
+            booking_ref: bookingRef,
+            ...extra,
+        },
+    });
+    assert.equal(started.statusCode, 200);
+
+    const sessionId = sessionIdFromUrl(started.body.url);
+    await deliver(services.payments.completeCheckout(sessionId));
+    return services.payments.sessions.get(sessionId);
+}
+
+function cancel(bookingRef, token = signBookingToken(bookingRef, 'cancel')) {
+    return callHandler(cancelBooking, { body: { booking_ref: bookingRef, token } });
+}
+
+function modify(body) {
+    return callHandler(modifyBooking, {
+        headers: { authorization: `Bearer ${STAFF_TOKEN}` },
+        body: { tenant_id: TENANT_ID, ...body },
+    });
+}
+
+
+describe('customer cancellation', () => {
+    beforeEach(() => muteConsole());
+
+    afterEach(() => {
+        mock.restoreAll();
+        resetServices();
+    });
+
+    it('refunds the whole payment ahead of the cutoff and cancels the booking', async () => {
+        setup();
+        const session = await book('REF-A');
+
+        const res = await cancel('REF-A');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.refunded, true);
+        assert.deepEqual(services.payments.refunds.map(r => [r.payment_intent, r.amount]), [[session.payment_intent, 499]]);
+        assert.deepEqual(slotStatuses(), ['CANCELLED']);
+        assert.equal(services.supabase.rows('premium_slots')[0].refund_id, res.body.refund_id);
+
+        const notices = services.mailer.sent.filter(m => /cancel/i.test(m.subject));
+        assert.equal(notices.length, 2);
+    });
+
+    it('cancels without a refund inside the cutoff', async () => {
+        setup({ tenant: { cancellation_policy: { full_refund_cutoff_hours: 1000000 } } });
+        await book('REF-A');
+
+        const res = await cancel('REF-A');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.refunded, false);
+        assert.equal(services.payments.refunds.length, 0);
+        assert.deepEqual(slotStatuses(), ['CANCELLED']);
+    });
+
+    it('cancels a booking a 100% promo code paid for without calling for a refund', async () => {
+        setup();
+        const session = await book('REF-A', { promo_code: 'free' });
+        assert.equal(session.payment_intent, null);
+
+        const res = await cancel('REF-A');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(services.payments.refunds.length, 0);
+        assert.deepEqual(slotStatuses(), ['CANCELLED']);
+    });
+
+    it('refunds the card and puts the voucher credit back', async () => {
+        setup();
+        await book('REF-A', { voucher_code: 'gv-test-0001' });
+        assert.equal(services.supabase.rows('gift_vouchers')[0].balance_pence, 0);
+
+        const res = await cancel('REF-A');
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(services.payments.refunds.map(r => r.amount), [299]);
+        assert.equal(services.supabase.rows('gift_vouchers')[0].balance_pence, 200);
+    });
+
+    it('keeps the booking when the refund fails', async () => {
+        setup();
+        await book('REF-A');
+        mock.method(services.payments, 'createRefund', async () => { throw new Error('Stripe is down'); });
+
+        const res = await cancel('REF-A');
+
+        assert.equal(res.statusCode, 502);
+        assert.equal(res.body.status, 'refund_failed');
+        assert.deepEqual(slotStatuses(), ['PAID']);
+    });
+
+    it('refuses a link signed for another booking', async () => {
+        setup();
+        await book('REF-A');
+
+        const res = await cancel('REF-A', signBookingToken('REF-B', 'cancel'));
+
+        assert.equal(res.statusCode, 403);
+        assert.deepEqual(slotStatuses(), ['PAID']);
+    });
+});
+
+
+describe('staff moves', () => {
+    beforeEach(() => {
+        // Table 1 seats four, so it costs more than table 2; a couple may book either
+        setup({ tenant: { table_rules: { staff_only_table_ids: [], table_capacities: { 1: 4 }, max_spare_seats: 2 } } });
+        muteConsole();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        resetServices();
+    });
+
+    it('refunds a cheaper move from the original payment', async () => {
+        const session = await book('REF-A', { tableId: 1 });
+
+        const res = await modify({ booking_ref: 'REF-A', table_ids: [2] });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.refunded_pence, 500);
+        assert.deepEqual(services.payments.refunds.map(r => [r.payment_intent, r.amount]), [[session.payment_intent, 500]]);
+    });
+
+    it('takes payment for a pricier move, and refunds a later cheaper one from that top-up', async () => {
+        const original = await book('REF-A', { tableId: 2 });
+
+        const upgrade = await modify({ booking_ref: 'REF-A', table_ids: [1] });
+        assert.equal(upgrade.statusCode, 202);
+        assert.equal(upgrade.body.amount_due_pence, 500);
+
+        const topUpId = sessionIdFromUrl(upgrade.body.checkout_url);
+        await deliver(services.payments.completeCheckout(topUpId));
+        assert.deepEqual(services.supabase.rows('premium_slots').filter(s => s.payment_status === 'PAID').map(s => s.table_id), [1]);
+
+        const downgrade = await modify({ booking_ref: 'REF-A', table_ids: [2] });
+
+        assert.equal(downgrade.statusCode, 200);
+        const topUp = services.payments.sessions.get(topUpId);
+        assert.deepEqual(services.payments.refunds.map(r => [r.payment_intent, r.amount]), [[topUp.payment_intent, 500]]);
+        assert.notEqual(topUp.payment_intent, original.payment_intent);
+    });
+
+    it('drops the pending change and frees the tables when the payment link cannot be made', async () => {
+        await book('REF-A', { tableId: 2 });
+        mock.method(services.payments, 'createCheckoutSession', async () => { throw new Error('Stripe is down'); });
+
+        const res = await modify({ booking_ref: 'REF-A', table_ids: [1] });
+
+        assert.equal(res.statusCode, 502);
+        assert.equal(services.supabase.rows('booking_modifications').length, 0);
+        assert.equal(services.supabase.rows('reserved_holds').length, 0);
+    });
+});
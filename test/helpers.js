@@ -0,0 +1,77 @@
+import { Readable } from 'node:stream';
+import { mock } from 'node:test';
+
+// Shared setup for the handler tests. Import this before any api/ or lib/ module: modules
+// read their environment when they load, so the variables below must already be set.
+
+process.env.BOOKING_TOKEN_SECRET = 'test-booking-token-secret';
+
+export const TENANT_ID = 'test-bistro';
+
+
+/**
+ * Seed rows for createMemoryServices: one tenant with no staff-only tables and two
+ * two-seat tables (1 and 2). `overrides` replaces or adds whole tables.
+ */
+export function seedTables(overrides = {}) {
+    return {
+        tenants: [{ tenant_id: TENANT_ID, display_name: 'Test Bistro', table_rules: { staff_only_table_ids: [] } }],
+        tables: [
+            { id: 1, tenant_id: TENANT_ID, w: 30, h: 30 },
+            { id: 2, tenant_id: TENANT_ID, w: 30, h: 30 },
+        ],
+        ...overrides,
+    };
+}
+
+
+/**
+ * A stand-in for the Vercel response object that records what the handler sent.
+ */
+export function createResponse() {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        setHeader(name, value) { res.headers[name] = value; },
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; },
+        send(body) { res.body = body; return res; },
+        end() { return res; },
+    };
+    return res;
+}
+
+
+/**
+ * Calls a handler with a JSON request and returns the recorded response.
+ */
+export async function callHandler(handler, { method = 'POST', headers = {}, body, query = {} } = {}) {
+    const res = createResponse();
+    await handler({ method, headers, body, query }, res);
+    return res;
+}
+
+
+/**
+ * Calls a handler that reads the raw body from the request stream (the Stripe webhooks).
+ */
+export async function callRawHandler(handler, rawBody, headers = {}) {
+    const req = Readable.from([Buffer.from(rawBody)]);
+    req.method = 'POST';
+    req.headers = headers;
+
+    const res = createResponse();
+    await handler(req, res);
+    return res;
+}
+
+
+/**
+ * Silences the handlers' console logging for the rest of the test.
+ */
+export function muteConsole() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+}
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT_ID, seedTables } from './helpers.js';
+import { DEFAULT_PRICE_TABLE, priceTableForSlot } from '../lib/pricing.js';
+import { buildBookingQuote } from '../lib/quotes.js';
+import { createMemoryDatabase } from '../lib/memory-database.js';
+
+// 2030-06-14 is a Friday
+const FRIDAY = '2030-06-14';
+
+const PRICING = {
+    priceTable: { ...DEFAULT_PRICE_TABLE },
+    rules: [
+        { label: 'Weekend evenings', weekdays: [5, 6], from: '19:00', until: '21:30', multiplier: 1.5 },
+        { label: 'Launch night', dates: [FRIDAY], prices: { 2: 1000 } },
+    ],
+    demandTiers: [
+        { label: 'Busy', min_occupancy: 0.5, multiplier: 1.1 },
+        { label: 'Nearly full', min_occupancy: 0.8, multiplier: 1.2 },
+    ],
+};
+
+function tenantWith(fields) {
+    const seed = seedTables();
+    return createMemoryDatabase({ tables: { ...seed, tenants: [{ ...seed.tenants[0], ...fields }] } });
+}
+
+function quote(supabase, overrides = {}) {
+    return buildBookingQuote(supabase, {
+        tenantId: TENANT_ID,
+        tableIds: [1],
+        date: FRIDAY,
+        startTime: '19:00',
+        endTime: '21:00',
+        ...overrides,
+    });
+}
+
+
+describe('priceTableForSlot', () => {
+    it('uses the base price when no date or time is given', () => {
+        assert.equal(priceTableForSlot(4, PRICING).price_pence, 999);
+    });
+
+    it('applies a matching special price, then time slot multipliers', () => {
+        const priced = priceTableForSlot(2, PRICING, { date: FRIDAY, startTime: '19:30' });
+        assert.equal(priced.price_pence, 1500);
+        assert.deepEqual(priced.adjustments.map(a => a.type), ['override', 'multiplier']);
+    });
+
+    it('leaves other sittings at the base price', () => {
+        assert.equal(priceTableForSlot(2, PRICING, { date: '2030-06-17', startTime: '19:30' }).price_pence, 499);
+        assert.equal(priceTableForSlot(4, PRICING, { date: FRIDAY, startTime: '22:00' }).price_pence, 999);
+    });
+
+    it('applies the highest demand tier reached', () => {
+        const priced = priceTableForSlot(6, PRICING, { date: '2030-06-17', startTime: '12:00', occupancy: 0.9 });
+        assert.equal(priced.price_pence, Math.round(1499 * 1.2));
+    });
+
+    it('has no price for a size the tenant does not sell', () => {
+        assert.equal(priceTableForSlot(0, PRICING).price_pence, 0);
+    });
+});
+
+
+describe('buildBookingQuote', () => {
+    it('prices tables by their size', async () => {
+        const result = await quote(tenantWith({}));
+        assert.equal(result.totalPence, 499);
+    });
+
+    it('prices a table by its configured capacity from table_rules', async () => {
+        const supabase = tenantWith({ table_rules: { staff_only_table_ids: [], table_capacities: { 1: 4 } } });
+
+        const result = await quote(supabase, { tableIds: [1, 2] });
+
+        assert.deepEqual(result.lines.map(l => [l.table_id, l.capacity, l.price_pence]), [[1, 4, 999], [2, 2, 499]]);
+        assert.equal(result.totalPence, 1498);
+    });
+
+    it('uses the tenant\'s price table and demand pricing', async () => {
+        const supabase = tenantWith({
+            price_table: { 2: 600 },
+            pricing_rules: { demand_tiers: [{ label: 'Busy', min_occupancy: 0.5, multiplier: 2 }] },
+        });
+        await supabase.from('premium_slots').insert({
+            tenant_id: TENANT_ID, table_id: 2, date: FRIDAY, start_time: '19:00', end_time: '21:00', payment_status: 'PAID', booking_ref: 'REF-PAID',
+        });
+
+        const result = await quote(supabase);
+
+        assert.equal(result.occupancy, 0.5);
+        assert.equal(result.totalPence, 1200);
+    });
+
+    it('refuses tables that do not exist', async () => {
+        const result = await quote(tenantWith({}), { tableIds: [99] });
+        assert.match(result.error, /Table 99 does not exist/);
+    });
+});
@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT_ID, callHandler, callRawHandler, muteConsole, seedTables } from './helpers.js';
+import createCheckout from '../api/create-checkout.js';
+import webhook from '../api/webhook.js';
+import { calculateDiscountPence } from '../lib/promotions.js';
+import { createMemoryServices, resetServices, setServices } from '../lib/services.js';
+
+// Promo codes through the real checkout and webhook handlers: the usage cap, Stripe's minimum
+// charge and what happens to a reserved use when checkout does not go through.
+
+const BOOKING_DATE = '2030-06-14';
+
+let services;
+
+function promo(overrides = {}) {
+    return {
+        id: 1,
+        tenant_id: TENANT_ID,
+        code: 'SPRING',
+        discount_type: 'percent',
+        discount_value: 10,
+        valid_from: null,
+        valid_until: null,
+        max_redemptions: null,
+        allowed_weekdays: null,
+        is_active: true,
+        times_used: 0,
+        ...overrides,
+    };
+}
+
+function setup(promoOverrides) {
+    services = createMemoryServices({ tables: seedTables({ promo_codes: [promo(promoOverrides)] }) });
+    setServices(services);
+}
+
+function checkout(bookingRef, tableId, extra = {}) {
+    return callHandler(createCheckout, {
+        body: {
+            table_ids: [tableId],
+            email: `${bookingRef.toLowerCase()}@guest.test`,
+            booking_date: BOOKING_DATE,
+            booking_time: '19:00',
+            customer_name: `Guest ${bookingRef}`,
+            party_size: 2,
+            tenant_id: TENANT_ID,
+            booking_ref: bookingRef,
+            promo_code: 'spring',
+            ...extra,
+        },
+    });
+}
+
+function deliver(event) {
+    const { rawBody, signature } = services.payments.signEvent(event);
+    return callRawHandler(webhook, rawBody, { 'stripe-signature': signature });
+}
+
+const sessionIdFromUrl = url => url.split('/').pop();
+const timesUsed = () => services.supabase.rows('promo_codes')[0].times_used;
+const redemptionStatuses = () => services.supabase.rows('promo_redemptions').map(r => r.status);
+
+
+describe('calculateDiscountPence', () => {
+    it('takes a percentage or a fixed amount, never more than the subtotal', () => {
+        assert.equal(calculateDiscountPence(promo({ discount_value: 25 }), 4000), 1000);
+        assert.equal(calculateDiscountPence(promo({ discount_type: 'fixed', discount_value: 500 }), 4000), 500);
+        assert.equal(calculateDiscountPence(promo({ discount_type: 'fixed', discount_value: 9000 }), 4000), 4000);
+    });
+
+    it('leaves at least Stripe\'s minimum charge when the booking is not free', () => {
+        assert.equal(calculateDiscountPence(promo({ discount_value: 99 }), 2000), 1970);
+        assert.equal(calculateDiscountPence(promo({ discount_value: 100 }), 2000), 2000);
+        assert.equal(calculateDiscountPence(promo({ discount_type: 'fixed', discount_value: 15 }), 20), 0);
+    });
+});
+
+
+describe('promo codes at checkout', () => {
+    beforeEach(() => muteConsole());
+
+    afterEach(() => {
+        mock.restoreAll();
+        resetServices();
+    });
+
+    it('reserves a use at checkout, so open checkouts cannot pass the cap together', async () => {
+        setup({ max_redemptions: 1 });
+
+        const first = await checkout('REF-A', 1);
+        assert.equal(first.statusCode, 200);
+        assert.equal(timesUsed(), 1);
+
+        const second = await checkout('REF-B', 2);
+        assert.equal(second.statusCode, 422);
+        assert.equal(second.body.status, 'invalid_promo_code');
+        assert.equal(services.supabase.rows('reserved_holds').length, 1);
+
+        await deliver(services.payments.completeCheckout(sessionIdFromUrl(first.body.url)));
+        assert.deepEqual(redemptionStatuses(), ['redeemed']);
+        assert.equal(timesUsed(), 1);
+    });
+
+    it('hands the use back when the checkout expires', async () => {
+        setup({ max_redemptions: 1 });
+
+        const first = await checkout('REF-A', 1);
+        await deliver(services.payments.expireCheckout(sessionIdFromUrl(first.body.url)));
+
+        assert.deepEqual(redemptionStatuses(), ['released']);
+        assert.equal(timesUsed(), 0);
+
+        const retry = await checkout('REF-B', 2);
+        assert.equal(retry.statusCode, 200);
+    });
+
+    it('still reaches Stripe with a near-100% discount', async () => {
+        setup({ discount_value: 99 });
+
+        const res = await checkout('REF-A', 1);
+        assert.equal(res.statusCode, 200);
+
+        const session = services.payments.sessions.get(sessionIdFromUrl(res.body.url));
+        assert.equal(session.amount_total, 30);
+    });
+
+    it('releases the hold and the promo use when the coupon cannot be created', async () => {
+        setup({ max_redemptions: 1 });
+        mock.method(services.payments, 'createCoupon', async () => { throw new Error('Stripe is down'); });
+
+        const res = await checkout('REF-A', 1);
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(services.supabase.rows('reserved_holds').length, 0);
+        assert.deepEqual(redemptionStatuses(), ['released']);
+        assert.equal(timesUsed(), 0);
+    });
+});
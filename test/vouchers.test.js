@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT_ID, callHandler, callRawHandler, muteConsole, seedTables } from './helpers.js';
+import createCheckout from '../api/create-checkout.js';
+import webhook from '../api/webhook.js';
+import { planVoucherRedemption } from '../lib/vouchers.js';
+import { createMemoryServices, resetServices, setServices } from '../lib/services.js';
+
+// Gift vouchers through the real checkout and webhook handlers: how much a voucher covers, and
+// that each checkout attempt reserves and settles only its own credit.
+
+const BOOKING_DATE = '2030-06-14';
+
+let services;
+
+function setup(...balances) {
+    services = createMemoryServices({
+        tables: seedTables({
+            gift_vouchers: balances.map((balancePence, i) => ({
+                id: i + 1,
+                tenant_id: TENANT_ID,
+                code: `GV-TEST-000${i + 1}`,
+                initial_pence: 50000,
+                balance_pence: balancePence,
+                expires_on: '2099-12-31',
+                is_active: true,
+            })),
+        }),
+    });
+    setServices(services);
+}
+
+function checkout(bookingRef, extra = {}) {
+    return callHandler(createCheckout, {
+        body: {
+            table_ids: [1],
+            email: `${bookingRef.toLowerCase()}@guest.test`,
+            booking_date: BOOKING_DATE,
+            booking_time: '19:00',
+            customer_name: `Guest ${bookingRef}`,
+            party_size: 2,
+            tenant_id: TENANT_ID,
+            booking_ref: bookingRef,
+            voucher_code: 'gv-test-0001',
+            ...extra,
+        },
+    });
+}
+
+function deliver(event) {
+    const { rawBody, signature } = services.payments.signEvent(event);
+    return callRawHandler(webhook, rawBody, { 'stripe-signature': signature });
+}
+
+const sessionIdFromUrl = url => url.split('/').pop();
+const orderIdFromSuccessUrl = url => new URL(url).searchParams.get('session_id');
+const balance = (id = 1) => services.supabase.rows('gift_vouchers').find(v => v.id === id).balance_pence;
+const redemptionStatuses = () => services.supabase.rows('voucher_redemptions').map(r => r.status);
+
+
+describe('planVoucherRedemption', () => {
+    it('covers the whole amount when the balance allows', () => {
+        assert.equal(planVoucherRedemption(5000, 499), 499);
+        assert.equal(planVoucherRedemption(499, 499), 499);
+    });
+
+    it('leaves at least Stripe\'s minimum charge for the card', () => {
+        assert.equal(planVoucherRedemption(200, 499), 200);
+        assert.equal(planVoucherRedemption(480, 499), 469);
+        assert.equal(planVoucherRedemption(10, 20), 0);
+    });
+});
+
+
+describe('gift vouchers at checkout', () => {
+    beforeEach(() => muteConsole());
+
+    afterEach(() => {
+        mock.restoreAll();
+        resetServices();
+    });
+
+    it('reserves part of the price and charges the rest to the card', async () => {
+        setup(200);
+
+        const res = await checkout('REF-A');
+        assert.equal(res.statusCode, 200);
+        assert.equal(balance(), 0);
+        assert.deepEqual(redemptionStatuses(), ['reserved']);
+
+        const sessionId = sessionIdFromUrl(res.body.url);
+        assert.equal(services.payments.sessions.get(sessionId).amount_total, 299);
+
+        await deliver(services.payments.completeCheckout(sessionId));
+        assert.deepEqual(redemptionStatuses(), ['redeemed']);
+        assert.equal(balance(), 0);
+    });
+
+    it('puts the credit back when the checkout expires', async () => {
+        setup(200);
+
+        const res = await checkout('REF-A');
+        await deliver(services.payments.expireCheckout(sessionIdFromUrl(res.body.url)));
+
+        assert.deepEqual(redemptionStatuses(), ['released']);
+        assert.equal(balance(), 200);
+    });
+
+    it('keeps a newer checkout\'s credit when an older one at the same ref expires', async () => {
+        setup(200, 300);
+
+        // The customer goes back and starts again with a different voucher
+        const first = await checkout('REF-A');
+        const second = await checkout('REF-A', { voucher_code: 'gv-test-0002' });
+        assert.equal(second.statusCode, 200);
+        assert.deepEqual(redemptionStatuses(), ['reserved', 'reserved']);
+
+        await deliver(services.payments.expireCheckout(sessionIdFromUrl(first.body.url)));
+        assert.deepEqual(redemptionStatuses(), ['released', 'reserved']);
+        assert.deepEqual([balance(1), balance(2)], [200, 0]);
+
+        await deliver(services.payments.completeCheckout(sessionIdFromUrl(second.body.url)));
+        assert.deepEqual(redemptionStatuses(), ['released', 'redeemed']);
+        assert.deepEqual([balance(1), balance(2)], [200, 0]);
+    });
+
+    it('gives every fully covered booking its own order id', async () => {
+        setup(5000);
+
+        const first = await checkout('REF-A');
+        const second = await checkout('REF-B', { table_ids: [2] });
+
+        const orderIds = services.supabase.rows('premium_slots').map(s => s.stripe_order_id);
+        assert.deepEqual(orderIds, [orderIdFromSuccessUrl(first.body.url), orderIdFromSuccessUrl(second.body.url)]);
+        assert.notEqual(orderIds[0], orderIds[1]);
+        assert.ok(orderIds.every(id => /^voucher_/.test(id) && !id.includes('REF-')));
+    });
+});